@@ -0,0 +1,293 @@
+// browser-runtime.js
+// Browser and test-environment tags checked where the tests run. Test files
+// bundled for a real browser (Karma, Web Test Runner, Vitest browser mode) are
+// compiled in Node, where no browser can be detected, so instead of deciding
+//   /** @skipOnBrowser chrome<120 */ it("x", fn)
+// while transforming, the plugin emits
+//   (rtb.skip({ skiponbrowser: "chrome<120" }, meta) ? it.skip : it)("x", fn)
+// and the check reads navigator in the page. @skipOnTestEnvironment goes the
+// same way when neither the file nor the framework config names its test
+// environment (jsdom, happy-dom, ...). This module has no dependencies so
+// bundlers can ship it as is; tags.js and environment.js share its parsing,
+// and runtime.js its expected-failure wrapper.
+
+// Playwright's browser engines (its `browserName` fixture) and the browsers they drive
+const BROWSER_ENGINES = { chromium: ["chrome", "edge"], firefox: ["firefox"], webkit: ["safari"] };
+const ENGINE_OF = Object.fromEntries(
+  Object.entries(BROWSER_ENGINES).flatMap(([engine, browsers]) => browsers.map((browser) => [browser, engine]))
+);
+
+// A browser matches itself and the Playwright engine it runs on, either way
+// round: "chromium" covers chrome and edge, "safari" covers webkit
+const sameBrowser = (a, b) => a === b || ENGINE_OF[a] === b || ENGINE_OF[b] === a;
+
+// Other names of the test environments Jest and Vitest ship
+const TEST_ENVIRONMENT_ALIASES = { happydom: "happy-dom", edge: "edge-runtime", edgeruntime: "edge-runtime" };
+
+const VERSION = "\\d+(?:\\.\\d+)*";
+const ENTRY_RE = new RegExp(`^([a-z]+)\\s*(?:(<=|>=|<|>|==?)\\s*(${VERSION}))?$`);
+
+// --- Detection ---
+
+/**
+ * Browser of a navigator (default: the global one) → { name, version }, or
+ * null outside a browser. userAgentData (Chromium) comes first; the user-agent
+ * string covers the rest, and jsdom or happy-dom when they mimic a browser.
+ * `version` is a dotted string, or null when the browser does not say.
+ */
+function detectBrowser(nav = typeof navigator === "undefined" ? undefined : navigator) {
+  if (!nav) return null;
+  const brands = nav.userAgentData && nav.userAgentData.brands;
+  if (Array.isArray(brands)) {
+    const brand = (name) => brands.find((b) => b && b.brand === name);
+    const found = brand("Microsoft Edge") || brand("Google Chrome") || brand("Chromium");
+    if (found) return { name: found.brand === "Microsoft Edge" ? "edge" : "chrome", version: found.version || null };
+  }
+  const ua = nav.userAgent;
+  if (!ua) return null;
+  const version = (re) => (ua.match(re) || [])[1] || null;
+  if (ua.includes("Firefox")) return { name: "firefox", version: version(new RegExp(`Firefox/(${VERSION})`)) };
+  if (ua.includes("Edg")) return { name: "edge", version: version(new RegExp(`Edg(?:e|A|iOS)?/(${VERSION})`)) };
+  if (ua.includes("Chrome")) return { name: "chrome", version: version(new RegExp(`Chrome/(${VERSION})`)) };
+  if (ua.includes("Safari") && !ua.includes("Chromium")) {
+    return { name: "safari", version: version(new RegExp(`Version/(${VERSION})`)) };
+  }
+  return null;
+}
+
+/**
+ * Test environment of the running tests, from their globals: "edge-runtime",
+ * "jsdom", "happy-dom", "node", or null in a real browser.
+ */
+function detectTestEnvironment(global = globalThis) {
+  if (typeof global.EdgeRuntime === "string") return "edge-runtime";
+  const ua = (global.navigator && global.navigator.userAgent) || "";
+  if (/\bjsdom\//.test(ua)) return "jsdom";
+  if (/\bHappyDOM\//.test(ua)) return "happy-dom";
+  if (typeof global.window !== "undefined" && typeof global.document !== "undefined") return null;
+  return typeof global.process === "object" && global.process && global.process.versions ? "node" : null;
+}
+
+// --- Browser lists ---
+
+/**
+ * One entry of a browser tag: "chrome<120" → { browser: "chrome", op: "<",
+ * version: [120] }, "firefox" → { browser: "firefox", op: null, version: null }.
+ * null when the entry can't be read.
+ */
+function parseBrowserEntry(entry) {
+  const m = ENTRY_RE.exec(String(entry).trim().toLowerCase());
+  if (!m) return null;
+  return {
+    browser: m[1],
+    op: m[2] ? m[2].replace("==", "=") : null,
+    version: m[3] ? m[3].split(".").map(Number) : null,
+  };
+}
+
+// Entries of a comma-separated browser list, as written (lowercased)
+function browserEntries(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Compare `actual` with `wanted` on wanted's components only, so 120.0.6099
+// counts as 120: chrome=120 matches it and chrome<120 does not
+function compareVersions(actual, wanted) {
+  for (let i = 0; i < wanted.length; i++) {
+    const diff = (actual[i] || 0) - wanted[i];
+    if (diff) return Math.sign(diff);
+  }
+  return 0;
+}
+
+// Does one entry match `current` ({ name, version })? A version constraint
+// never matches a browser whose version is unknown.
+function matchesEntry(entry, current) {
+  const parsed = parseBrowserEntry(entry);
+  if (!parsed || !current || !current.name || !sameBrowser(parsed.browser, current.name)) return false;
+  if (!parsed.op) return true;
+  if (!current.version) return false;
+  const order = compareVersions(String(current.version).split(".").map(Number), parsed.version);
+  switch (parsed.op) {
+    case "<":
+      return order < 0;
+    case "<=":
+      return order <= 0;
+    case ">":
+      return order > 0;
+    case ">=":
+      return order >= 0;
+    default:
+      return order === 0;
+  }
+}
+
+/**
+ * Does a browser tag value ("chrome<120, firefox") name `current`
+ * ({ name, version } or null)?
+ */
+function matchesBrowserList(value, current) {
+  return !!current && browserEntries(value).some((entry) => matchesEntry(entry, current));
+}
+
+// --- Test-environment lists ---
+
+/**
+ * Short name of a test environment as configured or tagged: the package
+ * (jest-environment-jsdom, @happy-dom/jest-environment, vitest-environment-foo)
+ * or a path into node_modules (Jest resolves testEnvironment to one) → "jsdom",
+ * "happy-dom", "foo"; a custom environment file (./env/my-env.js) → its name
+ * ("my-env"); aliases such as "happydom" → "happy-dom".
+ */
+function normalizeTestEnvironment(name) {
+  let id = String(name).trim().toLowerCase().replace(/\\/g, "/");
+  const pkg = id.match(/(?:^|\/)node_modules\/((?:@[^/]+\/)?[^/]+)/);
+  if (pkg) id = pkg[1];
+  else if (/^(?:\.{1,2}\/|\/|[a-z]:\/|<rootdir>\/)/.test(id)) {
+    id = id.replace(/^.*\//, "").replace(/\.[cm]?[jt]sx?$/, "");
+  }
+  id = id.replace(/^@([^/]+)\/(?:jest|vitest)-environment$/, "$1").replace(/^(?:jest|vitest)-environment-/, "");
+  return TEST_ENVIRONMENT_ALIASES[id] || id;
+}
+
+/**
+ * Does a test-environment tag value ("jsdom, happy-dom") name `current`?
+ */
+function matchesTestEnvironmentList(value, current) {
+  return !!current && browserEntries(value).some((entry) => normalizeTestEnvironment(entry) === current);
+}
+
+// --- Runtime checks (same interface as runtime.js) ---
+
+let browser;
+const currentBrowser = () => (browser === undefined ? (browser = detectBrowser()) : browser);
+
+const RUNTIME_TAGS = [
+  { key: "skiponbrowser", tag: "skipOnBrowser", effect: "skip", matches: true },
+  { key: "enabledonbrowser", tag: "enabledOnBrowser", effect: "skip", matches: false },
+  { key: "failsonbrowser", tag: "failsOnBrowser", effect: "fail", matches: true },
+  { key: "skipontestenvironment", tag: "skipOnTestEnvironment", effect: "skip", matches: true },
+  { key: "enabledontestenvironment", tag: "enabledOnTestEnvironment", effect: "skip", matches: false },
+];
+
+function tagMatches(key, value) {
+  return key.endsWith("browser")
+    ? matchesBrowserList(value, currentBrowser())
+    : matchesTestEnvironmentList(value, detectTestEnvironment()); // not cached: a worker may switch environments
+}
+
+function findReason(pragmas, effect = "skip") {
+  for (const { key, tag, effect: tagEffect, matches } of RUNTIME_TAGS) {
+    const value = pragmas[key];
+    if (tagEffect !== effect || !value) continue;
+    if (tagMatches(key, value) === matches) return `@${tag} ${value}`;
+  }
+  return "";
+}
+
+/**
+ * Reason string (truthy) when the browser or test-environment tags in
+ * `pragmas` say skip here, otherwise "". `meta` is { label, file, silent }.
+ */
+function skip(pragmas, meta = {}) {
+  const reason = findReason(pragmas || {});
+  if (reason && !meta.silent) console.warn(`[SKIPPING] ${meta.label} in ${meta.file} due to ${reason}`);
+  return reason;
+}
+
+/**
+ * Reason string (truthy) when @failsOnBrowser names this browser, otherwise "".
+ */
+function fails(pragmas, meta = {}) {
+  const reason = findReason(pragmas || {}, "fail");
+  if (reason && !meta.silent) console.warn(`[EXPECTED FAILURE] ${meta.label} in ${meta.file} due to ${reason}`);
+  return reason;
+}
+
+/**
+ * True when every row of a .each table carries tags that say skip.
+ */
+function allRows(rowPragmas) {
+  return rowPragmas.length > 0 && rowPragmas.every((p) => p && findReason(p));
+}
+
+/**
+ * Drop the rows of a .each table whose tags say skip (all of them: the table
+ * is returned unchanged, allRows() has switched callees).
+ */
+function rows(table, rowPragmas, meta = {}) {
+  if (allRows(rowPragmas)) return table;
+  return table.filter((_, index) => {
+    const reason = rowPragmas[index] ? findReason(rowPragmas[index]) : "";
+    if (reason && !meta.silent) {
+      console.warn(`[SKIPPING] ${meta.label} row #${index + 1} in ${meta.file} due to ${reason}`);
+    }
+    return !reason;
+  });
+}
+
+// Run `fn` and invert the outcome: resolve when it fails, throw when it passes.
+// A regular function keeps Mocha's `this` and the runner's arguments (node:test's
+// context); a parameter past those means a done callback.
+function expectFailure(fn, name) {
+  const passed = () => {
+    throw new Error(`[js-sanitizer] Expected failure "${name}" but the test passed`);
+  };
+  return function expectedFailure(...args) {
+    const context = this;
+    let result;
+    try {
+      result =
+        fn.length > args.length
+          ? new Promise((resolve, reject) => {
+              fn.call(context, ...args, (err) => (err ? reject(err) : resolve()));
+            })
+          : fn.call(context, ...args);
+    } catch {
+      return undefined;
+    }
+    if (result && typeof result.then === "function") {
+      return Promise.resolve(result).then(passed, () => undefined);
+    }
+    return passed();
+  };
+}
+
+/**
+ * Expected-failure variant of a test callee whose framework is only known at
+ * run time: callee.failing (Jest), callee.fails (Vitest), or a wrapper that
+ * inverts the test's result (Mocha, Jasmine, node:test). The wrapper keeps the
+ * other arguments in place, node:test's options included.
+ */
+function failing(callee) {
+  if (typeof callee.failing === "function") return callee.failing;
+  if (typeof callee.fails === "function") return callee.fails;
+  return (...args) => {
+    const index = args.findIndex((arg) => typeof arg === "function");
+    if (index < 0) return callee(...args);
+    const name = typeof args[0] === "string" ? args[0] : args[index].name;
+    return callee(...args.slice(0, index), expectFailure(args[index], name), ...args.slice(index + 1));
+  };
+}
+
+module.exports = {
+  BROWSER_ENGINES,
+  ENGINE_OF,
+  TEST_ENVIRONMENT_ALIASES,
+  allRows,
+  browserEntries,
+  detectBrowser,
+  detectTestEnvironment,
+  failing,
+  fails,
+  matchesBrowserList,
+  matchesTestEnvironmentList,
+  normalizeTestEnvironment,
+  parseBrowserEntry,
+  rows,
+  sameBrowser,
+  skip,
+};
@@ -0,0 +1,233 @@
+// callees.js
+// Registry of test callees the sanitizer understands, with per-framework presets.
+//
+// Each entry maps a dotted callee path (as written in the test file) to:
+//   kind: "test" | "suite"
+//   skip: dotted path of the skipped variant, or null when the callee
+//         already does not run (it.skip, xit, test.todo, ...) and is left alone.
+//   parameterized: true for table-driven forms (test.each(table)(name, fn)),
+//         derived automatically for presets listed in EACH_PRESETS.
+//   fail: expected-failure variant for the @failsOn* tags: a dotted path
+//         (test.failing, test.fails), "runtime" to let runtime.js pick one
+//         (falling back to a wrapper that inverts the result, e.g. for Mocha),
+//         or null when not applicable. Defaults to "runtime" for tests that
+//         can be skipped, null otherwise.
+//   skipOption: true when the runner takes the skip as an option instead,
+//         test(name, { skip: "reason" }, fn) (node:test); `skip` still marks
+//         whether the callee runs at all.
+//   browserGuard: dotted path of Playwright's `test` object when the browser
+//         is only known per project at run time: browser tags become
+//         test.skip(({ browserName }) => ..., reason) guards around the call.
+
+const jest = {
+  test: { kind: "test", skip: "test.skip", fail: "test.failing" },
+  "test.only": { kind: "test", skip: "test.skip", fail: "test.only.failing" },
+  "test.skip": { kind: "test", skip: null },
+  "test.todo": { kind: "test", skip: null },
+  "test.failing": { kind: "test", skip: "test.skip", fail: null },
+  "test.concurrent": { kind: "test", skip: "test.concurrent.skip" },
+  "test.concurrent.only": { kind: "test", skip: "test.concurrent.skip" },
+  "test.concurrent.skip": { kind: "test", skip: null },
+  it: { kind: "test", skip: "it.skip", fail: "it.failing" },
+  "it.only": { kind: "test", skip: "it.skip", fail: "it.only.failing" },
+  "it.skip": { kind: "test", skip: null },
+  "it.todo": { kind: "test", skip: null },
+  "it.failing": { kind: "test", skip: "it.skip", fail: null },
+  "it.concurrent": { kind: "test", skip: "it.concurrent.skip" },
+  "it.concurrent.only": { kind: "test", skip: "it.concurrent.skip" },
+  "it.concurrent.skip": { kind: "test", skip: null },
+  fit: { kind: "test", skip: "xit" },
+  xit: { kind: "test", skip: null },
+  xtest: { kind: "test", skip: null },
+  describe: { kind: "suite", skip: "describe.skip" },
+  "describe.only": { kind: "suite", skip: "describe.skip" },
+  "describe.skip": { kind: "suite", skip: null },
+  fdescribe: { kind: "suite", skip: "xdescribe" },
+  xdescribe: { kind: "suite", skip: null },
+};
+
+const vitest = {
+  test: { kind: "test", skip: "test.skip", fail: "test.fails" },
+  "test.only": { kind: "test", skip: "test.skip", fail: "test.only.fails" },
+  "test.skip": { kind: "test", skip: null },
+  "test.todo": { kind: "test", skip: null },
+  "test.fails": { kind: "test", skip: "test.skip", fail: null },
+  "test.concurrent": { kind: "test", skip: "test.concurrent.skip", fail: "test.concurrent.fails" },
+  "test.concurrent.only": { kind: "test", skip: "test.concurrent.skip", fail: "test.concurrent.only.fails" },
+  "test.concurrent.skip": { kind: "test", skip: null },
+  "test.sequential": { kind: "test", skip: "test.sequential.skip" },
+  "test.sequential.skip": { kind: "test", skip: null },
+  it: { kind: "test", skip: "it.skip", fail: "it.fails" },
+  "it.only": { kind: "test", skip: "it.skip", fail: "it.only.fails" },
+  "it.skip": { kind: "test", skip: null },
+  "it.todo": { kind: "test", skip: null },
+  "it.fails": { kind: "test", skip: "it.skip", fail: null },
+  "it.concurrent": { kind: "test", skip: "it.concurrent.skip", fail: "it.concurrent.fails" },
+  "it.concurrent.only": { kind: "test", skip: "it.concurrent.skip", fail: "it.concurrent.only.fails" },
+  "it.concurrent.skip": { kind: "test", skip: null },
+  describe: { kind: "suite", skip: "describe.skip" },
+  "describe.only": { kind: "suite", skip: "describe.skip" },
+  "describe.skip": { kind: "suite", skip: null },
+  "describe.todo": { kind: "suite", skip: null },
+  "describe.concurrent": { kind: "suite", skip: "describe.skip" },
+  "describe.sequential": { kind: "suite", skip: "describe.skip" },
+  suite: { kind: "suite", skip: "suite.skip" },
+  "suite.only": { kind: "suite", skip: "suite.skip" },
+  "suite.skip": { kind: "suite", skip: null },
+};
+
+const mochaBdd = {
+  describe: { kind: "suite", skip: "describe.skip" },
+  "describe.only": { kind: "suite", skip: "describe.skip" },
+  "describe.skip": { kind: "suite", skip: null },
+  context: { kind: "suite", skip: "context.skip" },
+  "context.only": { kind: "suite", skip: "context.skip" },
+  "context.skip": { kind: "suite", skip: null },
+  xdescribe: { kind: "suite", skip: null },
+  xcontext: { kind: "suite", skip: null },
+  it: { kind: "test", skip: "it.skip" },
+  "it.only": { kind: "test", skip: "it.skip" },
+  "it.skip": { kind: "test", skip: null },
+  specify: { kind: "test", skip: "specify.skip" },
+  "specify.only": { kind: "test", skip: "specify.skip" },
+  "specify.skip": { kind: "test", skip: null },
+  xit: { kind: "test", skip: null },
+  xspecify: { kind: "test", skip: null },
+};
+
+const mochaTdd = {
+  suite: { kind: "suite", skip: "suite.skip" },
+  "suite.only": { kind: "suite", skip: "suite.skip" },
+  "suite.skip": { kind: "suite", skip: null },
+  test: { kind: "test", skip: "test.skip" },
+  "test.only": { kind: "test", skip: "test.skip" },
+  "test.skip": { kind: "test", skip: null },
+};
+
+const jasmine = {
+  describe: { kind: "suite", skip: "xdescribe" },
+  fdescribe: { kind: "suite", skip: "xdescribe" },
+  xdescribe: { kind: "suite", skip: null },
+  it: { kind: "test", skip: "xit" },
+  fit: { kind: "test", skip: "xit" },
+  xit: { kind: "test", skip: null },
+};
+
+// node:test: test([name][, options][, fn]); skipped through `options.skip`.
+// It has no expected-failure variant: runtime.js wraps the test function.
+const nodeTest = {};
+for (const base of ["test", "it", "describe", "suite"]) {
+  const kind = base === "describe" || base === "suite" ? "suite" : "test";
+  const fail = kind === "test" ? "runtime" : null;
+  nodeTest[base] = { kind, skip: `${base}.skip`, fail, skipOption: true };
+  nodeTest[`${base}.only`] = { kind, skip: `${base}.skip`, fail, skipOption: true };
+  nodeTest[`${base}.skip`] = { kind, skip: null };
+  nodeTest[`${base}.todo`] = { kind, skip: null };
+}
+
+// @playwright/test: test.skip(title, fn) declares a skipped test, test.fail an
+// expected failure; test.fixme never runs
+const playwright = {
+  test: { kind: "test", skip: "test.skip", fail: "test.fail" },
+  "test.only": { kind: "test", skip: "test.skip", fail: null },
+  "test.skip": { kind: "test", skip: null },
+  "test.fixme": { kind: "test", skip: null },
+  "test.fail": { kind: "test", skip: "test.skip", fail: null },
+  "test.describe": { kind: "suite", skip: "test.describe.skip" },
+  "test.describe.only": { kind: "suite", skip: "test.describe.skip" },
+  "test.describe.serial": { kind: "suite", skip: "test.describe.skip" },
+  "test.describe.parallel": { kind: "suite", skip: "test.describe.skip" },
+  "test.describe.skip": { kind: "suite", skip: null },
+  "test.describe.fixme": { kind: "suite", skip: null },
+};
+for (const entry of Object.values(playwright)) entry.browserGuard = "test";
+
+const CALLEE_PRESETS = {
+  jest,
+  vitest,
+  "mocha-bdd": mochaBdd,
+  "mocha-tdd": mochaTdd,
+  jasmine,
+  "node-test": nodeTest,
+  playwright,
+};
+
+// Modules whose imports select a preset for the names they bind, whatever the
+// `frameworks` option says. `default` is what the default export (or the
+// whole CommonJS module) is called in the preset, null when it isn't a callee.
+const IMPORT_SOURCES = {
+  vitest: { preset: "vitest", default: null },
+  "@jest/globals": { preset: "jest", default: null },
+  mocha: { preset: "mocha-bdd", default: null },
+  "node:test": { preset: "node-test", default: "test" },
+  "@playwright/test": { preset: "playwright", default: "test" },
+};
+
+// Presets whose callees also come in a table-driven `.each` form
+const EACH_PRESETS = new Set(["jest", "vitest"]);
+
+// test.each → test.skip.each, fit.each → xit.each, describe.only.each → describe.skip.each
+function eachEntries(preset) {
+  const out = {};
+  for (const [callee, entry] of Object.entries(preset)) {
+    if (/\.todo$/.test(callee)) continue;
+    out[`${callee}.each`] = {
+      kind: entry.kind,
+      skip: entry.skip ? `${entry.skip}.each` : null,
+      fail: null,
+      parameterized: true,
+    };
+  }
+  return out;
+}
+
+// Presets merged when the `frameworks` option is not set. Order matters:
+// later presets win, so `it`/`describe` keep the `.skip` forms Jest, Vitest
+// and Mocha share (jasmine only contributes its x/f variants).
+const DEFAULT_FRAMEWORKS = ["jasmine", "mocha-tdd", "mocha-bdd", "vitest", "jest"];
+
+// Fill in the default `fail` of an entry
+function normalizeEntry(entry) {
+  const fail = "fail" in entry ? entry.fail : entry.kind === "test" && entry.skip ? "runtime" : null;
+  return { parameterized: false, skipOption: false, browserGuard: null, ...entry, fail };
+}
+
+/**
+ * Build a Map of dotted callee path → { kind, skip, fail, parameterized } from
+ * framework presets, then apply custom entries (an entry set to false removes
+ * that callee). When merged presets disagree on a callee's expected-failure
+ * variant (Jest's test.failing vs Vitest's test.fails) it is left to runtime.js.
+ */
+function createCalleeRegistry(frameworks, custom) {
+  const registry = new Map();
+  for (const name of frameworks || DEFAULT_FRAMEWORKS) {
+    const preset = CALLEE_PRESETS[name];
+    const entries = EACH_PRESETS.has(name) ? { ...preset, ...eachEntries(preset) } : preset;
+    for (const [callee, raw] of Object.entries(entries)) {
+      const entry = normalizeEntry(raw);
+      const previous = registry.get(callee);
+      if (previous && entry.fail && previous.fail && previous.fail !== entry.fail) {
+        entry.fail = "runtime";
+      }
+      registry.set(callee, entry);
+    }
+  }
+  for (const [callee, entry] of Object.entries(custom || {})) {
+    if (entry === false) {
+      registry.delete(callee);
+      continue;
+    }
+    registry.set(
+      callee,
+      normalizeEntry({
+        kind: entry.kind || "test",
+        skip: entry.skip ?? null,
+        ...("fail" in entry ? { fail: entry.fail } : {}),
+        parameterized: /\.each$/.test(callee),
+      })
+    );
+  }
+  return registry;
+}
+
+module.exports = { CALLEE_PRESETS, DEFAULT_FRAMEWORKS, IMPORT_SOURCES, createCalleeRegistry };
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+// cli.js
+// js-sanitizer command line.
+//
+//   js-sanitizer list [paths or globs...] [--os <os>] [--node <version>]
+//                     [--arch <arch>] [--browser <name>] [--matrix]
+//                     [--test-environment <name>] [--json] [--config <file>]
+//
+// `list` runs the plugin's own analysis (callee registry, docblock pragmas,
+// tag handlers) over test files without running them, for the detected
+// environment or for overrides, and prints what each test would do.
+
+const fs = require("fs");
+const path = require("path");
+const jsSanitizer = require("./sanitizer.js");
+const { parserPlugins } = require("./rewrite.js");
+const { describeSimulated, environmentLabel, simulateEnvironment } = require("./environment.js");
+
+const DEFAULT_PATTERNS = [
+  "**/*.{test,spec}.{js,jsx,mjs,cjs,ts,tsx,mts,cts}",
+  "**/__tests__/**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}",
+];
+const IGNORED_DIRS = new Set(["node_modules", "coverage", "dist", "build"]);
+const AXES = ["os", "node", "arch", "browser"];
+
+const USAGE = `Usage: js-sanitizer list [paths or globs...] [options]
+
+Show which tests would be skipped, without running them.
+
+Options:
+  --os <os>            Platform to simulate (win32, darwin, linux, windows, macos, ...)
+  --node <version>     Node version to simulate (20, 18.19.0, ...)
+  --arch <arch>        CPU architecture to simulate (x64, arm64, ...)
+  --browser <name>     Browser to simulate (chrome, firefox, safari, edge, none; chrome@119 adds a version)
+  --test-environment <name>
+                       Test environment of files without an @jest-environment /
+                       @vitest-environment docblock (node, jsdom, happy-dom, ...)
+  --matrix             Treat comma lists in the options above as a matrix
+                       (--os linux,win32 --node 18,20 → 4 environments)
+  --json               Print JSON instead of a table
+  --config <file>      Project config with custom tags (default: js-sanitizer.config.js)
+  -h, --help           Show this help
+
+Without paths, test files matching ${DEFAULT_PATTERNS.join(" and ")} are listed.`;
+
+class UsageError extends Error {}
+
+// --- Arguments ---
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    inputs: [],
+    overrides: {},
+    matrix: false,
+    json: false,
+    config: null,
+    testEnvironment: null,
+    help: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith("--") ? arg.split(/=(.*)/s) : [arg];
+    const value = () => {
+      if (inline !== undefined) return inline;
+      if (i + 1 >= argv.length || argv[i + 1].startsWith("--")) throw new UsageError(`${flag} needs a value`);
+      return argv[++i];
+    };
+    if (flag === "-h" || flag === "--help") args.help = true;
+    else if (flag === "--matrix") args.matrix = true;
+    else if (flag === "--json") args.json = true;
+    else if (flag === "--format") args.json = value() === "json";
+    else if (flag === "--config") args.config = value();
+    else if (flag === "--test-environment") args.testEnvironment = value();
+    else if (AXES.includes(flag.slice(2)) && flag.startsWith("--")) args.overrides[flag.slice(2)] = value();
+    else if (flag.startsWith("-")) throw new UsageError(`unknown option ${flag}`);
+    else if (!args.command) args.command = arg;
+    else args.inputs.push(arg);
+  }
+  return args;
+}
+
+// { os: "linux,win32", node: "20" } → [{ os: "linux", node: "20" }, { os: "win32", node: "20" }]
+function environmentMatrix(overrides, matrix) {
+  let combos = [{}];
+  for (const axis of AXES) {
+    if (!overrides[axis]) continue;
+    const values = String(overrides[axis]).split(",").map((v) => v.trim()).filter(Boolean);
+    if (values.length > 1 && !matrix) {
+      throw new UsageError(`--${axis} takes one value; add --matrix to compare ${values.join(", ")}`);
+    }
+    combos = combos.flatMap((combo) => values.map((v) => ({ ...combo, [axis]: v })));
+  }
+  return combos;
+}
+
+// --- Finding test files ---
+
+function globToRegExp(glob) {
+  const escape = (s) => s.replace(/[.+^$()|[\]\\]/g, "\\$&");
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        re += "(?:.*/)?";
+      } else {
+        re += ".*";
+      }
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "{" && glob.indexOf("}", i) > i) {
+      const end = glob.indexOf("}", i);
+      re += `(?:${glob.slice(i + 1, end).split(",").map(escape).join("|")})`;
+      i = end;
+    } else {
+      re += escape(ch);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function walk(dir, out = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.has(entry.name)) walk(full, out);
+    } else if (entry.isFile()) {
+      out.push(full);
+    }
+  }
+  return out;
+}
+
+// Files named directly, files under named directories, and glob matches
+function findTestFiles(inputs, cwd) {
+  const found = new Set();
+  const toPosix = (p) => p.split(path.sep).join("/");
+  const matchIn = (dir, patterns) => {
+    const regexps = patterns.map(globToRegExp);
+    for (const file of walk(dir)) {
+      const rel = toPosix(path.relative(dir, file));
+      if (regexps.some((re) => re.test(rel))) found.add(file);
+    }
+  };
+
+  const globs = [];
+  for (const input of inputs.length ? inputs : ["."]) {
+    const full = path.resolve(cwd, input);
+    const stat = fs.existsSync(full) ? fs.statSync(full) : null;
+    if (stat && stat.isFile()) found.add(full);
+    else if (stat && stat.isDirectory()) matchIn(full, DEFAULT_PATTERNS);
+    else globs.push(toPosix(input).replace(/^\.\//, ""));
+  }
+  if (globs.length) matchIn(cwd, globs);
+  return [...found].sort();
+}
+
+// --- Analysis ---
+
+function loadBabel() {
+  try {
+    return require("@babel/core");
+  } catch {
+    throw new UsageError("@babel/core is required (npm install --save-dev @babel/core)");
+  }
+}
+
+// Options of js-sanitizer in the project's Babel config, if it can be loaded
+function projectPluginOptions(babel, filename) {
+  try {
+    const partial = babel.loadPartialConfig({ filename });
+    for (const item of (partial && partial.options.plugins) || []) {
+      const request = (item.file && item.file.request) || "";
+      if (item.value === jsSanitizer || /js-sanitizer/.test(request)) return item.options || {};
+    }
+  } catch {
+    /* no usable Babel config: plugin defaults */
+  }
+  return {};
+}
+
+// Transform one file for one environment and collect the onTest entries
+function analyzeFile(babel, filename, pluginOptions, environment) {
+  const entries = [];
+  const plugin = (api, opts) => jsSanitizer.createSanitizer(api, opts, { environment, onTest: (e) => entries.push(e) });
+  babel.transformSync(fs.readFileSync(filename, "utf8"), {
+    filename,
+    babelrc: false,
+    configFile: false,
+    sourceType: "unambiguous",
+    parserOpts: { plugins: parserPlugins(filename) },
+    plugins: [[plugin, pluginOptions]],
+    code: false,
+  });
+  return inheritSuiteSkips(entries);
+}
+
+// Is position (line, column) a before b?
+const before = (a, b) => a.line < b.line || (a.line === b.line && a.column < b.column);
+
+// Tests inside a skipped suite don't run either. Positions compare lines and
+// columns, so a test on the suite's own line counts too.
+function inheritSuiteSkips(entries) {
+  const skippedSuites = entries.filter(
+    (e) => e.kind === "suite" && e.outcome === "skipped" && e.scope !== "row" && e.endLine
+  );
+  const inside = (e, s) => before(s, e) && before(e, { line: s.endLine, column: s.endColumn ?? Infinity });
+  return entries.map((e) => {
+    if (e.outcome === "skipped") return e;
+    const suite = skippedSuites.find((s) => s !== e && inside(e, s));
+    return suite
+      ? { ...e, outcome: "skipped", scope: "suite", reason: `inside skipped ${suite.callee}("${suite.test}")` }
+      : e;
+  });
+}
+
+function list(args, cwd) {
+  const babel = loadBabel();
+  const files = findTestFiles(args.inputs, cwd);
+  const environments = environmentMatrix(args.overrides, args.matrix).map((o) => simulateEnvironment(o));
+  const pluginOptions = {
+    ...(files.length ? projectPluginOptions(babel, files[0]) : {}),
+    mode: "compile",
+    silent: true,
+    logFile: false,
+    report: false,
+    junit: false,
+    strict: false,
+  };
+  if (args.config) pluginOptions.configFile = args.config;
+  if (args.testEnvironment) pluginOptions.testEnvironment = args.testEnvironment;
+
+  // One row per test (and per skipped .each row), one result per environment.
+  // A file that fails to parse or has a broken tag is reported and left out.
+  const tests = new Map();
+  const errors = new Map();
+  environments.forEach((environment, envIndex) => {
+    for (const file of files) {
+      if (errors.has(file)) continue;
+      let entries;
+      try {
+        entries = analyzeFile(babel, file, pluginOptions, environment);
+      } catch (err) {
+        errors.set(file, String(err.message).replace(`${file}: `, ""));
+        continue;
+      }
+      for (const e of entries) {
+        const key = `${e.file}:${e.line}:${e.column}:${e.row || ""}`;
+        if (!tests.has(key)) {
+          const { file: f, line, column, test, callee, kind, row } = e;
+          tests.set(key, { file: f, line, column, test, callee, kind, row, results: [] });
+        }
+        tests.get(key).results[envIndex] = { outcome: e.outcome, tag: e.tag, reason: e.reason };
+      }
+    }
+  });
+
+  const rows = [...tests.values()].sort(
+    (a, b) => a.file.localeCompare(b.file) || a.line - b.line || (a.row || 0) - (b.row || 0)
+  );
+  for (const row of rows) {
+    for (let i = 0; i < environments.length; i++) {
+      // .each rows only show up where they were dropped
+      if (!row.results[i]) row.results[i] = { outcome: row.row ? "enabled" : "unaffected", tag: null, reason: null };
+    }
+  }
+  const failed = [...errors].map(([file, message]) => ({ file: path.relative(cwd, file) || file, message }));
+  return { files, environments, rows, errors: failed };
+}
+
+// --- Output ---
+
+function printJSON({ environments, rows }) {
+  const strip = ({ platform, node, arch, browser, simulated }) => ({ platform, node, arch, browser, simulated });
+  console.log(JSON.stringify({ environments: environments.map(strip), tests: rows }, null, 2));
+}
+
+function printTable({ files, environments, rows }) {
+  const single = environments.length === 1;
+  const header = ["Location", "Test", ...(single ? ["Outcome", "Reason"] : environments.map(environmentLabel))];
+  const lines = rows.map((r) => [
+    `${r.file}:${r.line}`,
+    `${r.callee}("${r.test}")${r.row ? ` [row #${r.row}]` : ""}`,
+    ...(single
+      ? [r.results[0].outcome, r.results[0].reason || ""]
+      : r.results.map((res) => (res.outcome === "unaffected" ? "-" : res.outcome))),
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...lines.map((l) => l[i].length)));
+  const format = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+
+  if (single) console.log(`Environment: ${environmentLabel(environments[0])}${describeSimulated(environments[0])}\n`);
+  console.log(format(header));
+  console.log(format(widths.map((w) => "-".repeat(w))));
+  for (const line of lines) console.log(format(line));
+
+  console.log(`\n${rows.length} test(s) in ${files.length} file(s)`);
+  environments.forEach((env, i) => {
+    const counts = {};
+    for (const r of rows) counts[r.results[i].outcome] = (counts[r.results[i].outcome] || 0) + 1;
+    const summary = ["skipped", "expected-failure", "enabled", "unaffected"]
+      .filter((o) => counts[o])
+      .map((o) => `${counts[o]} ${o}`)
+      .join(", ");
+    console.log(`  ${environmentLabel(env)}: ${summary || "nothing"}`);
+  });
+}
+
+function main(argv = process.argv.slice(2), cwd = process.cwd()) {
+  try {
+    const args = parseArgs(argv);
+    if (args.help || !args.command) {
+      console.log(USAGE);
+      return args.help ? 0 : 2;
+    }
+    if (args.command !== "list") throw new UsageError(`unknown command "${args.command}"`);
+    const result = list(args, cwd);
+    if (args.json) printJSON(result);
+    else printTable(result);
+    for (const { file, message } of result.errors) console.error(`${file}: ${message}`);
+    return result.errors.length ? 1 : 0;
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`js-sanitizer: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  process.exitCode = main();
+}
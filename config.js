@@ -0,0 +1,144 @@
+// config.js
+// Project configuration: custom tags and shared named conditions.
+//
+// Looked up in process.cwd(), first match wins:
+//   1. the plugin's `configFile` option, or JS_SANITIZER_CONFIG
+//   2. js-sanitizer.config.js / js-sanitizer.config.cjs (CommonJS)
+//   3. the "sanitizer" key of package.json (JSON, so expression strings only)
+//
+//   module.exports = {
+//     conditions: {
+//       slowRunner: (env) => env.cpus < 4,
+//       legacyWindows: 'os == "win32" && node < 18',
+//     },
+//     tags: {
+//       skipWithoutGpu: {
+//         shouldSkip: (value, env) => !env.env.CUDA_VISIBLE_DEVICES,
+//         format: (value) => "@skipWithoutGpu (no CUDA_VISIBLE_DEVICES)",
+//       },
+//       skipOnSlowRunner: { skipIf: "slowRunner" },
+//     },
+//   };
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_FILES = ["js-sanitizer.config.js", "js-sanitizer.config.cjs"];
+const TAG_NAME_RE = /^[A-Za-z][\w-]*$/;
+const CONDITION_NAME_RE = /^[A-Za-z_$][\w$]*$/;
+
+const EMPTY_CONFIG = Object.freeze({ file: null, tags: {}, conditions: {} });
+
+function configError(file, msg) {
+  return new Error(`[js-sanitizer] Invalid config in ${file}: ${msg}`);
+}
+
+// Config file in use → absolute path, { file, key: "sanitizer" } for package.json, or null
+function resolveConfigFile(cwd, configFile) {
+  const explicit = configFile || process.env.JS_SANITIZER_CONFIG;
+  if (explicit) return path.resolve(cwd, explicit);
+  for (const name of CONFIG_FILES) {
+    const file = path.join(cwd, name);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+function readPackageConfig(cwd) {
+  const file = path.join(cwd, "package.json");
+  try {
+    const pkg = JSON.parse(fs.readFileSync(file, "utf8"));
+    return pkg && pkg.sanitizer ? { file: `${file}#sanitizer`, raw: pkg.sanitizer } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Re-read a config file that changed since it was required (watch mode)
+const loadedAt = new Map();
+function requireFresh(file) {
+  const mtime = fs.statSync(file).mtimeMs;
+  if (loadedAt.has(file) && loadedAt.get(file) !== mtime) delete require.cache[require.resolve(file)];
+  loadedAt.set(file, mtime);
+  return require(file);
+}
+
+function normalizeConfig(raw, file) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw configError(file, "expected an object with `tags` and/or `conditions`.");
+  }
+  for (const key of Object.keys(raw)) {
+    if (key !== "tags" && key !== "conditions") {
+      throw configError(file, `unknown key "${key}". Known keys: tags, conditions.`);
+    }
+  }
+
+  const conditions = {};
+  for (const [name, condition] of Object.entries(raw.conditions || {})) {
+    if (!CONDITION_NAME_RE.test(name)) {
+      throw configError(file, `condition name "${name}" must be an identifier.`);
+    }
+    if (typeof condition !== "function" && !(typeof condition === "string" && condition.trim())) {
+      throw configError(file, `condition "${name}" must be a function (env) => boolean or an expression string.`);
+    }
+    conditions[name] = condition;
+  }
+
+  const tags = {};
+  for (const [tag, def] of Object.entries(raw.tags || {})) {
+    if (!TAG_NAME_RE.test(tag)) {
+      throw configError(file, `tag name "${tag}" must start with a letter and contain only letters, digits, "_" or "-".`);
+    }
+    if (!def || typeof def !== "object") {
+      throw configError(file, `tag "${tag}" must be an object ({ shouldSkip, format } or { skipIf }).`);
+    }
+    if (typeof def.shouldSkip !== "function" && !(typeof def.skipIf === "string" && def.skipIf.trim())) {
+      throw configError(file, `tag "${tag}" needs a shouldSkip(value, env) function or a skipIf expression.`);
+    }
+    for (const fn of ["format", "validate"]) {
+      if (def[fn] !== undefined && typeof def[fn] !== "function") {
+        throw configError(file, `"tags.${tag}.${fn}" must be a function.`);
+      }
+    }
+    if (def.effect !== undefined && def.effect !== "skip" && def.effect !== "fail") {
+      throw configError(file, `"tags.${tag}.effect" must be "skip" or "fail".`);
+    }
+    tags[tag] = def;
+  }
+
+  return { file, tags, conditions };
+}
+
+/**
+ * Load the project config → { file, tags, conditions }. Returns an empty config
+ * when there is none; throws when a config exists but is malformed.
+ */
+function loadProjectConfig({ cwd = process.cwd(), configFile = null } = {}) {
+  const file = resolveConfigFile(cwd, configFile);
+  if (file) {
+    let raw;
+    try {
+      raw = requireFresh(file);
+    } catch (err) {
+      throw configError(file, err.message);
+    }
+    return normalizeConfig(raw && raw.__esModule ? raw.default : raw, file);
+  }
+  const pkg = readPackageConfig(cwd);
+  return pkg ? normalizeConfig(pkg.raw, pkg.file) : EMPTY_CONFIG;
+}
+
+/**
+ * Cache key of the project config (path and modification time), so cached
+ * transforms are redone when it changes.
+ */
+function projectConfigKey({ cwd = process.cwd(), configFile = null } = {}) {
+  const file = resolveConfigFile(cwd, configFile) || path.join(cwd, "package.json");
+  try {
+    return `${file}@${fs.statSync(file).mtimeMs}`;
+  } catch {
+    return "";
+  }
+}
+
+module.exports = { CONFIG_FILES, loadProjectConfig, projectConfigKey };
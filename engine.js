@@ -0,0 +1,601 @@
+// engine.js
+// The parser-independent part of js-sanitizer: options, environment, tag
+// evaluation, callee registry and reporting. Backends (the Babel plugin in
+// sanitizer.js, the string-level rewriter in rewrite.js) walk their own ASTs,
+// hand every test call to planFile() and apply the plan it returns as AST or
+// string edits; every decision, log line and report entry is made here.
+//
+// Comments are passed in Babel's shape, which every backend can produce:
+//   { type: "CommentBlock", value, loc: { start: { line, column } } }
+// Test sites are { filename, info, testName, label, loc, endLine, endColumn },
+// with `loc` the 1-based line and 0-based column of the call and endLine /
+// endColumn where it ends (1-based, like the entries' line and column). Tag lookups take
+// `where` = { guarded, testEnvironment }: whether the call is a guarded
+// (Playwright) one, and the file's test environment from testEnvironmentOf().
+
+const fs = require("fs");
+const path = require("path");
+const { extract, parse } = require("jest-docblock");
+const { validateOptions } = require("./options.js");
+const { loadProjectConfig, projectConfigKey } = require("./config.js");
+const { createCalleeRegistry } = require("./callees.js");
+const { resolveImported } = require("./imports.js");
+const { describeSimulated, detectEnvironment, environmentKey, simulateEnvironment } = require("./environment.js");
+const { normalizeTestEnvironment } = require("./browser-runtime.js");
+const { createTagHandlers, isTagSet, suggestTag } = require("./tags.js");
+const { createReportWriter } = require("./report.js");
+
+const LEADING_TAG_RE = /^(\s*\*?\s*)@([A-Za-z][\w-]*)/;
+// Comments that open a file (after a hashbang), where Jest and Vitest look for
+// @jest-environment / @vitest-environment
+const HEADER_COMMENTS_RE = /^(?:#!.*)?(?:\s*(?:\/\*[\s\S]*?\*\/|\/\/.*))*/;
+const ENVIRONMENT_PRAGMA_RE = /@(?:jest|vitest)-environment\s+([^\s*]+)/;
+// Docblocks (/** ... */); the capture is what parsePragmas reads as comment.value
+const DOCBLOCK_RE = /\/\*(\*[\s\S]*?)\*\//g;
+// Appended by the string backend to the files it changed
+const REWRITTEN_MARKER = "/* js-sanitizer: rewritten */";
+
+/**
+ * Create the engine for one set of plugin options. Hooks:
+ *   environment  snapshot to evaluate tags against instead of the detected one
+ *   onTest(entry) called for every runnable test / suite with its outcome:
+ *                "skipped" | "expected-failure" | "enabled" (tags, no match) |
+ *                "unaffected" (no tags); entries as in the report plus endLine
+ *                and endColumn
+ */
+function createEngine(pluginOptions, hooks = {}) {
+  // --- Environment (normalized), project config and tag handlers ---
+  let environment = null;
+  let tagHandlers = null;
+
+  // --- Options (the environment and custom tags depend on validated options) ---
+  const options = validateOptions(pluginOptions, {
+    knownTags: ({ configFile, environment: simulate }) => {
+      environment = hooks.environment || simulateEnvironment(simulate || {}, detectEnvironment());
+      tagHandlers = createTagHandlers(environment, loadProjectConfig({ configFile }));
+      return tagHandlers.map((h) => h.tag);
+    },
+  });
+  const activeHandlers = options.tags
+    ? tagHandlers.filter((h) => options.tags.includes(h.tag.toLowerCase()))
+    : tagHandlers;
+  const calleeRegistry = createCalleeRegistry(options.frameworks, options.callees);
+  const runtimeMode = options.mode === "runtime";
+
+  // Compile-time decisions depend on the environment; runtime mode emits
+  // environment-independent code and only depends on the project config.
+  function cacheKey() {
+    const configKey = projectConfigKey({ configFile: options.configFile });
+    return runtimeMode ? configKey : `${environmentKey()}|${configKey}`;
+  }
+
+  // --- Reporting (directory is created lazily, on the first skip) ---
+  const reportDir = path.resolve(process.cwd(), options.reportDir);
+  const logFilePath = options.logFile ? path.resolve(reportDir, options.logFile) : null;
+  const relativeFile = (filename) => path.relative(process.cwd(), filename) || filename;
+  const reportWriter = createReportWriter({
+    reportDir,
+    report: options.report,
+    junit: options.junit,
+    environment,
+  });
+
+  function logMessage(msg) {
+    if (!logFilePath) return;
+    const ts = new Date().toISOString();
+    try {
+      fs.mkdirSync(path.dirname(logFilePath), { recursive: true });
+      fs.appendFileSync(logFilePath, `[${ts}] ${msg}\n`, "utf8");
+    } catch {
+      /* ignore logging errors */
+    }
+  }
+
+  // Skip / expected-failure lines are marked when simulated values were in use
+  function reportSkip(msg) {
+    const line = msg + describeSimulated(environment);
+    if (!options.silent) console.warn(line);
+    logMessage(line);
+  }
+
+  // --- Callees ---
+
+  // Registries of the presets selected by imports (imports.js), built on first use
+  const importRegistries = new Map();
+  function importRegistry(preset) {
+    if (!importRegistries.has(preset)) importRegistries.set(preset, createCalleeRegistry([preset]));
+    return importRegistries.get(preset);
+  }
+
+  // Registry entry of a dotted callee path ("it", "test.concurrent.only"), or
+  // null. `binding` is the import behind its first segment, if any: the path is
+  // then looked up in that module's preset, and the variants point back at the
+  // local name (import { test as t } → t.skip).
+  function analyzeCallee(name, binding = null) {
+    if (name === null) return null;
+    let imported = null;
+    let entry = null;
+    if (binding) {
+      for (const reading of resolveImported(name, binding)) {
+        entry = importRegistry(reading.preset).get(reading.name);
+        if (entry) {
+          imported = reading;
+          break;
+        }
+      }
+    } else {
+      entry = calleeRegistry.get(name);
+    }
+    if (!entry) return null;
+    const localize = imported ? imported.localize : (path) => path;
+    const fail = entry.fail && entry.fail !== "runtime" ? localize(entry.fail) : entry.fail;
+    return {
+      name,
+      base: (imported ? imported.name : name).split(".")[0],
+      kind: entry.kind,
+      skip: entry.skip && localize(entry.skip),
+      fail,
+      parameterized: !!entry.parameterized,
+      skipOption: !!entry.skipOption,
+      browserGuard: entry.browserGuard ? localize(entry.browserGuard) : null,
+    };
+  }
+
+  const acceptsFailTags = (info) => info.kind === "test" && !!info.fail && !info.parameterized;
+
+  // --- Tags ---
+
+  // jest-docblock pragmas of one block comment, keys lowercased (null if none)
+  function parsePragmas(comment) {
+    if (!comment) return null;
+
+    try {
+      const raw = "/*" + comment.value + "*/";
+      const docblock = extract(raw);
+      const pragmas = parse(docblock) || {};
+
+      // Lowercase keys for case-insensitive lookup
+      const pragmasLC = Object.create(null);
+      for (const [k, v] of Object.entries(pragmas)) {
+        pragmasLC[String(k).toLowerCase()] = v;
+      }
+      return pragmasLC;
+    } catch {
+      return null;
+    }
+  }
+
+  const effectOf = (handler) => handler.effect || "skip";
+
+  // Test environment of a file, normalized (jsdom, happy-dom, node, ...), or
+  // null when unknown: an @jest-environment / @vitest-environment pragma in its
+  // opening comments, then `configured` (the framework config, when the entry
+  // point knows it), then the testEnvironment option
+  function testEnvironmentOf(code, configured = null) {
+    const pragma = ENVIRONMENT_PRAGMA_RE.exec(HEADER_COMMENTS_RE.exec(String(code || ""))[0]);
+    const name = (pragma && pragma[1]) || configured || options.testEnvironment;
+    return name ? normalizeTestEnvironment(name) : null;
+  }
+
+  // Playwright tests run in Node whatever the file says
+  const testEnvironmentAt = ({ guarded = false, testEnvironment = null } = {}) =>
+    guarded ? "node" : testEnvironment;
+
+  // Browser tags are decided here only when a browser is known: simulated
+  // (JS_SANITIZER_BROWSER, the CLI's --browser) or detected while compiling.
+  // Otherwise they go where the tests run: browserGuards() for guarded
+  // (Playwright) tests, the runtime pragmas in runtime mode, deferredPragmas()
+  // for browser-runtime.js in compile mode. Test-environment tags follow the
+  // same path when the file's test environment is unknown.
+  const browserKnown = !!environment.browser || "browser" in (environment.simulated || {});
+  function decidedHere(handler, where = {}) {
+    if (handler.browserCondition) return browserKnown || (runtimeMode && !where.guarded);
+    if (handler.testEnvironment) return runtimeMode || testEnvironmentAt(where) !== null;
+    return true;
+  }
+
+  // First active handler of the given effect ("skip" or "fail") whose condition
+  // matches → { tag, value, reason }, or null. Errors thrown by a handler go
+  // through `onError(err, tag)`, which returns the error to throw (backends add
+  // the file, line and code frame).
+  function findHit(pragmasLC, effect = "skip", onError = (err) => err, where = {}) {
+    const context = { testEnvironment: testEnvironmentAt(where) };
+    for (const handler of activeHandlers) {
+      if (effectOf(handler) !== effect || !decidedHere(handler, where)) continue;
+      const { tag, shouldSkip, format } = handler;
+      const value = pragmasLC[String(tag).toLowerCase()];
+      if (!isTagSet(handler, value)) continue;
+
+      let skip;
+      try {
+        skip = shouldSkip(value, context);
+      } catch (err) {
+        throw onError(err, tag);
+      }
+      if (skip) return { tag, value, reason: format(value) };
+    }
+    return null;
+  }
+
+  // Active pragmas as a plain object for an emitted runtime guard (null if none).
+  // Expressions are still parsed here so syntax errors fail the build.
+  // `effect` limits them to "skip" or "fail" tags.
+  function runtimePragmas(pragmasLC, effect = null, onError = (err) => err, where = {}) {
+    const out = {};
+    for (const handler of activeHandlers) {
+      if ((effect && effectOf(handler) !== effect) || !decidedHere(handler, where)) continue;
+      const key = handler.tag.toLowerCase();
+      const value = pragmasLC[key];
+      if (!isTagSet(handler, value)) continue;
+      if (handler.parse) {
+        for (const source of [].concat(value)) {
+          try {
+            handler.parse(String(source));
+          } catch (err) {
+            throw onError(err, handler.tag);
+          }
+        }
+      }
+      out[key] = value;
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  // Compile mode: browser and test-environment tags of an unguarded test that
+  // are left to browser-runtime.js, as a plain object for its skip() / fails()
+  // (null if none)
+  function deferredPragmas(pragmasLC, effect = "skip", where = {}) {
+    const out = {};
+    for (const handler of activeHandlers) {
+      if (effectOf(handler) !== effect || decidedHere(handler, where)) continue;
+      const key = handler.tag.toLowerCase();
+      if (isTagSet(handler, pragmasLC[key])) out[key] = pragmasLC[key];
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  // Browser tags of a guarded test, for test.skip / test.fail(({ browserName })
+  // => ..., reason) → [{ tag, value, reason, engines, negate, versioned }]
+  function browserGuards(pragmasLC, effect = "skip") {
+    const guards = [];
+    for (const handler of activeHandlers) {
+      if (!handler.browserCondition || effectOf(handler) !== effect) continue;
+      if (decidedHere(handler, { guarded: true })) continue;
+      const value = pragmasLC[handler.tag.toLowerCase()];
+      if (!isTagSet(handler, value)) continue;
+      guards.push({ tag: handler.tag, value, reason: handler.format(value), ...handler.browserCondition(value) });
+    }
+    return guards;
+  }
+
+  // Effects ("skip", "fail") of the active tags among runtime pragmas
+  function pragmaEffects(pragmas) {
+    return new Set(activeHandlers.filter((h) => h.tag.toLowerCase() in pragmas).map(effectOf));
+  }
+
+  const isTagged = (pragmasLC) =>
+    !!pragmasLC && activeHandlers.some((h) => isTagSet(h, pragmasLC[h.tag.toLowerCase()]));
+
+  // Position of "@tag" inside a docblock comment → { line, column } (1-based
+  // line, 0-based column), or null without location info or when it isn't there
+  function tagLocation(comment, tag) {
+    if (!comment || !comment.loc) return null;
+    const rx = new RegExp(`@${tag}\\b`, "i");
+    const lines = comment.value.split(/\r?\n/);
+    const offset = lines.findIndex((l) => rx.test(l));
+    if (offset < 0) return null;
+    const column = lines[offset].search(rx);
+    return {
+      line: comment.loc.start.line + offset,
+      column: offset === 0 ? comment.loc.start.column + 2 + column : column,
+    };
+  }
+
+  // --- Tag validation ---
+  const knownTagNames = tagHandlers.map((h) => h.tag);
+  const activeByName = new Map(activeHandlers.map((h) => [h.tag.toLowerCase(), h]));
+
+  // Problems in the sanitizer tags of one docblock → [{ line, column, message }]:
+  // unknown tags that look like ours, and values outside a tag's domain.
+  // Expression tags are skipped here; their syntax errors always fail the build.
+  function checkDocblock(comment) {
+    const problems = [];
+    const seen = new Set();
+    let pragmasLC = null;
+    comment.value.split(/\r?\n/).forEach((text, index) => {
+      const m = LEADING_TAG_RE.exec(text);
+      if (!m) return;
+      const name = m[2];
+      const key = name.toLowerCase();
+      const at = {
+        line: comment.loc.start.line + index,
+        column: (index === 0 ? comment.loc.start.column + 2 : 0) + m[1].length,
+      };
+      if (!knownTagNames.some((tag) => tag.toLowerCase() === key)) {
+        const hint = suggestTag(name, knownTagNames);
+        if (hint) problems.push({ ...at, message: `Unknown tag @${name}: ${hint}` });
+        return;
+      }
+      const handler = activeByName.get(key);
+      if (!handler || !handler.validate || handler.parse || seen.has(key)) return;
+      seen.add(key);
+      pragmasLC = pragmasLC || parsePragmas(comment) || {};
+      const problem = handler.validate(pragmasLC[key] ?? "");
+      if (problem) problems.push({ ...at, message: `Invalid @${handler.tag}: ${problem}` });
+    });
+    return problems;
+  }
+
+  // Cheap pre-check for backends that can skip parsing: could `code` contain
+  // one of our tags (or a misspelling worth a warning)?
+  const tagPattern = new RegExp(`@(?:skip|enabled|fails|${knownTagNames.join("|")})`, "i");
+  const mayHaveTags = (code) => tagPattern.test(code);
+  // Output of the string backend, which a Babel pass after it (babel-jest
+  // behind js-sanitizer/jest-transformer) must not sanitize a second time
+  const isRewritten = (code) => code.trimEnd().endsWith(REWRITTEN_MARKER);
+
+  // Values of the environment variables the tags in `code` read (all of them
+  // when a tag's predicate may read any), for cache keys: environmentKey()
+  // covers the JS_SANITIZER_* variables only. "" in runtime mode, which reads
+  // them when the tests run.
+  function envVarsKey(code) {
+    if (runtimeMode || !mayHaveTags(code)) return "";
+    const env = environment.env || {};
+    const names = new Set();
+    for (const [, value] of String(code).matchAll(DOCBLOCK_RE)) {
+      const pragmasLC = parsePragmas({ value });
+      if (!pragmasLC) continue;
+      for (const handler of activeHandlers) {
+        const key = handler.tag.toLowerCase();
+        if (!handler.envNames || !(key in pragmasLC)) continue;
+        const read = [].concat(pragmasLC[key]).map((v) => handler.envNames(v));
+        if (read.includes(null)) return JSON.stringify(Object.entries(env).sort());
+        read.flat().forEach((name) => names.add(name));
+      }
+    }
+    return JSON.stringify([...names].sort().map((name) => [name, env[name] ?? null]));
+  }
+
+  // --- Records ---
+
+  function testEntry(site, row, outcome, hit, scope) {
+    const loc = row ? row.loc : site.loc;
+    return {
+      file: relativeFile(site.filename),
+      line: loc ? loc.line : null,
+      column: loc ? loc.column + 1 : null,
+      test: site.testName,
+      callee: site.info.name,
+      kind: site.info.kind,
+      scope, // "test" | "file" | "table" | "row"
+      row: row ? row.index + 1 : null,
+      outcome, // "skipped" | "expected-failure"
+      tag: hit ? hit.tag : null,
+      value: hit ? hit.value : null,
+      reason: hit ? hit.reason : null,
+    };
+  }
+
+  // Structured report entry for one skipped test / suite / table row, or an
+  // expected failure. `row` = { index, loc } of a removed .each row.
+  function recordSkip(site, hit, scope, row = null, outcome = "skipped") {
+    const entry = testEntry(site, row, outcome, hit, scope);
+    reportWriter.add(entry);
+    if (hooks.onTest) hooks.onTest({ ...entry, endLine: site.endLine ?? null, endColumn: site.endColumn ?? null });
+  }
+
+  // A file with tags this process transformed ("transformed") or, in the Jest
+  // transformer, looked up in the transform cache ("lookup"): the report lists
+  // the ones looked up but never transformed as cached. Compile mode only, as
+  // runtime mode records no entries.
+  function recordFile(filename, code, record) {
+    if (runtimeMode || !mayHaveTags(code)) return;
+    reportWriter.addFile(relativeFile(filename), record);
+  }
+
+  // Tests no tag skipped, for hooks.onTest only (reports list skips only).
+  // `taggedElsewhere`: removed .each rows or file-level checks left to
+  // browser-runtime.js, which count as tagged.
+  function recordUnskipped(site, pragmasLC, taggedElsewhere = false) {
+    if (!hooks.onTest) return;
+    const tagged = taggedElsewhere || isTagged(pragmasLC);
+    hooks.onTest({
+      ...testEntry(site, null, tagged ? "enabled" : "unaffected", null, "test"),
+      endLine: site.endLine ?? null,
+      endColumn: site.endColumn ?? null,
+    });
+  }
+
+  // Second argument of the runtime guards: what runtime.js logs, and the
+  // options it decides with
+  function runtimeMeta(label, filename) {
+    const meta = { label, file: relativeFile(filename), silent: options.silent };
+    if (options.environment) meta.environment = options.environment;
+    if (options.configFile) meta.configFile = options.configFile;
+    return meta;
+  }
+
+  // --- Plans ---
+
+  /**
+   * Decide the test calls of one file, which the backend hands over in source
+   * order. `docblock` is the file docblock's { pragmasLC, onError } (null if
+   * none), `configured` the framework config's test environment. Tag errors
+   * go through the `onError(err, tag)` of the docblock they come from.
+   * → { planCall(call), finish() }; finish() logs the file-level skip.
+   *
+   * planCall({ site, topLevel, pragmasLC, onError, rows }) takes the call's own
+   * docblock pragmas and, for a .each call with an array table, `rows`: per
+   * element { pragmasLC, onError, loc }, or null when it has no tags. It logs and
+   * records the outcome and returns the edits to make:
+   *   skip           { reason, scope }: the skipped callee ("test", "file": or
+   *                  the skip option; "table": the skipped callee as is)
+   *   fileGuards     browser guards of the file docblock, to insert before this
+   *                  top-level call
+   *   guard          { module: "runtime" | "browser", skip, fail, failing }: a
+   *                  check of pragmas `skip` / `fail` where the tests run;
+   *                  `failing` makes the expected-failure callee the fallback
+   *   failing        the expected-failure callee, unguarded
+   *   dropRows       indices of the table rows to remove
+   *   rowGuard       { module, rowPragmas }: rows()/allRows() checks of the rows
+   *                  left, in order
+   *   browserGuards  { skip, fail } of a guarded (Playwright) call, for the
+   *                  anonymous test.describe that holds them
+   *   meta           second argument of the checks
+   */
+  function planFile(filename, { code = "", configured = null, docblock = null } = {}) {
+    const testEnvironment = testEnvironmentOf(code, configured);
+    const where = (guarded) => ({ guarded, testEnvironment });
+    const filePragmasLC = docblock ? docblock.pragmasLC : null;
+
+    // What the file docblock does to top-level calls, plain or guarded:
+    // { hit } (compile mode skip), { pragmas } (runtime mode), { deferred }
+    // (compile mode checks left to browser-runtime.js)
+    function fileLevel(guarded) {
+      if (!filePragmasLC) return {};
+      if (runtimeMode) return { pragmas: runtimePragmas(filePragmasLC, "skip", docblock.onError, where(guarded)) };
+      return {
+        hit: findHit(filePragmasLC, "skip", docblock.onError, where(guarded)),
+        deferred: guarded ? null : deferredPragmas(filePragmasLC, "skip", where(false)),
+      };
+    }
+    const levels = { plain: fileLevel(false), guarded: fileLevel(true) };
+    // its browser tags, emitted before the first guarded top-level call
+    let fileGuards = filePragmasLC ? browserGuards(filePragmasLC) : [];
+    let fileHit = null;
+    let fileCount = 0;
+
+    const rowGuard = (module, rowPragmas) => (rowPragmas.some(Boolean) ? { module, rowPragmas } : null);
+
+    function planCall({ site, topLevel, pragmasLC, onError, rows = null }) {
+      const { info, label } = site;
+      const guarded = !!info.browserGuard;
+      const plan = {
+        skip: null,
+        fileGuards: [],
+        guard: null,
+        failing: false,
+        dropRows: [],
+        rowGuard: null,
+        browserGuards: null,
+        meta: runtimeMeta(label, filename),
+      };
+
+      // A skipping file-level docblock covers every top-level test and suite
+      const level = guarded ? levels.guarded : levels.plain;
+      if (level.hit && topLevel) {
+        fileHit = level.hit;
+        fileCount++;
+        recordSkip(site, level.hit, "file");
+        return { ...plan, skip: { reason: level.hit.reason, scope: "file" } };
+      }
+      if (guarded && fileGuards.length && topLevel) {
+        plan.fileGuards = fileGuards;
+        fileGuards = [];
+      }
+      if (guarded && pragmasLC) {
+        plan.browserGuards = {
+          skip: browserGuards(pragmasLC),
+          fail: acceptsFailTags(info) ? browserGuards(pragmasLC, "fail") : [],
+        };
+      }
+
+      if (runtimeMode) {
+        const own = pragmasLC && runtimePragmas(pragmasLC, null, onError, where(guarded));
+        const inherited = topLevel ? level.pragmas : null;
+        if (own || inherited) {
+          const pragmas = { ...inherited, ...own };
+          const effects = pragmaEffects(pragmas);
+          const skip = effects.has("skip") ? pragmas : null;
+          const fail = effects.has("fail") && acceptsFailTags(info) ? pragmas : null;
+          if (skip || fail) plan.guard = { module: "runtime", skip, fail, failing: false };
+        } else if (rows) {
+          const rowPragmas = rows.map((row) => row && runtimePragmas(row.pragmasLC, null, row.onError, where(false)));
+          plan.rowGuard = rowGuard("runtime", rowPragmas);
+        }
+        return plan;
+      }
+
+      const hit = pragmasLC && findHit(pragmasLC, "skip", onError, where(guarded));
+      if (hit) {
+        reportSkip(`[SKIPPING] ${label} in ${filename} due to ${hit.reason}`);
+        recordSkip(site, hit, "test");
+        return { ...plan, browserGuards: null, skip: { reason: hit.reason, scope: "test" } };
+      }
+
+      // Expected failure: keep running, but as test.failing / test.fails
+      const failHit = pragmasLC && acceptsFailTags(info) && findHit(pragmasLC, "fail", onError, where(guarded));
+
+      // Browser tags no browser was known for, and test-environment tags of a file
+      // whose environment is unknown: browser-runtime.js checks them where the tests run
+      const inheritedDeferred = topLevel ? level.deferred : null;
+      const ownDeferred = pragmasLC && !guarded ? deferredPragmas(pragmasLC, "skip", where(false)) : null;
+      const skip = inheritedDeferred || ownDeferred ? { ...inheritedDeferred, ...ownDeferred } : null;
+      const fail =
+        pragmasLC && !guarded && !failHit && acceptsFailTags(info) ? deferredPragmas(pragmasLC, "fail", where(false)) : null;
+      if (skip || fail) plan.guard = { module: "browser", skip, fail, failing: !!failHit };
+      else plan.failing = !!failHit;
+
+      if (failHit) {
+        reportSkip(`[EXPECTED FAILURE] ${label} in ${filename} due to ${failHit.reason}`);
+        recordSkip(site, failHit, "test", null, "expected-failure");
+        return plan;
+      }
+
+      // Drop table rows whose own docblock says skip:
+      //   test.each([ /** @skipOnOS win32 */ [1, 2], [3, 4] ])(...)
+      // If every row would go, the whole call is skipped instead (Jest and Vitest
+      // reject an empty table).
+      const dropped = [];
+      (rows || []).forEach((row, index) => {
+        const rowHit = row && findHit(row.pragmasLC, "skip", row.onError, where(false));
+        if (rowHit) dropped.push({ index, loc: row.loc, hit: rowHit });
+      });
+      if (dropped.length && dropped.length === rows.length) {
+        reportSkip(`[SKIPPING] ${label} in ${filename} due to all rows skipped (${dropped[0].hit.reason})`);
+        recordSkip(site, dropped[0].hit, "table");
+        return { ...plan, guard: null, skip: { reason: dropped[0].hit.reason, scope: "table" } };
+      }
+      for (const row of dropped) {
+        reportSkip(`[SKIPPING] ${label} row #${row.index + 1} in ${filename} due to ${row.hit.reason}`);
+        recordSkip(site, row.hit, "row", row);
+      }
+      plan.dropRows = dropped.map((row) => row.index);
+
+      // the file docblock tags every test in the file
+      recordUnskipped(site, { ...filePragmasLC, ...pragmasLC }, dropped.length > 0 || !!inheritedDeferred);
+      if (rows && !skip) {
+        const kept = rows.filter((_, index) => !plan.dropRows.includes(index));
+        plan.rowGuard = rowGuard("browser", kept.map((row) => row && deferredPragmas(row.pragmasLC, "skip", where(false))));
+      }
+      return plan;
+    }
+
+    function finish() {
+      if (!fileHit || fileCount === 0) return;
+      // one line per file rather than one per test
+      reportSkip(`[SKIPPING] file ${filename} (${fileCount} top-level test(s)/suite(s)) due to ${fileHit.reason}`);
+    }
+
+    return { planCall, finish };
+  }
+
+  return {
+    options,
+    environment,
+    runtimeMode,
+    cacheKey,
+    analyzeCallee,
+    parsePragmas,
+    planFile,
+    tagLocation,
+    checkDocblock,
+    mayHaveTags,
+    isRewritten,
+    envVarsKey,
+    relativeFile,
+    recordFile,
+  };
+}
+
+module.exports = { createEngine, REWRITTEN_MARKER };
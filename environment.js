@@ -0,0 +1,229 @@
+// environment.js
+// Detects the environment docblock tags are evaluated against (normalized).
+// Shared by the Babel plugin (transform time) and runtime.js (test run time).
+
+const fs = require("fs");
+const os = require("os");
+const semver = require("semver");
+const { ARCH_ALIASES, KNOWN_ARCHES, KNOWN_PLATFORMS, PLATFORM_ALIASES, parseMemory } = require("./tags.js");
+const { detectBrowser } = require("./browser-runtime.js");
+
+function readFileSafe(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch {
+    return "";
+  }
+}
+
+// /etc/os-release (or /usr/lib/os-release) → lowercase ID plus ID_LIKE entries,
+// e.g. ["ubuntu", "debian"]; [] when unavailable.
+function detectLinuxDistro(platform) {
+  if (platform !== "linux") return [];
+  const text = readFileSafe("/etc/os-release") || readFileSafe("/usr/lib/os-release");
+  const fields = {};
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^\s*([A-Z_]+)\s*=\s*(.*?)\s*$/);
+    if (m) fields[m[1]] = m[2].replace(/^(["'])(.*)\1$/, "$2");
+  }
+  const ids = [fields.ID, ...String(fields.ID_LIKE || "").split(/\s+/)];
+  return [...new Set(ids.map((id) => String(id || "").trim().toLowerCase()).filter(Boolean))];
+}
+
+// Windows Subsystem for Linux: set by WSL itself, or a Microsoft kernel
+function detectWSL(platform, env) {
+  if (platform !== "linux") return false;
+  if (env.WSL_DISTRO_NAME || env.WSL_INTEROP) return true;
+  return /microsoft/i.test(readFileSafe("/proc/sys/kernel/osrelease") || readFileSafe("/proc/version"));
+}
+
+// Container engine we run under: "docker" | "podman" | "kubernetes" | "lxc" |
+// "container" (detected, engine unknown) | null
+function detectContainer(platform, env) {
+  if (platform !== "linux") return null;
+  if (fs.existsSync("/run/.containerenv")) return "podman";
+  if (fs.existsSync("/.dockerenv")) return "docker";
+  const cgroup = readFileSafe("/proc/1/cgroup") + readFileSafe("/proc/self/cgroup");
+  if (/kubepods/.test(cgroup) || env.KUBERNETES_SERVICE_HOST) return "kubernetes";
+  if (/libpod/.test(cgroup)) return "podman";
+  if (/docker/.test(cgroup)) return "docker";
+  if (/\/lxc\//.test(cgroup)) return "lxc";
+  // cgroup v2 hides the path; the overlay root mount still gives it away
+  const mounts = readFileSafe("/proc/self/mountinfo");
+  if (/\/docker\/containers\//.test(mounts)) return "docker";
+  if (/\/containers\/storage\/overlay/.test(mounts)) return "podman";
+  if (env.container) return String(env.container).toLowerCase();
+  return null;
+}
+
+// A simulated browser: "chrome", "chrome 119" or "chrome@119.0"
+const SIMULATED_BROWSER_RE = /^([a-z]+)(?:[\s@]+(\d+(?:\.\d+)*))?$/;
+
+// Override name → environment variable that sets it
+const ENV_OVERRIDES = {
+  os: "JS_SANITIZER_PLATFORM",
+  node: "JS_SANITIZER_NODE_VERSION",
+  arch: "JS_SANITIZER_ARCH",
+  browser: "JS_SANITIZER_BROWSER",
+  cpus: "JS_SANITIZER_CPUS",
+  memory: "JS_SANITIZER_MEMORY",
+};
+
+// What this machine really is, without overrides
+function detectActualEnvironment() {
+  const nodeRaw = String(process.versions.node);
+  const major = nodeRaw.match(/\d+/);
+  const platform = String(process.platform).toLowerCase();
+  const browser = detectBrowser();
+  return {
+    platform,
+    nodeMajor: major ? parseInt(major[0], 10) : NaN,
+    node: semver.valid(nodeRaw) || semver.coerce(nodeRaw)?.version || null,
+    arch: String(process.arch).toLowerCase(),
+    cpus: typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length,
+    memory: os.totalmem(),
+    browser: browser && browser.name,
+    browserVersion: browser && browser.version,
+    distro: detectLinuxDistro(platform),
+    wsl: detectWSL(platform, process.env),
+    container: detectContainer(platform, process.env),
+    env: process.env,
+    simulated: {},
+  };
+}
+
+/**
+ * Snapshot of the current environment:
+ *   platform  'darwin' | 'win32' | 'linux' | ...
+ *   nodeMajor major version as integer (legacy min=/max= ranges)
+ *   node      full 'x.y.z' version for semver ranges (null if unparseable)
+ *   arch      'x64' | 'arm64' | ...
+ *   cpus      logical CPUs available to the process
+ *   memory    total system memory in bytes
+ *   browser   lowercase browser name or null (navigator: jsdom, happy-dom, real browsers)
+ *   browserVersion dotted browser version or null
+ *   distro    Linux distribution ids, os-release ID first then ID_LIKE ([] elsewhere)
+ *   wsl       true under Windows Subsystem for Linux
+ *   container container engine name or null (see detectContainer)
+ *   env       process.env
+ *   simulated values replaced by JS_SANITIZER_* overrides, e.g. { platform: 'win32' }
+ */
+function detectEnvironment() {
+  const overrides = {};
+  for (const [name, variable] of Object.entries(ENV_OVERRIDES)) {
+    const value = process.env[variable];
+    if (value !== undefined && String(value).trim() !== "") overrides[name] = value;
+  }
+  return simulateEnvironment(overrides, detectActualEnvironment(), "environment variable ");
+}
+
+/**
+ * Environment snapshot with some values replaced:
+ * { os, node, arch, browser, cpus, memory }. Replaced values are listed in
+ * `simulated`. Linux-only facts (distro, WSL, container) are cleared when
+ * `os` moves away from the detected platform. A browser of "none" means no
+ * browser; "chrome 119" simulates a version too. Throws on values that can't be used.
+ */
+function simulateEnvironment(overrides = {}, base = detectEnvironment(), source = "") {
+  const env = { ...base, simulated: { ...base.simulated } };
+  const invalid = (name, value) => {
+    const label = source ? `${source}${ENV_OVERRIDES[name]}` : `${name} override`;
+    return new Error(`[js-sanitizer] Invalid ${label} "${value}"`);
+  };
+  const set = (field, value, shown = value) => {
+    env[field] = value;
+    env.simulated[field] = shown;
+  };
+
+  if (overrides.os) {
+    const name = String(overrides.os).trim().toLowerCase();
+    const platform = PLATFORM_ALIASES[name] || name;
+    if (!KNOWN_PLATFORMS.includes(platform)) throw invalid("os", overrides.os);
+    if (platform !== base.platform) {
+      env.distro = [];
+      env.wsl = false;
+      env.container = null;
+    }
+    set("platform", platform);
+  }
+  if (overrides.node) {
+    const version = semver.coerce(String(overrides.node));
+    if (!version) throw invalid("node", overrides.node);
+    set("node", version.version);
+    env.nodeMajor = version.major;
+  }
+  if (overrides.arch) {
+    const name = String(overrides.arch).trim().toLowerCase();
+    const arch = ARCH_ALIASES[name] || name;
+    if (!KNOWN_ARCHES.includes(arch)) throw invalid("arch", overrides.arch);
+    set("arch", arch);
+  }
+  if (overrides.browser) {
+    const browser = String(overrides.browser).trim().toLowerCase();
+    const m = SIMULATED_BROWSER_RE.exec(browser);
+    if (!m) throw invalid("browser", overrides.browser);
+    set("browser", m[1] === "none" ? null : m[1], browser);
+    env.browserVersion = (m[1] !== "none" && m[2]) || null;
+  }
+  if (overrides.cpus) {
+    const cpus = Number(String(overrides.cpus).trim());
+    if (!Number.isInteger(cpus) || cpus < 1) throw invalid("cpus", overrides.cpus);
+    set("cpus", cpus);
+  }
+  if (overrides.memory) {
+    const memory = parseMemory(overrides.memory);
+    if (memory === null) throw invalid("memory", overrides.memory);
+    set("memory", memory, String(overrides.memory).trim());
+  }
+  return env;
+}
+
+// "win32 / node 20.11.1 / x64 / chrome" for summaries and tables
+function environmentLabel(environment) {
+  const { platform, node, arch, browser, browserVersion } = environment;
+  return [platform, `node ${node}`, arch, browser && [browser, browserVersion].filter(Boolean).join(" ")]
+    .filter(Boolean)
+    .join(" / ");
+}
+
+// " [simulated: platform=win32, node=16.0.0]" for log lines, "" when nothing is simulated
+function describeSimulated(environment) {
+  const entries = Object.entries((environment && environment.simulated) || {});
+  if (entries.length === 0) return "";
+  return ` [simulated: ${entries.map(([k, v]) => `${k}=${v ?? "none"}`).join(", ")}]`;
+}
+
+/**
+ * Stable key of the environment-sensitive inputs of a transform, for caches
+ * (Babel's api.cache, the generated require-hook). Environment variables are
+ * limited to JS_SANITIZER_*; use runtime mode when @skipIfEnv must track others.
+ */
+function environmentKey(environment = detectEnvironment()) {
+  const overrides = Object.keys(environment.env || {})
+    .filter((k) => k.startsWith("JS_SANITIZER_"))
+    .sort()
+    .map((k) => `${k}=${environment.env[k]}`);
+  return [
+    environment.platform,
+    environment.node,
+    environment.arch,
+    environment.cpus,
+    environment.memory,
+    environment.browser || "",
+    environment.browserVersion || "",
+    (environment.distro || []).join(","),
+    environment.wsl ? "wsl" : "",
+    environment.container || "",
+    ...overrides,
+  ].join("|");
+}
+
+module.exports = {
+  ENV_OVERRIDES,
+  describeSimulated,
+  detectBrowser,
+  detectEnvironment,
+  environmentKey,
+  environmentLabel,
+  simulateEnvironment,
+};
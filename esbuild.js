@@ -0,0 +1,61 @@
+// esbuild.js
+// esbuild plugin: the js-sanitizer rewrite in front of esbuild's own loaders.
+//
+//   const jsSanitizer = require("js-sanitizer/esbuild");
+//   await esbuild.build({ entryPoints, bundle: true, plugins: [jsSanitizer({ silent: true })] });
+//
+// Options are the Babel plugin's, plus `include` / `exclude` as in the Vite
+// plugin. A RegExp `include` is also handed to esbuild as the onLoad filter,
+// so it must be valid in Go's regexp syntax (no lookbehind, no backreferences).
+//
+// The plugin loads the files it rewrites itself (onLoad) and leaves every other
+// file to esbuild. Lines stay where they were, and the rewrite's source map is
+// inlined so esbuild chains it into its own.
+
+const fs = require("fs");
+const path = require("path");
+const { createRewriter, DEFAULT_INCLUDE, DEFAULT_EXCLUDE, matchesFilter, checkFilters } = require("./rewrite.js");
+
+const LOADERS = { ".ts": "ts", ".mts": "ts", ".cts": "ts", ".tsx": "tsx", ".jsx": "jsx" };
+const loaderFor = (file) => LOADERS[path.extname(file)] || "js";
+
+const inlineMap = (map) => `\n//# sourceMappingURL=${map.toUrl()}\n`;
+
+// A rewrite error as an esbuild message, pointing at the tag when known
+function toMessage(err, file) {
+  const loc = err.loc || {};
+  return {
+    text: err.message,
+    location: loc.line ? { file: loc.file || file, line: loc.line, column: loc.column || 0 } : null,
+  };
+}
+
+function jsSanitizerEsbuild(pluginOptions = {}) {
+  const { include = DEFAULT_INCLUDE, exclude = DEFAULT_EXCLUDE, ...options } = pluginOptions || {};
+  checkFilters("esbuild", { include, exclude });
+  const { rewrite } = createRewriter(options);
+  // esbuild only pre-filters with a RegExp; functions are applied per file
+  const filter = include instanceof RegExp ? include : /\.[cm]?[jt]sx?$/;
+
+  return {
+    name: "js-sanitizer",
+    setup(build) {
+      build.onLoad({ filter, namespace: "file" }, async (args) => {
+        if (!matchesFilter(include, args.path) || matchesFilter(exclude, args.path)) return undefined;
+        const source = await fs.promises.readFile(args.path, "utf8");
+        let out;
+        try {
+          out = rewrite(source, args.path, { preserveLines: true });
+        } catch (err) {
+          return { errors: [toMessage(err, args.path)] };
+        }
+        if (!out) return undefined;
+        // sources of an inline map are relative to the file itself
+        out.map.sources = [path.basename(args.path)];
+        return { contents: out.code + inlineMap(out.map), loader: loaderFor(args.path) };
+      });
+    },
+  };
+}
+
+module.exports = jsSanitizerEsbuild;
@@ -0,0 +1,290 @@
+// expression.js
+// Tiny, eval-free condition language for @skipIf / @enabledIf.
+//
+//   os == "win32" && node < 18 || arch == "arm64"
+//   !(browser == "safari") && env.CI
+//
+// Grammar (lowest to highest precedence):
+//   or         := and ("||" and)*
+//   and        := unary ("&&" unary)*
+//   unary      := "!" unary | comparison
+//   comparison := primary (("==" | "!=" | "<" | "<=" | ">" | ">=") primary)?
+//   primary    := "(" or ")" | string | version | true | false | null | variable
+//   variable   := os | platform | node | arch | browser | env "." NAME | CONDITION
+//
+// CONDITION is a named condition from the project config (see config.js).
+
+// Variables exposed to expressions (platform is an alias of os)
+const EXPRESSION_VARIABLES = ["os", "platform", "node", "arch", "browser", "env"];
+
+class ExpressionSyntaxError extends SyntaxError {
+  constructor(message, source, index) {
+    super(`${message} (at column ${index + 1} of "${source}")`);
+    this.name = "ExpressionSyntaxError";
+    this.source = source;
+    this.index = index;
+  }
+}
+
+// --- Tokenizer ---
+
+const PUNCTUATORS = ["&&", "||", "==", "!=", "<=", ">=", "<", ">", "!", "(", ")", "."];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = "";
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === "\\" && j + 1 < source.length) j++;
+        value += source[j++];
+      }
+      if (j >= source.length) {
+        throw new ExpressionSyntaxError("Unterminated string literal", source, i);
+      }
+      tokens.push({ type: "string", value, index: i });
+      i = j + 1;
+      continue;
+    }
+
+    const version = /^v?\d+(?:\.\d+)*/.exec(source.slice(i));
+    if (version) {
+      tokens.push({ type: "version", value: version[0].replace(/^v/, ""), index: i });
+      i += version[0].length;
+      continue;
+    }
+
+    const ident = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+    if (ident) {
+      tokens.push({ type: "ident", value: ident[0], index: i });
+      i += ident[0].length;
+      continue;
+    }
+
+    const punct = PUNCTUATORS.find((p) => source.startsWith(p, i));
+    if (punct) {
+      tokens.push({ type: "punct", value: punct, index: i });
+      i += punct.length;
+      continue;
+    }
+
+    if (ch === "=") {
+      throw new ExpressionSyntaxError('Unexpected "=" (did you mean "=="?)', source, i);
+    }
+    if (ch === "&" || ch === "|") {
+      throw new ExpressionSyntaxError(`Unexpected "${ch}" (did you mean "${ch}${ch}"?)`, source, i);
+    }
+    throw new ExpressionSyntaxError(`Unexpected character "${ch}"`, source, i);
+  }
+  tokens.push({ type: "eof", value: "", index: source.length });
+  return tokens;
+}
+
+// --- Parser (recursive descent) ---
+
+/**
+ * Parse an expression string into an AST. Throws ExpressionSyntaxError.
+ * `options.conditions` lists the named conditions that may be referenced.
+ */
+function parseExpression(input, options = {}) {
+  const source = String(input == null ? "" : input).trim();
+  const conditions = (options.conditions || []).map((name) => name.toLowerCase());
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isPunct = (value) => peek().type === "punct" && peek().value === value;
+  const fail = (message, token = peek()) => {
+    throw new ExpressionSyntaxError(message, source, token.index);
+  };
+  const describe = (token) => (token.type === "eof" ? "end of expression" : `"${token.value}"`);
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isPunct("||")) {
+      next();
+      left = { type: "Logical", op: "||", left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    while (isPunct("&&")) {
+      next();
+      left = { type: "Logical", op: "&&", left, right: parseUnary() };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isPunct("!")) {
+      next();
+      return { type: "Not", argument: parseUnary() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parsePrimary();
+    const token = peek();
+    if (token.type === "punct" && ["==", "!=", "<", "<=", ">", ">="].includes(token.value)) {
+      next();
+      return { type: "Compare", op: token.value, left, right: parsePrimary() };
+    }
+    return left;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token.type === "punct" && token.value === "(") {
+      const inner = parseOr();
+      if (!isPunct(")")) fail(`Expected ")" but found ${describe(peek())}`);
+      next();
+      return inner;
+    }
+    if (token.type === "string") return { type: "Literal", value: token.value };
+    if (token.type === "version") return { type: "Literal", value: token.value };
+    if (token.type === "ident") {
+      if (token.value === "true") return { type: "Literal", value: true };
+      if (token.value === "false") return { type: "Literal", value: false };
+      if (token.value === "null") return { type: "Literal", value: null };
+      return parseVariable(token);
+    }
+    return fail(`Unexpected ${describe(token)}`, token);
+  }
+
+  function parseVariable(token) {
+    const name = token.value.toLowerCase();
+    if (!EXPRESSION_VARIABLES.includes(name) && conditions.includes(name)) {
+      if (isPunct(".")) fail(`"${token.value}" has no properties`);
+      return { type: "Condition", name };
+    }
+    if (!EXPRESSION_VARIABLES.includes(name)) {
+      const known = [...EXPRESSION_VARIABLES, ...(options.conditions || [])].join(", ");
+      fail(`Unknown variable "${token.value}" (expected one of ${known})`, token);
+    }
+    if (name !== "env") {
+      if (isPunct(".")) fail(`"${token.value}" has no properties`);
+      return { type: "Variable", name: name === "platform" ? "os" : name };
+    }
+    if (!isPunct(".")) fail('Expected "." after "env" (e.g. env.CI)');
+    next();
+    const prop = next();
+    if (prop.type !== "ident") fail(`Expected an environment variable name after "env."`, prop);
+    return { type: "Variable", name: "env", property: prop.value };
+  }
+
+  if (peek().type === "eof") fail("Empty expression");
+  const ast = parseOr();
+  if (peek().type !== "eof") fail(`Unexpected ${describe(peek())}`);
+  return ast;
+}
+
+// --- Evaluation ---
+
+const VERSION_RE = /^v?\d+(?:\.\d+)*$/;
+
+// Compare version-like strings on the components both sides specify,
+// so `node == 20` holds for 20.11.1 and `node < 20.12` compares major.minor.
+function compareVersions(a, b) {
+  const pa = String(a).replace(/^v/, "").split(".").map(Number);
+  const pb = String(b).replace(/^v/, "").split(".").map(Number);
+  const n = Math.min(pa.length, pb.length);
+  for (let i = 0; i < n; i++) {
+    if (pa[i] !== pb[i]) return pa[i] < pb[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+const isVersion = (v) => typeof v === "string" && VERSION_RE.test(v);
+const truthy = (v) => v !== null && v !== undefined && v !== false && v !== "";
+
+function compare(op, left, right) {
+  if (isVersion(left) && isVersion(right)) {
+    const c = compareVersions(left, right);
+    switch (op) {
+      case "==": return c === 0;
+      case "!=": return c !== 0;
+      case "<": return c < 0;
+      case "<=": return c <= 0;
+      case ">": return c > 0;
+      default: return c >= 0;
+    }
+  }
+  if (op === "==" || op === "!=") {
+    const norm = (v) => (v === undefined || v === null ? null : String(v).toLowerCase());
+    const equal = norm(left) === norm(right);
+    return op === "==" ? equal : !equal;
+  }
+  // ordering only makes sense for versions
+  return false;
+}
+
+/**
+ * Evaluate a parsed expression against an environment snapshot:
+ * { os, node, arch, browser, env, conditions } (os/arch/browser lowercase,
+ * node 'x.y.z', conditions: lowercased name → () => boolean).
+ */
+function evaluateExpression(ast, environment) {
+  const value = (node) => {
+    switch (node.type) {
+      case "Literal":
+        return node.value;
+      case "Variable":
+        if (node.name === "env") return (environment.env || {})[node.property];
+        return environment[node.name] ?? null;
+      case "Condition": {
+        const condition = (environment.conditions || {})[node.name];
+        return condition ? condition() : false;
+      }
+      case "Not":
+        return !truthy(value(node.argument));
+      case "Logical":
+        return node.op === "&&"
+          ? truthy(value(node.left)) && truthy(value(node.right))
+          : truthy(value(node.left)) || truthy(value(node.right));
+      case "Compare":
+        return compare(node.op, value(node.left), value(node.right));
+      default:
+        throw new Error(`[js-sanitizer] Unknown expression node ${node.type}`);
+    }
+  };
+  return truthy(value(ast));
+}
+
+/**
+ * What a parsed expression reads besides the detected environment →
+ * { env: [variable names], conditions: [lowercased condition names] }.
+ */
+function expressionReferences(ast) {
+  const refs = { env: [], conditions: [] };
+  const visit = (node) => {
+    if (node.type === "Variable" && node.name === "env") refs.env.push(node.property);
+    else if (node.type === "Condition") refs.conditions.push(node.name);
+    else if (node.type === "Not") visit(node.argument);
+    else if (node.type === "Logical" || node.type === "Compare") {
+      visit(node.left);
+      visit(node.right);
+    }
+  };
+  visit(ast);
+  return refs;
+}
+
+module.exports = {
+  EXPRESSION_VARIABLES,
+  ExpressionSyntaxError,
+  parseExpression,
+  evaluateExpression,
+  expressionReferences,
+};
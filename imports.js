@@ -0,0 +1,89 @@
+// imports.js
+// Test-framework bindings of a file, read from its top-level imports and
+// requires of the modules in IMPORT_SOURCES (vitest, @jest/globals, mocha,
+// node:test, @playwright/test). Both backends hand in a Babel-shaped Program.
+//
+//   import { test, describe as d } from "node:test"   test → test, d → describe
+//   import test from "node:test"                       test → default
+//   import * as nt from "node:test"                    nt → *
+//   const { it } = require("node:test")               it → it
+//   const nt = require("node:test")                    nt → *
+
+const { IMPORT_SOURCES } = require("./callees.js");
+
+const isRequireOf = (node) =>
+  node &&
+  node.type === "CallExpression" &&
+  node.callee.type === "Identifier" &&
+  node.callee.name === "require" &&
+  node.arguments.length === 1 &&
+  node.arguments[0].type === "StringLiteral" &&
+  node.arguments[0].value in IMPORT_SOURCES;
+
+const keyName = (key) => (key.type === "Identifier" ? key.name : key.type === "StringLiteral" ? key.value : null);
+
+/**
+ * Map of local name → { source, imported } for the modules in IMPORT_SOURCES.
+ * `imported` is the exported name, "default", or "*" for a namespace import or
+ * a whole required module.
+ */
+function collectTestImports(program) {
+  const bindings = new Map();
+  for (const node of program.body) {
+    if (node.type === "ImportDeclaration") {
+      const source = node.source.value;
+      if (!(source in IMPORT_SOURCES) || node.importKind === "type") continue;
+      for (const spec of node.specifiers) {
+        if (spec.importKind === "type") continue;
+        const imported =
+          spec.type === "ImportDefaultSpecifier" ? "default"
+          : spec.type === "ImportNamespaceSpecifier" ? "*"
+          : keyName(spec.imported);
+        if (imported) bindings.set(spec.local.name, { source, imported });
+      }
+      continue;
+    }
+    if (node.type !== "VariableDeclaration") continue;
+    for (const decl of node.declarations) {
+      if (!isRequireOf(decl.init)) continue;
+      const source = decl.init.arguments[0].value;
+      if (decl.id.type === "Identifier") {
+        bindings.set(decl.id.name, { source, imported: "*" });
+        continue;
+      }
+      if (decl.id.type !== "ObjectPattern") continue;
+      for (const prop of decl.id.properties) {
+        if (prop.type !== "ObjectProperty" || prop.computed || prop.value.type !== "Identifier") continue;
+        const imported = keyName(prop.key);
+        if (imported) bindings.set(prop.value.name, { source, imported });
+      }
+    }
+  }
+  return bindings;
+}
+
+/**
+ * Readings of a dotted callee path whose first segment is an imported binding,
+ * most likely first → [{ preset, name, localize }]. `name` is the path in the
+ * preset's terms ("nt.test.only" → "test.only"); `localize` turns a preset path
+ * back into one that works in the file ("test.skip" → "nt.test.skip").
+ * A whole module can be a namespace (nt.test) or, for CommonJS, the default
+ * export itself (test.only with const test = require("node:test")).
+ */
+function resolveImported(dotted, binding) {
+  const source = IMPORT_SOURCES[binding.source];
+  if (!source) return [];
+  const [local, ...rest] = dotted.split(".");
+  const reading = (head, localHead, tail) => ({
+    preset: source.preset,
+    name: [head, ...tail].join("."),
+    localize: (path) => (path === head || path.startsWith(`${head}.`) ? localHead + path.slice(head.length) : path),
+  });
+  if (binding.imported !== "*" && binding.imported !== "default") return [reading(binding.imported, local, rest)];
+  const readings = [];
+  if (binding.imported === "*" && rest.length) readings.push(reading(rest[0], `${local}.${rest[0]}`, rest.slice(1)));
+  if (source.default) readings.push(reading(source.default, local, rest));
+  return readings;
+}
+
+module.exports = { collectTestImports, resolveImported };
@@ -0,0 +1,28 @@
+// jest-reporter.js
+// Jest reporter printing the js-sanitizer summary at the end of the run.
+//
+//   // jest.config.js
+//   reporters: ["default", "js-sanitizer/jest-reporter"],
+//   // or with options (same reportDir/report as the plugin):
+//   reporters: ["default", ["js-sanitizer/jest-reporter", { reportDir: "reports", maxTests: 20 }]],
+
+const { summarize } = require("./summary.js");
+
+class JsSanitizerJestReporter {
+  constructor(globalConfig, reporterOptions = {}) {
+    this._globalConfig = globalConfig;
+    this._options = reporterOptions || {};
+  }
+
+  onRunComplete() {
+    // Jest's own reporters write to stderr; keep the summary next to them
+    process.stderr.write(`\n${summarize(this._options)}\n`);
+  }
+
+  // The summary never fails the run
+  getLastError() {
+    return undefined;
+  }
+}
+
+module.exports = JsSanitizerJestReporter;
@@ -0,0 +1,135 @@
+// jest-transformer.js
+// Jest transformer that applies the js-sanitizer rewrite and hands the result
+// to the project's own transformer (babel-jest, ts-jest, @swc/jest, ...).
+//
+//   // jest.config.js
+//   transform: {
+//     "^.+\\.[jt]sx?$": ["js-sanitizer/jest-transformer", {
+//       transformer: "ts-jest",                     // inner transformer (default: babel-jest)
+//       transformerConfig: { isolatedModules: true }, // its options
+//       silent: true,                               // any option of the Babel plugin
+//     }],
+//   },
+//
+// The rewrite runs on the source text before the inner transformer compiles
+// it, not on its output, so report lines match the file and the callees are
+// still written the way the test author wrote them. Edits keep every line
+// where it was, which keeps the inner transformer's source map valid, and
+// changed text ends with a marker that keeps the Babel plugin (babel-jest with
+// the plugin still in the Babel config) from sanitizing it again; unchanged
+// files are handed on as they are. Files without an @jest-environment
+// docblock run in the project's testEnvironment, which the test-environment
+// tags are decided against.
+
+const crypto = require("crypto");
+const { version } = require("./package.json");
+const { createRewriter } = require("./rewrite.js");
+
+const DEFAULT_TRANSFORMER = "babel-jest";
+
+function transformerError(msg) {
+  return new Error(`[js-sanitizer] Invalid jest-transformer options: ${msg}`);
+}
+
+// The inner transformer, created the way Jest creates transformers
+function loadTransformer(name, config) {
+  const request = name.replace(/^<rootDir>/, process.cwd());
+  let resolved;
+  try {
+    resolved = require.resolve(request, { paths: [process.cwd(), __dirname] });
+  } catch {
+    throw transformerError(`cannot find transformer "${name}". Is it installed?`);
+  }
+  let mod = require(resolved);
+  if (mod && mod.__esModule && mod.default) mod = mod.default;
+  const transformer = typeof mod.createTransformer === "function" ? mod.createTransformer(config) : mod;
+  if (!transformer || (typeof transformer.process !== "function" && typeof transformer.processAsync !== "function")) {
+    throw transformerError(`"${name}" is not a Jest transformer (no process or processAsync).`);
+  }
+  return transformer;
+}
+
+const hash = (...parts) => crypto.createHash("sha1").update(parts.join("\0")).digest("hex");
+
+/**
+ * Jest calls createTransformer with the options of the transform entry:
+ * { transformer, transformerConfig, ...plugin options }.
+ */
+function createTransformer(config = {}) {
+  const { transformer = DEFAULT_TRANSFORMER, transformerConfig, ...pluginOptions } = config || {};
+  if (typeof transformer !== "string" || !transformer.trim()) {
+    throw transformerError(`"transformer" must be a module name or path, got ${JSON.stringify(transformer)}.`);
+  }
+  const { engine, rewrite } = createRewriter(pluginOptions);
+  const inner = loadTransformer(transformer, transformerConfig);
+
+  // The inner transformer sees its own options, not ours
+  const innerOptions = (options) => ({ ...options, transformerConfig });
+  // The project's testEnvironment (a path Jest resolved, or the name as written)
+  const testEnvironment = (options) => (options && options.config && options.config.testEnvironment) || "";
+
+  function sanitize(sourceText, sourcePath, options) {
+    const out = rewrite(sourceText, sourcePath, {
+      runtimeImport: options && options.supportsStaticESM ? "import" : "require",
+      preserveLines: true,
+      testEnvironment: testEnvironment(options) || null,
+    });
+    return out ? out.code : sourceText;
+  }
+
+  // The rewrite depends on the source, the plugin options, the environment
+  // (compile mode) including the variables the file's tags read, the project
+  // config and the test environment, on top of what the inner key covers
+  function cacheKey(innerKey, sourceText, options) {
+    return hash(
+      innerKey,
+      version,
+      JSON.stringify(pluginOptions),
+      engine.cacheKey(),
+      engine.envVarsKey(sourceText),
+      testEnvironment(options),
+    );
+  }
+
+  function innerCacheKey(sourceText, sourcePath, options) {
+    if (typeof inner.getCacheKey === "function") {
+      return inner.getCacheKey(sourceText, sourcePath, innerOptions(options));
+    }
+    return hash(sourceText, sourcePath, (options && options.configString) || "", transformer);
+  }
+
+  // Jest asks for the key of every file it loads, transformed or cached: the
+  // lookups tell the report which files came from the cache
+  const result = {
+    canInstrument: !!inner.canInstrument,
+
+    getCacheKey(sourceText, sourcePath, options) {
+      engine.recordFile(sourcePath, sourceText, "lookup");
+      return cacheKey(innerCacheKey(sourceText, sourcePath, options), sourceText, options);
+    },
+
+    async getCacheKeyAsync(sourceText, sourcePath, options) {
+      engine.recordFile(sourcePath, sourceText, "lookup");
+      const key =
+        typeof inner.getCacheKeyAsync === "function"
+          ? await inner.getCacheKeyAsync(sourceText, sourcePath, innerOptions(options))
+          : innerCacheKey(sourceText, sourcePath, options);
+      return cacheKey(key, sourceText, options);
+    },
+
+    async processAsync(sourceText, sourcePath, options) {
+      const code = sanitize(sourceText, sourcePath, options);
+      return typeof inner.processAsync === "function"
+        ? inner.processAsync(code, sourcePath, innerOptions(options))
+        : inner.process(code, sourcePath, innerOptions(options));
+    },
+  };
+  // Only synchronous when the inner transformer is
+  if (typeof inner.process === "function") {
+    result.process = (sourceText, sourcePath, options) =>
+      inner.process(sanitize(sourceText, sourcePath, options), sourcePath, innerOptions(options));
+  }
+  return result;
+}
+
+module.exports = { createTransformer };
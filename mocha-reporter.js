@@ -0,0 +1,46 @@
+// mocha-reporter.js
+// Mocha reporter: the usual output of a base reporter (spec by default), then
+// the js-sanitizer summary when the run ends.
+//
+//   mocha --reporter js-sanitizer/mocha-reporter
+//   mocha --reporter js-sanitizer/mocha-reporter --reporter-option base=dot,reportDir=reports
+//
+//   // .mocharc.cjs
+//   reporter: "js-sanitizer/mocha-reporter",
+//   "reporter-option": ["base=dot"],
+
+const { summarize } = require("./summary.js");
+
+// Mocha of the project under test, not a copy next to this package
+function loadMocha() {
+  return require(require.resolve("mocha", { paths: [process.cwd(), __dirname] }));
+}
+
+// "spec" → Mocha.reporters.Spec; anything else is required like Mocha does
+function baseReporter(Mocha, name) {
+  const builtIn = Object.keys(Mocha.reporters).find((key) => key.toLowerCase() === name.toLowerCase());
+  if (builtIn) return Mocha.reporters[builtIn];
+  return require(require.resolve(name, { paths: [process.cwd()] }));
+}
+
+function reporterOptions(options) {
+  return (options && (options.reporterOptions || options.reporterOption)) || {};
+}
+
+// Returns the base reporter instance, so Mocha sees its methods (done, epilogue)
+function JsSanitizerMochaReporter(runner, options) {
+  const Mocha = loadMocha();
+  const opts = reporterOptions(options);
+  const Base = baseReporter(Mocha, opts.base || "spec");
+  const reporter = new Base(runner, options);
+
+  // registered after the base reporter's own listener, so the summary comes last
+  const { EVENT_RUN_END = "end" } = (Mocha.Runner && Mocha.Runner.constants) || {};
+  runner.once(EVENT_RUN_END, () => {
+    const maxTests = opts.maxTests !== undefined ? Number(opts.maxTests) : undefined;
+    process.stdout.write(`\n${summarize({ ...opts, maxTests })}\n`);
+  });
+  return reporter;
+}
+
+module.exports = JsSanitizerMochaReporter;
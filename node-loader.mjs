@@ -0,0 +1,59 @@
+// node-loader.mjs
+// Module customization hooks for Node (node --test, plain node, tsx): the
+// js-sanitizer rewrite on test files as they load.
+//
+//   // sanitizer.node-loader.mjs — node --import ./sanitizer.node-loader.mjs --test
+//   import { register } from "node:module";
+//   register("js-sanitizer/node-loader", import.meta.url, { data: { silent: true } });
+//
+// `data` holds the plugin options, plus `include` / `exclude` as RegExps
+// (functions can't reach the hooks thread). Register it before hooks that
+// compile TypeScript (tsx, ts-node/esm): hooks registered first run last, on
+// the file as written. Edits keep every line where it was.
+
+import fs from "node:fs/promises";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+
+const require = createRequire(import.meta.url);
+const { createRewriter, DEFAULT_EXCLUDE, matchesFilter, checkFilters } = require("./rewrite.js");
+
+// node --test's own file patterns (*.test.js, *-test.js, *_test.js, test-*.js,
+// test.js, test/**), plus *.spec.* and __tests__/**
+const DEFAULT_INCLUDE =
+  /(?:[.\-_](?:test|spec)|[\\/]test-[^\\/]*|[\\/]test)\.[cm]?[jt]sx?$|[\\/](?:test|__tests__)[\\/].+\.[cm]?[jt]sx?$/;
+
+const FORMATS = new Set(["module", "commonjs", "module-typescript", "commonjs-typescript"]);
+
+let rewrite = null;
+let include = DEFAULT_INCLUDE;
+let exclude = DEFAULT_EXCLUDE;
+
+export function initialize(data = {}) {
+  const { include: includeOption = DEFAULT_INCLUDE, exclude: excludeOption = DEFAULT_EXCLUDE, ...options } =
+    data || {};
+  checkFilters("Node loader", { include: includeOption, exclude: excludeOption });
+  include = includeOption;
+  exclude = excludeOption;
+  rewrite = createRewriter(options).rewrite;
+}
+
+export async function load(url, context, nextLoad) {
+  const result = await nextLoad(url, context);
+  if (!url.startsWith("file:") || !FORMATS.has(result.format)) return result;
+  const filename = fileURLToPath(url);
+  if (!matchesFilter(include, filename) || matchesFilter(exclude, filename)) return result;
+
+  // The default loader leaves CommonJS sources to the CommonJS loader. Plain
+  // JavaScript can be handed back as source; anything else is compiled by a
+  // require hook (tsx for CommonJS TypeScript) that a source would bypass.
+  if (result.source == null && !/\.c?js$/.test(filename)) return result;
+
+  if (!rewrite) initialize();
+  const source = result.source == null ? await fs.readFile(filename, "utf8") : String(result.source);
+  const out = rewrite(source, filename, {
+    runtimeImport: result.format.startsWith("module") ? "import" : "require",
+    preserveLines: true,
+  });
+  return out ? { ...result, source: out.code } : result;
+}
@@ -0,0 +1,169 @@
+// options.js
+// Plugin options for js-sanitizer: schema, defaults and validation.
+// Usage: ["module:js-sanitizer", { reportDir, logFile, silent, tags: [...] }]
+
+const { CALLEE_PRESETS } = require("./callees.js");
+
+// --- Type checks used by the schema ---
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string" && v.trim() !== "",
+  boolean: (v) => typeof v === "boolean",
+  false: (v) => v === false,
+  "string[]": (v) => Array.isArray(v) && v.every((x) => typeof x === "string" && x.trim() !== ""),
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+};
+
+const TYPE_LABELS = {
+  string: "a non-empty string",
+  boolean: "a boolean",
+  false: "false",
+  "string[]": "an array of non-empty strings",
+  object: "an object",
+};
+
+// --- Schema (keys are case-sensitive, like every other Babel option) ---
+const OPTIONS_SCHEMA = {
+  // Directory for skip reports; relative paths resolve against process.cwd()
+  reportDir: { types: ["string"], default: "reports" },
+  // Log file name (relative to reportDir) or false to disable the log file
+  logFile: { types: ["string", "false"], default: "environment-sanitized-tests.log" },
+  // Per-run JSON report (relative to reportDir) or false to disable it
+  report: { types: ["string", "false"], default: "sanitizer-report.json" },
+  // JUnit XML report of skipped tests (relative to reportDir), off by default
+  junit: { types: ["string", "false"], default: false },
+  // Suppress the [SKIPPING] console.warn lines
+  silent: { types: ["boolean"], default: false },
+  // Fail the build on unknown-looking tags and invalid tag values instead of warning
+  strict: { types: ["boolean"], default: false },
+  // Project config with custom tags and conditions (default: js-sanitizer.config.js or package.json "sanitizer")
+  configFile: { types: ["string"], default: null },
+  // Simulated environment: { os, node, arch, browser, cpus, memory } (JS_SANITIZER_* variables do the same)
+  environment: { types: ["object"], validate: validateEnvironment, default: null },
+  // Test environment (jsdom, happy-dom, node, ...) of files without an @jest-environment / @vitest-environment
+  // docblock, when the framework config does not say (default: checked where the tests run)
+  testEnvironment: { types: ["string"], default: null },
+  // Allow-list of tag handlers to enable (default: all built-in and custom tags)
+  tags: { types: ["string[]"], default: null },
+  // Callee presets to recognise (default: all of them)
+  frameworks: { types: ["string[]"], values: Object.keys(CALLEE_PRESETS), default: null },
+  // Extra callees: { "myTest": { kind: "test", skip: "myTest.skip", fail: "myTest.failing" } }, or false to drop one
+  callees: { types: ["object"], validate: validateCallees, default: null },
+  // "compile": decide while transforming; "runtime": emit guards decided by each test process
+  mode: { types: ["string"], values: ["compile", "runtime"], default: "compile" },
+  // Module the runtime guards import (mode: "runtime")
+  runtimeModule: { types: ["string"], default: "js-sanitizer/runtime" },
+  // Module the browser checks import (browser tags no browser was known for while compiling)
+  browserRuntimeModule: { types: ["string"], default: "js-sanitizer/browser-runtime" },
+};
+
+const CALLEE_PATH_RE = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+function validateCallees(callees) {
+  for (const [name, entry] of Object.entries(callees)) {
+    if (!CALLEE_PATH_RE.test(name)) {
+      return `"callees" key "${name}" must be a dotted identifier path such as "test.concurrent".`;
+    }
+    if (entry === false) continue;
+    if (!TYPE_CHECKS.object(entry)) {
+      return `"callees.${name}" must be an object ({ kind, skip }) or false.`;
+    }
+    if (entry.kind !== undefined && entry.kind !== "test" && entry.kind !== "suite") {
+      return `"callees.${name}.kind" must be "test" or "suite".`;
+    }
+    if (entry.skip != null && !CALLEE_PATH_RE.test(entry.skip)) {
+      return `"callees.${name}.skip" must be a dotted identifier path or null.`;
+    }
+    if (entry.fail != null && !CALLEE_PATH_RE.test(entry.fail)) {
+      return `"callees.${name}.fail" must be a dotted identifier path, "runtime" or null.`;
+    }
+  }
+  return null;
+}
+
+const ENVIRONMENT_KEYS = ["os", "node", "arch", "browser", "cpus", "memory"];
+
+function validateEnvironment(environment) {
+  for (const [key, value] of Object.entries(environment)) {
+    if (!ENVIRONMENT_KEYS.includes(key)) {
+      return `"environment" has unknown key "${key}". Known keys: ${ENVIRONMENT_KEYS.join(", ")}.`;
+    }
+    if (!TYPE_CHECKS.string(value) && !(typeof value === "number" && Number.isFinite(value))) {
+      return `"environment.${key}" must be a non-empty string or a number.`;
+    }
+  }
+  return null;
+}
+
+function describeValue(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+function optionError(msg) {
+  return new Error(`[js-sanitizer] Invalid plugin options: ${msg}`);
+}
+
+/**
+ * Validate raw plugin options against OPTIONS_SCHEMA and fill in defaults.
+ * `context.knownTags` lists the tag names accepted in `tags` (any case), or is
+ * a function of the validated options returning them (custom tags depend on
+ * `configFile`).
+ * Throws an Error naming the offending option on the first problem found.
+ */
+function validateOptions(raw, context = {}) {
+  const input = raw == null ? {} : raw;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw optionError(`expected an object, got ${describeValue(input)}.`);
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!Object.prototype.hasOwnProperty.call(OPTIONS_SCHEMA, key)) {
+      const known = Object.keys(OPTIONS_SCHEMA).join(", ");
+      throw optionError(`unknown option "${key}". Known options: ${known}.`);
+    }
+  }
+
+  const out = {};
+  for (const [key, spec] of Object.entries(OPTIONS_SCHEMA)) {
+    const value = input[key];
+    if (value === undefined) {
+      out[key] = spec.default;
+      continue;
+    }
+    if (!spec.types.some((type) => TYPE_CHECKS[type](value))) {
+      const expected = spec.types.map((type) => TYPE_LABELS[type]).join(" or ");
+      throw optionError(`"${key}" must be ${expected}, got ${describeValue(value)}.`);
+    }
+    if (spec.values) {
+      const bad = [].concat(value).find((v) => !spec.values.includes(v));
+      if (bad !== undefined) {
+        throw optionError(`"${key}" contains unknown value "${bad}". Expected one of: ${spec.values.join(", ")}.`);
+      }
+    }
+    if (spec.validate) {
+      const problem = spec.validate(value);
+      if (problem) throw optionError(problem);
+    }
+    out[key] = value;
+  }
+
+  const knownTags =
+    typeof context.knownTags === "function" ? context.knownTags(out) : context.knownTags || [];
+  if (out.tags) {
+    const known = new Map(knownTags.map((tag) => [tag.toLowerCase(), tag]));
+    out.tags = out.tags.map((tag) => {
+      const name = tag.trim().replace(/^@/, "");
+      if (known.size && !known.has(name.toLowerCase())) {
+        throw optionError(
+          `"tags" contains unknown tag "${tag}". Known tags: ${[...known.values()].join(", ")}.`
+        );
+      }
+      return name.toLowerCase();
+    });
+  }
+
+  return out;
+}
+
+module.exports = { OPTIONS_SCHEMA, validateOptions };
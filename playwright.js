@@ -0,0 +1,71 @@
+// playwright.js
+// Playwright Test wiring. Playwright compiles test files with its own Babel
+// and takes no plugins from the config, so withSanitizer() hands it this file
+// through its source-transform hook (PW_TEST_SOURCE_TRANSFORM: a Babel plugin
+// path the runner and its workers add to their own plugins).
+//
+//   // playwright.config.js
+//   const { defineConfig } = require("@playwright/test");
+//   const { withSanitizer } = require("js-sanitizer/playwright");
+//   module.exports = withSanitizer(defineConfig({ projects: [...] }), { silent: true });
+//
+// OS, Node and other tags are decided while compiling; browser tags become
+// test.skip(({ browserName }) => ..., reason) guards decided per project.
+// Options travel to the workers in JS_SANITIZER_PLAYWRIGHT, so they must be
+// JSON. Playwright keys its compile cache on the plugin path, which is a shim
+// named after the options and the environment: a change compiles afresh.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { version } = require("./package.json");
+const { createEngine } = require("./engine.js");
+const { createSanitizer } = require("./sanitizer.js");
+
+const OPTIONS_ENV = "JS_SANITIZER_PLAYWRIGHT";
+const TRANSFORM_ENV = "PW_TEST_SOURCE_TRANSFORM";
+const SCOPE_ENV = "PW_TEST_SOURCE_TRANSFORM_SCOPE";
+
+const hash = (...parts) => crypto.createHash("sha1").update(parts.join("\0")).digest("hex");
+
+// A file that re-exports this plugin, at a path unique to `key`
+function pluginShim(key) {
+  const file = path.join(os.tmpdir(), "js-sanitizer-playwright", `${key}.js`);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `module.exports = require(${JSON.stringify(__filename)});\n`, "utf8");
+  }
+  return file;
+}
+
+/**
+ * Register the sanitizer with Playwright's compiler and return `config`
+ * unchanged. `scope` limits it to files under the given directories (default:
+ * the working directory); every other option is the Babel plugin's.
+ */
+function withSanitizer(config = {}, pluginOptions = {}) {
+  const { scope = [process.cwd()], ...options } = pluginOptions || {};
+  const current = process.env[TRANSFORM_ENV];
+  if (current && !current.includes(`${path.sep}js-sanitizer-playwright${path.sep}`)) {
+    throw new Error(`[js-sanitizer] ${TRANSFORM_ENV} is already set (${current}); Playwright takes only one.`);
+  }
+  const json = JSON.stringify(options);
+  // validates the options here, where errors point at the config
+  const engine = createEngine(options);
+  process.env[OPTIONS_ENV] = json;
+  process.env[TRANSFORM_ENV] = pluginShim(hash(version, json, engine.cacheKey()));
+  process.env[SCOPE_ENV] = []
+    .concat(scope)
+    .map((dir) => path.resolve(dir))
+    .join(path.delimiter);
+  return config;
+}
+
+// The Babel plugin Playwright loads, with the options withSanitizer() passed on
+function jsSanitizerPlaywright(babel) {
+  return createSanitizer(babel, JSON.parse(process.env[OPTIONS_ENV] || "{}"));
+}
+
+module.exports = jsSanitizerPlaywright;
+module.exports.withSanitizer = withSanitizer;
@@ -0,0 +1,310 @@
+// report.js
+// Structured skip reports: one JSON document per run, plus optional JUnit XML.
+//
+// Babel transforms test files in several processes at once (Jest/Vitest
+// workers), so each process appends its entries to its own shard under
+//   <reportDir>/.sanitizer-runs/<runId>/<pid>.jsonl
+// and the report is merged from every shard of the run once: when a process
+// exits, and again by the end-of-run summary. Runs whose processes have all
+// exited are removed, which gives the report run boundaries without touching
+// a run still going in the same reportDir. A pid-based run id can come back
+// when the system reuses the pid, so shards carry the start time of the run's
+// owner, and a process truncates its shard the first time it opens it.
+//
+// Besides entries, shards list the files with tags the process transformed
+// and (Jest transformer) those it looked up in the transform cache. Files
+// looked up but never transformed came from the cache, and the report says
+// it is partial.
+
+const fs = require("fs");
+const path = require("path");
+const { version } = require("./package.json");
+
+const SHARDS_DIR = ".sanitizer-runs";
+const runDirName = (runId) => runId.replace(/[^\w.-]/g, "_");
+
+/**
+ * Run id shared by every process of one test run: JS_SANITIZER_RUN_ID when set,
+ * else the pid of the runner's main process (the parent of a Jest or Vitest
+ * worker, the current process otherwise).
+ */
+function resolveRunId(env = process.env) {
+  if (env.JS_SANITIZER_RUN_ID) return String(env.JS_SANITIZER_RUN_ID);
+  const isWorker = !!(env.JEST_WORKER_ID || env.VITEST_POOL_ID || env.VITEST_WORKER_ID);
+  return `pid-${isWorker ? process.ppid : process.pid}`;
+}
+
+// Start time of process `pid`, which tells a reused pid from the process that
+// had it first (Linux; null where it can't be read)
+function processStart(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf8");
+    return stat.slice(stat.lastIndexOf(")") + 2).split(" ")[19] || null;
+  } catch {
+    return null;
+  }
+}
+
+// Identity of the process that owns a pid-<n> run, null for JS_SANITIZER_RUN_ID runs
+function runOwner(runId) {
+  const match = /^pid-(\d+)$/.exec(runId);
+  const start = match && processStart(Number(match[1]));
+  return start ? `${match[1]}@${start}` : null;
+}
+
+// Whether a shard was written for the run `owner` owns (or no owner is known)
+const ownedBy = (shard, owner) => !owner || !shard.header.owner || shard.header.owner === owner;
+
+function writeAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, "utf8");
+  fs.renameSync(tmp, file);
+}
+
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * JUnit XML for a merged report: one <testsuite> per file, one skipped
+ * <testcase> per skipped entry with the reason as the <skipped message>.
+ * Expected failures still run, so the test runner reports them itself.
+ */
+function toJUnit(report) {
+  const byFile = new Map();
+  const skipped = report.entries.filter((entry) => entry.outcome !== "expected-failure");
+  for (const entry of skipped) {
+    if (!byFile.has(entry.file)) byFile.set(entry.file, []);
+    byFile.get(entry.file).push(entry);
+  }
+
+  const total = skipped.length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="js-sanitizer" tests="${total}" skipped="${total}" failures="0" errors="0">`,
+  ];
+  // simulated values go in every suite's <properties>, where CI viewers show them
+  const simulated = Object.entries((report.environment && report.environment.simulated) || {});
+  const properties = simulated.length
+    ? [
+        "    <properties>",
+        ...simulated.map(
+          ([key, value]) => `      <property name="js-sanitizer.simulated.${escapeXml(key)}" value="${escapeXml(value ?? "none")}"/>`
+        ),
+        "    </properties>",
+      ]
+    : [];
+  for (const [file, entries] of byFile) {
+    lines.push(
+      `  <testsuite name="${escapeXml(file)}" tests="${entries.length}" skipped="${entries.length}" failures="0" errors="0">`,
+      ...properties
+    );
+    for (const e of entries) {
+      const name = e.row ? `${e.test} [row #${e.row}]` : e.test;
+      lines.push(
+        `    <testcase classname="${escapeXml(file)}" name="${escapeXml(name)}" file="${escapeXml(file)}" line="${e.line ?? ""}">`,
+        `      <skipped message="${escapeXml(e.reason)}"/>`,
+        "    </testcase>"
+      );
+    }
+    lines.push("  </testsuite>");
+  }
+  lines.push("</testsuites>", "");
+  return lines.join("\n");
+}
+
+// Whether the process that owns a shard (or a pid-<n> run) is still running
+function isAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+// Shard files of a run directory → [{ pid, file, header, entries, transformed,
+// lookups }]. The first line of a shard is its header, every other line one
+// entry or one { record: "transformed" | "lookup", file } record.
+function readShards(runDir) {
+  let names;
+  try {
+    names = fs.readdirSync(runDir);
+  } catch {
+    return [];
+  }
+  const shards = [];
+  for (const name of names) {
+    if (!name.endsWith(".jsonl")) continue;
+    let lines;
+    try {
+      lines = fs.readFileSync(path.join(runDir, name), "utf8").split("\n");
+    } catch {
+      continue;
+    }
+    const [header, ...rest] = lines.map(parseLine).filter((line, i) => line || i === 0);
+    if (!header) continue;
+    const recorded = (record) => rest.filter((line) => line.record === record).map((line) => line.file);
+    shards.push({
+      pid: Number.parseInt(name, 10),
+      file: path.join(runDir, name),
+      header,
+      entries: rest.filter((line) => !line.record),
+      transformed: recorded("transformed"),
+      lookups: recorded("lookup"),
+    });
+  }
+  return shards;
+}
+
+function parseLine(line) {
+  try {
+    return line ? JSON.parse(line) : null;
+  } catch {
+    return null; // a line cut short by a crash
+  }
+}
+
+// Remove the shards of runs none of whose processes are still running. The
+// owner of a pid-<n> run counts while it is the process that started the run.
+function pruneFinishedRuns(shardsRoot, keep) {
+  for (const dir of fs.readdirSync(shardsRoot)) {
+    const full = path.join(shardsRoot, dir);
+    if (full === keep) continue;
+    const shards = readShards(full);
+    const pid = /^pid-(\d+)$/.exec(dir);
+    const owner = runOwner(dir);
+    if (pid && isAlive(Number(pid[1])) && shards.every((shard) => ownedBy(shard, owner))) continue;
+    if (shards.some((shard) => isAlive(shard.pid))) continue;
+    fs.rmSync(full, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Merge the shards of one run into the JSON report and JUnit XML named in
+ * their headers. `partial` is set when files came from a transform cache
+ * (`cachedFiles`): their entries are missing. Does nothing when the run
+ * recorded nothing at all, so the last report stays in place. Returns the
+ * merged report or null.
+ */
+function mergeRun({ reportDir, runId = resolveRunId() }) {
+  const owner = runOwner(runId);
+  const shards = readShards(path.join(reportDir, SHARDS_DIR, runDirName(runId))).filter((shard) =>
+    ownedBy(shard, owner)
+  );
+  if (!shards.length) return null;
+  const { environment, report: reportPath, junit: junitPath } = shards[0].header;
+  const all = shards.flatMap((shard) => shard.entries);
+  all.sort((a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0));
+  const transformed = new Set(shards.flatMap((shard) => shard.transformed));
+  const cachedFiles = [...new Set(shards.flatMap((shard) => shard.lookups))].filter((file) => !transformed.has(file));
+  const merged = {
+    tool: "js-sanitizer",
+    version,
+    runId,
+    startedAt: shards.map((shard) => shard.header.startedAt).sort()[0],
+    updatedAt: new Date().toISOString(),
+    environment,
+    partial: cachedFiles.length > 0,
+    cachedFiles: cachedFiles.sort(),
+    summary: {
+      skipped: all.filter((e) => e.outcome !== "expected-failure").length,
+      expectedFailures: all.filter((e) => e.outcome === "expected-failure").length,
+    },
+    entries: all,
+  };
+  try {
+    if (reportPath) writeAtomic(reportPath, JSON.stringify(merged, null, 2) + "\n");
+    if (junitPath) writeAtomic(junitPath, toJUnit(merged));
+  } catch {
+    /* ignore reporting errors, like the text log */
+  }
+  return merged;
+}
+
+// Shards this process opened, truncated the first time
+const openedShards = new Set();
+
+// Runs this process wrote shards for, merged once when it exits
+const pendingRuns = new Map();
+function mergeOnExit(reportDir, runId) {
+  if (!pendingRuns.size) {
+    process.once("exit", () => {
+      for (const [dir, id] of pendingRuns) mergeRun({ reportDir: dir, runId: id });
+    });
+  }
+  pendingRuns.set(reportDir, runId);
+}
+
+/**
+ * Create a report writer. `report` and `junit` are file names relative to
+ * `reportDir` (false disables them). Nothing touches the disk until the first
+ * entry or file is added; both are appended to this process's shard and merged
+ * by mergeRun() when the process exits, or earlier by the end-of-run summary.
+ * addFile(file, record) records a file the process transformed
+ * ("transformed") or looked up in a transform cache ("lookup").
+ *
+ * Entries: { file, line, column, test, callee, kind, scope, row, outcome, tag,
+ *            value, reason, environment: { platform, node, arch, browser, simulated } }
+ */
+function createReportWriter({ reportDir, report, junit, environment }) {
+  const runId = resolveRunId();
+  const startedAt = new Date().toISOString();
+  const envSnapshot = {
+    platform: environment.platform,
+    node: environment.node,
+    arch: environment.arch,
+    browser: environment.browser,
+    // values set by JS_SANITIZER_* / the `environment` option rather than detected
+    simulated: { ...environment.simulated },
+  };
+
+  const reportPath = report ? path.resolve(reportDir, report) : null;
+  const junitPath = junit ? path.resolve(reportDir, junit) : null;
+  const shardsRoot = path.join(reportDir, SHARDS_DIR);
+  const runDir = path.join(shardsRoot, runDirName(runId));
+  const shardPath = path.join(runDir, `${process.pid}.jsonl`);
+
+  // First write of this writer: unless another writer of this process already
+  // did, start the shard over with its header (a process with the same pid may
+  // have left one) and drop the shards of an earlier owner of the run id. Then
+  // drop finished runs.
+  let opened = false;
+  function open() {
+    opened = true;
+    fs.mkdirSync(runDir, { recursive: true });
+    if (!openedShards.has(shardPath)) {
+      openedShards.add(shardPath);
+      const owner = runOwner(runId);
+      for (const shard of readShards(runDir)) {
+        if (!ownedBy(shard, owner)) fs.rmSync(shard.file, { force: true });
+      }
+      const header = { pid: process.pid, owner, startedAt, environment: envSnapshot };
+      fs.writeFileSync(shardPath, JSON.stringify({ ...header, report: reportPath, junit: junitPath }) + "\n", "utf8");
+    }
+    pruneFinishedRuns(shardsRoot, runDir);
+    mergeOnExit(reportDir, runId);
+  }
+
+  function append(line) {
+    if (!reportPath && !junitPath) return;
+    try {
+      if (!opened) open();
+      fs.appendFileSync(shardPath, JSON.stringify(line) + "\n", "utf8");
+    } catch {
+      /* ignore reporting errors, like the text log */
+    }
+  }
+
+  const add = (entry) => append({ ...entry, environment: envSnapshot });
+  const addFile = (file, record) => append({ record, file });
+
+  return { runId, add, addFile };
+}
+
+module.exports = { createReportWriter, mergeRun, resolveRunId, toJUnit };
@@ -0,0 +1,472 @@
+// rewrite.js
+// String-level backend: parses a file with @babel/parser, asks the engine
+// about every test call and rewrites only those call sites with magic-string,
+// with a source map. There is no Babel transform or code generation, so the
+// rest of the file (TypeScript, JSX, ...) is left as written for the next tool
+// in the pipeline. Used by the Vite, esbuild and SWC entry points (vite.js,
+// esbuild.js, swc.js) and the Jest transformer (jest-transformer.js).
+//
+// The decisions are the engine's (planFile() in engine.js), as for the Babel
+// plugin (sanitizer.js); this file finds the docblocks the way the plugin does
+// and turns each plan into string edits.
+
+const { parse } = require("@babel/parser");
+const MagicString = require("magic-string");
+const { createEngine, REWRITTEN_MARKER } = require("./engine.js");
+const { ExpressionSyntaxError } = require("./expression.js");
+const { collectTestImports } = require("./imports.js");
+const { skipOptionSlot } = require("./test-options.js");
+const { createScopeTracker } = require("./scope.js");
+
+// Files the bundler plugins rewrite unless told otherwise
+const DEFAULT_INCLUDE = /(?:\.(?:test|spec)\.[cm]?[jt]sx?|[\\/]__tests__[\\/].+\.[cm]?[jt]sx?)$/;
+const DEFAULT_EXCLUDE = /[\\/]node_modules[\\/]/;
+
+// `include` / `exclude` are a RegExp or (path) => boolean
+const matchesFilter = (filter, id) => (typeof filter === "function" ? !!filter(id) : filter.test(id));
+
+function checkFilters(plugin, filters) {
+  for (const [name, filter] of Object.entries(filters)) {
+    if (!(filter instanceof RegExp) && typeof filter !== "function") {
+      throw new Error(`[js-sanitizer] Invalid ${plugin} plugin options: "${name}" must be a RegExp or a function.`);
+    }
+  }
+}
+
+function parserPlugins(filename) {
+  if (/\.[mc]?tsx$/.test(filename)) return ["typescript", "jsx", "decorators-legacy"];
+  if (/\.[mc]?ts$/.test(filename)) return ["typescript", "decorators-legacy"];
+  return ["jsx"];
+}
+
+// Children of a node, in source order
+function childNodes(node) {
+  const out = [];
+  for (const key of Object.keys(node)) {
+    if (key === "loc" || key.endsWith("Comments") || key === "extra") continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const item of value) if (item && typeof item.type === "string") out.push(item);
+    } else if (value && typeof value.type === "string") {
+      out.push(value);
+    }
+  }
+  return out;
+}
+
+// Depth-first, parents before children, like Babel's traversal
+function walk(node, parent, visit) {
+  visit(node, parent);
+  for (const child of childNodes(node)) walk(child, { node, parent }, visit);
+}
+
+const lastBlock = (comments) => [...(comments || [])].reverse().find((c) => c.type === "CommentBlock") || null;
+
+/**
+ * Create a rewriter for one set of plugin options (hooks as for createEngine).
+ * `rewrite(code, filename, settings)` returns { code, map } or null when the
+ * file needs no change. Settings:
+ *   sourceType     "unambiguous" (default), "module" or "script"
+ *   runtimeImport  how the runtime modules are loaded: "auto" (import in modules,
+ *                  require otherwise), "import" or "require"
+ *   preserveLines  keep every line where it was (no added or removed line
+ *                  breaks), for tools that keep their own source map
+ *   testEnvironment  the framework config's test environment (jsdom, node, ...),
+ *                  for files without an @jest-environment / @vitest-environment
+ */
+function createRewriter(pluginOptions, hooks = {}) {
+  const engine = createEngine(pluginOptions, hooks);
+  const { options, runtimeMode, analyzeCallee, parsePragmas, relativeFile } = engine;
+
+  // Dotted path of a callee ("it", "test.concurrent.only"), or null if it isn't a plain chain
+  function calleePath(node) {
+    if (node.type === "Identifier") return node.name;
+    if (node.type === "MemberExpression") {
+      const object = calleePath(node.object);
+      if (object === null) return null;
+      if (!node.computed && node.property.type === "Identifier") return `${object}.${node.property.name}`;
+      if (node.property.type === "StringLiteral") return `${object}.${node.property.value}`;
+    }
+    return null;
+  }
+
+  const scopes = createScopeTracker(childNodes);
+
+  // What the first name of a callee refers to, seen from the call's ancestors:
+  // the file's test-framework import, null for a global, or false for any other
+  // binding of the file's own (Babel's scope.getBinding in sanitizer.js)
+  function resolveHead(head, parent, imports) {
+    for (let p = parent; p; p = p.parent) {
+      if (p.node.type === "Program") return imports.get(head) || (scopes.declares(p.node, head) ? false : null);
+      if (scopes.declares(p.node, head)) return false;
+    }
+    return null;
+  }
+
+  // Registry entry of a callee node; local bindings are left alone
+  function analyzeNode(node, parent, imports) {
+    const name = calleePath(node);
+    if (name === null) return null;
+    const binding = resolveHead(name.split(".")[0], parent, imports);
+    return binding === false ? null : analyzeCallee(name, binding);
+  }
+
+  // Same shapes as sanitizer.js: it(...), test.each(table)(...), test.each`table`(...)
+  function locateCallee(call, parent, imports) {
+    const callee = call.callee;
+    if (callee.type === "CallExpression") {
+      const info = analyzeNode(callee.callee, parent, imports);
+      if (!info || !info.parameterized) return null;
+      return { info, callee: callee.callee, table: callee.arguments[0] || null };
+    }
+    if (callee.type === "TaggedTemplateExpression") {
+      const info = analyzeNode(callee.tag, parent, imports);
+      if (!info || !info.parameterized) return null;
+      return { info, callee: callee.tag, table: null };
+    }
+    const info = analyzeNode(callee, parent, imports);
+    if (!info || info.parameterized) return null;
+    return { info, callee, table: null };
+  }
+
+  // Docblock of a call: on its statement, on the call itself, or one level up
+  function getDocblockComment(call, parent) {
+    const statement = parent && parent.node.type === "ExpressionStatement" ? parent.node : null;
+    const candidates = [statement, call, parent && parent.parent && parent.parent.node];
+    for (const node of candidates) {
+      if (node && node.leadingComments && node.leadingComments.length) return lastBlock(node.leadingComments);
+    }
+    return null;
+  }
+
+  // A /** */ comment opening the file that isn't glued to a test call on the next line
+  function getFileDocblockComment(ast, code, imports) {
+    const first = (ast.comments || [])[0];
+    if (!first || first.type !== "CommentBlock" || !first.value.startsWith("*")) return null;
+    if (code.slice(0, first.start).replace(/^#!.*/, "").trim() !== "") return null;
+
+    const program = ast.program;
+    const firstNode = program.directives[0] || program.body[0];
+    const glued = firstNode && firstNode.loc.start.line === first.loc.end.line + 1;
+    if (
+      glued &&
+      firstNode.type === "ExpressionStatement" &&
+      firstNode.expression.type === "CallExpression" &&
+      locateCallee(firstNode.expression, { node: firstNode, parent: { node: program, parent: null } }, imports)
+    ) {
+      return null;
+    }
+    return first;
+  }
+
+  const isTopLevelCall = (parent) =>
+    parent && parent.node.type === "ExpressionStatement" && parent.parent && parent.parent.node.type === "Program";
+
+  function expressionError(err, tag, comment, node, filename) {
+    if (!(err instanceof ExpressionSyntaxError)) return err;
+    const at = engine.tagLocation(comment, tag) || { line: node.loc.start.line, column: node.loc.start.column };
+    const error = new Error(`[js-sanitizer] Invalid @${tag} expression in ${filename}:${at.line}: ${err.message}`);
+    error.loc = { file: filename, line: at.line, column: at.column };
+    return error;
+  }
+
+  // Warn (or, with `strict`, throw) for every docblock problem of a file
+  function validateFileTags(ast, filename) {
+    for (const comment of ast.comments || []) {
+      if (comment.type !== "CommentBlock" || !comment.value.startsWith("*")) continue;
+      for (const { line, column, message } of engine.checkDocblock(comment)) {
+        const text = `[js-sanitizer] ${message} (${relativeFile(filename)}:${line})`;
+        if (!options.strict) {
+          console.warn(text);
+          continue;
+        }
+        const error = new Error(text);
+        error.loc = { file: filename, line, column };
+        throw error;
+      }
+    }
+  }
+
+  function rewrite(code, filename, settings = {}) {
+    const { sourceType = "unambiguous", runtimeImport = "auto", preserveLines = false } = settings;
+    if (!engine.mayHaveTags(code) || engine.isRewritten(code)) return null;
+    engine.recordFile(filename, code, "transformed");
+
+    let ast;
+    try {
+      ast = parse(code, {
+        sourceType,
+        sourceFilename: filename,
+        allowReturnOutsideFunction: true,
+        plugins: parserPlugins(filename),
+      });
+    } catch {
+      return null; // leave syntax errors to the compiler that follows
+    }
+
+    const s = new MagicString(code);
+    const imports = collectTestImports(ast.program);
+    validateFileTags(ast, filename);
+
+    // Identifiers of the runtime modules, declared on first use after the
+    // file's leading imports: before the next statement's comments, so a
+    // docblock stays next to its call
+    const moduleIds = {};
+    const firstStatement = ast.program.body.find((node) => node.type !== "ImportDeclaration");
+    const lastNode = ast.program.body[ast.program.body.length - 1];
+    const declareAt = firstStatement
+      ? (firstStatement.leadingComments || [firstStatement])[0].start
+      : lastNode
+        ? lastNode.end
+        : code.length;
+    function moduleRef(name, module) {
+      if (!moduleIds[name]) {
+        let id = name;
+        for (let i = 2; new RegExp(`\\b${id}\\b`).test(code); i++) id = `${name}${i}`;
+        const source = JSON.stringify(module);
+        const useImport = runtimeImport === "auto" ? ast.program.sourceType === "module" : runtimeImport === "import";
+        const decl = useImport ? `import ${id} from ${source};` : `const ${id} = require(${source});`;
+        const separator = preserveLines ? " " : "\n";
+        s.appendLeft(declareAt, firstStatement ? decl + separator : separator + decl);
+        moduleIds[name] = id;
+      }
+      return moduleIds[name];
+    }
+    const runtimeRef = () => moduleRef("_jsSanitizer", options.runtimeModule);
+    const browserRef = () => moduleRef("_jsSanitizerBrowser", options.browserRuntimeModule);
+    const refOf = (module) => (module === "runtime" ? runtimeRef : browserRef);
+
+    // Remove [start, end) ranges (overlaps allowed), keeping their line breaks with preserveLines
+    function removeRanges(ranges) {
+      const merged = [];
+      for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+      }
+      for (const [start, end] of merged) {
+        s.remove(start, end);
+        const breaks = preserveLines ? code.slice(start, end).match(/\r?\n/g) : null;
+        if (breaks) s.appendLeft(start, breaks.join(""));
+      }
+    }
+
+    const moduleCall = (ref, method, ...args) => `${ref()}.${method}(${args.join(", ")})`;
+    const runtimeCall = (method, ...args) => moduleCall(runtimeRef, method, ...args);
+    const browserCall = (method, ...args) => moduleCall(browserRef, method, ...args);
+    const json = (value) => JSON.stringify(value);
+    const source = (node) => code.slice(node.start, node.end);
+    // compile mode takes failing() from browser-runtime.js, which bundles for a browser
+    const failingCallee = (info, node) =>
+      info.fail === "runtime" ? (runtimeMode ? runtimeCall : browserCall)("failing", source(node)) : info.fail;
+    // contentOnly keeps a guard wrapper opened at the same position
+    const replaceCallee = (target, text) =>
+      s.overwrite(target.callee.start, target.callee.end, text, { contentOnly: true });
+
+    // node:test: test(name, { skip: value }, fn), merged into the options the
+    // call already has. `combine(existing)` gives the value when `skip` is set
+    // already. False when the arguments can't be read.
+    function setSkipOption(call, value, combine = () => value) {
+      const slot = skipOptionSlot(call.arguments);
+      if (!slot) return false;
+      const args = call.arguments;
+      if (slot.property) {
+        s.overwrite(slot.property.start, slot.property.end, `skip: ${combine(source(slot.property.value))}`);
+      } else if (slot.object) {
+        const last = slot.object.properties[slot.object.properties.length - 1];
+        if (last) s.appendLeft(last.end, `, skip: ${value}`);
+        else s.overwrite(slot.object.start, slot.object.end, `{ skip: ${value} }`);
+      } else if (slot.spread) {
+        s.prependRight(slot.spread.start, "{ ...");
+        s.appendLeft(slot.spread.end, `, skip: ${value} }`);
+      } else if (slot.insert < args.length) {
+        s.prependRight(args[slot.insert].start, `{ skip: ${value} }, `);
+      } else if (args.length) {
+        s.appendLeft(args[args.length - 1].end, `, { skip: ${value} }`);
+      } else {
+        s.appendLeft(call.end - 1, `{ skip: ${value} }`);
+      }
+      return true;
+    }
+
+    const siteOf = (call, filename, info) => ({
+      filename,
+      info,
+      loc: call.loc.start,
+      endLine: call.loc.end.line,
+      endColumn: call.loc.end.column + 1,
+    });
+
+    // Docblock pragmas of each element of a .each table, for the engine's plan
+    const tableRows = (table) =>
+      table.elements.map((row) => {
+        const comment = row && row.leadingComments ? lastBlock(row.leadingComments) : null;
+        const pragmasLC = parsePragmas(comment);
+        if (!pragmasLC) return null;
+        const onError = (err, tag) => expressionError(err, tag, comment, row, filename);
+        return { pragmasLC, onError, loc: row.loc.start };
+      });
+
+    // Remove the table rows at `indices`, each with its comments and a comma
+    function removeRows(table, indices) {
+      const rows = table.elements;
+      const dropped = new Set(indices);
+      const startOf = (node) => Math.min(node.start, ...(node.leadingComments || []).map((c) => c.start));
+      const ranges = [];
+      for (const index of indices) {
+        const row = rows[index];
+        const next = rows.slice(index + 1).find(Boolean);
+        const kept = rows.slice(0, index).filter((r, i) => r && !dropped.has(i)).pop();
+        // up to the next row (comma included); the last row goes with the comma
+        // after the previous kept one
+        if (next) ranges.push([startOf(row), startOf(next)]);
+        else ranges.push([kept ? kept.end : startOf(row), row.end]);
+      }
+      removeRanges(ranges);
+    }
+
+    // (test ? it.skip : it), with `callee` the text that runs otherwise. Table-driven
+    // callees keep their last property outside, (test ? it.skip : it).each:
+    // Vitest's each() needs its `this`.
+    function conditionalCallee(test, target, callee) {
+      const { info, callee: node } = target;
+      const dot = info.skip.lastIndexOf(".");
+      const last = info.skip.slice(dot + 1);
+      if (
+        info.parameterized &&
+        dot > 0 &&
+        callee === source(node) &&
+        node.type === "MemberExpression" &&
+        !node.computed &&
+        node.property.name === last
+      ) {
+        return `(${test} ? ${info.skip.slice(0, dot)} : ${source(node.object)}).${last}`;
+      }
+      return `(${test} ? ${info.skip} : ${callee})`;
+    }
+
+    // rt.rows(table, rowPragmas, meta) and rt.allRows(rowPragmas, meta), from
+    // the module the plan's `rowGuard` names
+    function guardTableRows(table, target, plan) {
+      const { module, rowPragmas } = plan.rowGuard;
+      const ref = refOf(module);
+      const meta = json(plan.meta);
+      s.prependRight(table.start, `${ref()}.rows(`);
+      s.appendLeft(table.end, `, ${json(rowPragmas)}, ${meta})`);
+      const allRows = moduleCall(ref, "allRows", json(rowPragmas), meta);
+      replaceCallee(target, conditionalCallee(allRows, target, source(target.callee)));
+    }
+
+    // (check.skip(p) ? it.skip : check.fails(p) ? <failing> : <callee>)(...), or
+    // { skip: check.skip(p) || false } for runners that take it as an option.
+    // The plan's `guard` gives the module that checks and the pragmas; with
+    // `failing`, what runs when nothing matches is the expected-failure callee.
+    function guardTest(call, target, plan) {
+      const { info } = target;
+      const { module, skip, fail, failing } = plan.guard;
+      const ref = refOf(module);
+      const meta = json(plan.meta);
+      const callee = failing ? failingCallee(info, target.callee) : source(target.callee);
+      let guarded = callee;
+      if (fail) {
+        guarded = `(${moduleCall(ref, "fails", json(fail), meta)} ? ${failingCallee(info, target.callee)} : ${callee})`;
+      }
+      if (skip) {
+        const guard = moduleCall(ref, "skip", json(skip), meta);
+        // { skip: rt.skip(p) || false }, or || <what the test had>; node:test
+        // skips on any value but undefined and false, "" included
+        const option = `${guard} || false`;
+        if (info.skipOption && setSkipOption(call, option, (existing) => `${guard} || (${existing})`)) {
+          if (guarded !== source(target.callee)) replaceCallee(target, guarded);
+          return;
+        }
+        guarded = conditionalCallee(guard, target, guarded);
+      }
+      if (guarded !== source(target.callee)) replaceCallee(target, guarded);
+    }
+
+    // Playwright: browser tags become test.skip / test.fail(({ browserName }) =>
+    // ..., reason) calls, decided per project; version constraints ask the
+    // browser-runtime.js matcher with the `browser` fixture's version
+    const browserCondition = ({ value, engines, negate, versioned }) =>
+      versioned
+        ? `({ browserName, browser }) => ${negate ? "!" : ""}${browserCall(
+            "matchesBrowserList",
+            json(value),
+            "{ name: browserName, version: browser.version() }"
+          )}`
+        : `({ browserName }) => ${negate ? "!" : ""}${json(engines)}.includes(browserName)`;
+    const guardCalls = (test, method, guards) =>
+      guards.map((guard) => `${test}.${method}(${browserCondition(guard)}, ${json(guard.reason)}); `).join("");
+
+    // The call inside an anonymous test.describe that holds its guards
+    function wrapInGuards(call, info, guards) {
+      if (!guards || (!guards.skip.length && !guards.fail.length)) return;
+      const test = info.browserGuard;
+      const calls = guardCalls(test, "skip", guards.skip) + guardCalls(test, "fail", guards.fail);
+      s.prependRight(call.start, `${test}.describe(() => { ${calls}`);
+      s.appendLeft(call.end, "; })");
+    }
+
+    // The edits of an engine plan (see planFile() in engine.js), in the Babel plugin's order
+    function applyPlan(call, parent, target, plan) {
+      const { info, table } = target;
+      if (plan.fileGuards.length) s.appendLeft(parent.node.start, guardCalls(info.browserGuard, "skip", plan.fileGuards));
+      if (plan.skip && plan.skip.scope === "table") s.overwrite(target.callee.start, target.callee.end, info.skip);
+      else if (plan.skip) {
+        // it.skip(...), or { skip: "reason" } for runners that take it as an option
+        if (!info.skipOption || !setSkipOption(call, json(plan.skip.reason))) replaceCallee(target, info.skip);
+      }
+      if (plan.guard) guardTest(call, target, plan);
+      else if (plan.failing) replaceCallee(target, failingCallee(info, target.callee));
+      if (plan.dropRows.length) removeRows(table, plan.dropRows);
+      if (plan.rowGuard) guardTableRows(table, target, plan);
+      wrapInGuards(call, info, plan.browserGuards);
+    }
+
+    const fileComment = getFileDocblockComment(ast, code, imports);
+    const filePragmasLC = fileComment && parsePragmas(fileComment);
+    const fileOnError = (err, tag) => expressionError(err, tag, fileComment, ast.program, filename);
+    const planner = engine.planFile(filename, {
+      code,
+      configured: settings.testEnvironment,
+      docblock: filePragmasLC ? { pragmasLC: filePragmasLC, onError: fileOnError } : null,
+    });
+
+    walk(ast.program, null, (call, parent) => {
+      if (call.type !== "CallExpression") return;
+      const target = locateCallee(call, parent, imports);
+      if (!target) return;
+
+      const { info, table } = target;
+      // Respect callees that already don't run (.skip, xit, .todo); .only may still be skipped
+      if (!info.skip) return;
+
+      const first = call.arguments[0];
+      const testName = first && first.type === "StringLiteral" ? first.value : "(unnamed)";
+      const label = `${info.parameterized ? `${info.base}.each` : info.base}("${testName}")`;
+      const comment = getDocblockComment(call, parent);
+      const plan = planner.planCall({
+        site: { ...siteOf(call, filename, info), testName, label },
+        topLevel: isTopLevelCall(parent),
+        pragmasLC: comment && comment !== fileComment ? parsePragmas(comment) : null,
+        onError: (err, tag) => expressionError(err, tag, comment, call, filename),
+        rows: table && table.type === "ArrayExpression" ? tableRows(table) : null,
+      });
+      applyPlan(call, parent, target, plan);
+    });
+    planner.finish();
+
+    if (!s.hasChanged()) return null;
+    // marks the output so a Babel pass with the plugin after us leaves it alone
+    s.append((preserveLines ? " " : "\n") + REWRITTEN_MARKER);
+    return {
+      code: s.toString(),
+      map: s.generateMap({ source: filename, includeContent: true, hires: true }),
+    };
+  }
+
+  return { engine, rewrite };
+}
+
+module.exports = { createRewriter, parserPlugins, DEFAULT_INCLUDE, DEFAULT_EXCLUDE, matchesFilter, checkFilters };
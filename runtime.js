@@ -0,0 +1,95 @@
+// runtime.js
+// Runtime half of the plugin's `mode: "runtime"`. Instead of rewriting
+//   it("x", fn)  →  it.skip("x", fn)
+// while transforming, the plugin emits
+//   (rt.skip({ skiponos: "win32" }, meta) ? it.skip : it)("x", fn)
+// so every test process evaluates the tags against its own environment and a
+// cached transform can never carry another machine's decision. The @failsOn*
+// tags go through fails() and failing() the same way; failing() is shared
+// with browser-runtime.js.
+
+const { describeSimulated, detectEnvironment, simulateEnvironment } = require("./environment.js");
+const { createTagHandlers, isTagSet } = require("./tags.js");
+const { loadProjectConfig } = require("./config.js");
+const { detectTestEnvironment, failing } = require("./browser-runtime.js");
+
+// { environment, handlers } by the `environment` and `configFile` plugin
+// options the guards pass in `meta`, created on first use. The
+// JS_SANITIZER_* overrides and JS_SANITIZER_CONFIG apply as well, as they do
+// at compile time.
+const contexts = new Map();
+function getContext(meta) {
+  const { environment: simulate = null, configFile = null } = meta;
+  const key = JSON.stringify([simulate, configFile]);
+  if (!contexts.has(key)) {
+    const environment = simulateEnvironment(simulate || {}, detectEnvironment());
+    contexts.set(key, { environment, handlers: createTagHandlers(environment, loadProjectConfig({ configFile })) });
+  }
+  return contexts.get(key);
+}
+
+function warn(msg, meta) {
+  console.warn(msg + describeSimulated(getContext(meta).environment));
+}
+
+// The test environment is read from the globals on every check: the handlers
+// outlive a test file when the runner reuses its worker
+function findReason(pragmas, meta, effect = "skip") {
+  const context = { testEnvironment: detectTestEnvironment() };
+  for (const handler of getContext(meta).handlers) {
+    if ((handler.effect || "skip") !== effect) continue;
+    const value = pragmas[handler.tag.toLowerCase()];
+    if (isTagSet(handler, value) && handler.shouldSkip(value, context)) return handler.format(value);
+  }
+  return "";
+}
+
+/**
+ * Reason string (truthy) when `pragmas` say skip in this process, otherwise "".
+ * `pragmas` are keyed by lowercased tag name; `meta` is { label, file, silent }
+ * plus the `environment` and `configFile` plugin options when they are set.
+ */
+function skip(pragmas, meta = {}) {
+  const reason = findReason(pragmas || {}, meta);
+  if (reason && !meta.silent) {
+    warn(`[SKIPPING] ${meta.label} in ${meta.file} due to ${reason}`, meta);
+  }
+  return reason;
+}
+
+/**
+ * True when every row of a .each table carries pragmas that say skip.
+ */
+function allRows(rowPragmas, meta = {}) {
+  return rowPragmas.length > 0 && rowPragmas.every((p) => p && findReason(p, meta));
+}
+
+/**
+ * Drop the rows of a .each table whose pragmas say skip. When every row would
+ * go the table is returned unchanged (allRows() has switched to the skipped
+ * callee, and Jest/Vitest reject an empty table).
+ */
+function rows(table, rowPragmas, meta = {}) {
+  if (allRows(rowPragmas, meta)) return table;
+  return table.filter((_, index) => {
+    const reason = rowPragmas[index] ? findReason(rowPragmas[index], meta) : "";
+    if (reason && !meta.silent) {
+      warn(`[SKIPPING] ${meta.label} row #${index + 1} in ${meta.file} due to ${reason}`, meta);
+    }
+    return !reason;
+  });
+}
+
+/**
+ * Reason string (truthy) when `pragmas` mark the test as an expected failure in
+ * this process, otherwise "".
+ */
+function fails(pragmas, meta = {}) {
+  const reason = findReason(pragmas || {}, meta, "fail");
+  if (reason && !meta.silent) {
+    warn(`[EXPECTED FAILURE] ${meta.label} in ${meta.file} due to ${reason}`, meta);
+  }
+  return reason;
+}
+
+module.exports = { skip, fails, failing, allRows, rows };
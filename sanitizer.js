@@ -2,177 +2,94 @@
 // Babel plugin: js-sanitizer
 // Skips tests (test/it/describe) based on docblock tags (NOW CASE-INSENSITIVE).
 
-const fs = require("fs");
-const path = require("path");
-const { extract, parse } = require("jest-docblock");
+const { createEngine } = require("./engine.js");
+const { ExpressionSyntaxError } = require("./expression.js");
+const { collectTestImports } = require("./imports.js");
+const { skipOptionSlot } = require("./test-options.js");
 
-module.exports = function jsSanitizer(babel) {
+/**
+ * Plugin factory with hooks for tools built on the same analysis (cli.js):
+ *   environment  snapshot to evaluate tags against instead of the detected one
+ *   onTest(entry) called for every runnable test / suite with its outcome:
+ *                "skipped" | "expected-failure" | "enabled" (tags, no match) |
+ *                "unaffected" (no tags); entries as in the report plus endLine
+ *                and endColumn
+ */
+function createSanitizer(babel, pluginOptions, hooks = {}) {
   const { types: t } = babel;
+  const engine = createEngine(pluginOptions, hooks);
+  const { options, runtimeMode, analyzeCallee, parsePragmas, relativeFile } = engine;
 
-  // --- Environment (normalized) ---
-  const currentPlatform = String(process.platform).toLowerCase(); // 'darwin' | 'win32' | 'linux'
-  const currentNodeVersion = (() => {
-    // major version as integer, tolerant to formats like 'v20.11.1'
-    const m = String(process.versions.node).match(/\d+/);
-    return m ? parseInt(m[0], 10) : NaN;
-  })();
-  const currentBrowser = detectBrowser(); // normalized to lowercase string or null
-
-  // --- Reporting ---
-  const reportDir = path.resolve(process.cwd(), "reports");
-
-  // Ensure the reports directory exists
-  if (!fs.existsSync(reportDir)) {
-    fs.mkdirSync(reportDir, { recursive: true });
+  // Compile-time decisions depend on the environment, so let Babel's plugin
+  // cache notice a different platform / Node / arch / browser. Runtime mode
+  // emits environment-independent code and only keys on the project config.
+  // Disk caches outside Babel (babel-jest, @babel/register) don't see this key.
+  if (!hooks.environment && babel.cache && typeof babel.cache.using === "function") {
+    babel.cache.using(engine.cacheKey);
   }
-  const logFilePath = path.join(reportDir, "environment-sanitized-tests.log");
-
-  // --- Tag handlers (tag names are matched case-insensitively) ---
-  const tagHandlers = [
-    {
-      tag: "skipOnBrowser",
-      shouldSkip: (value) => {
-        const list = parseList(value);
-        return currentBrowser && list.includes(currentBrowser);
-      },
-      format: (value) => `@skipOnBrowser ${value}`,
-    },
-    {
-      tag: "enabledOnBrowser",
-      shouldSkip: (value) => {
-        const list = parseList(value);
-        // Skip if we can't detect a browser, or current not in list
-        return !currentBrowser || !list.includes(currentBrowser);
-      },
-      format: (value) => `@enabledOnBrowser ${value}`,
-    },
-    {
-      tag: "skipOnOS",
-      shouldSkip: (value) => parseList(value).includes(currentPlatform),
-      format: (value) => `@skipOnOS ${value}`,
-    },
-    {
-      tag: "enabledOnOS",
-      shouldSkip: (value) => !parseList(value).includes(currentPlatform),
-      format: (value) => `@enabledOnOS ${value}`,
-    },
-    {
-      tag: "skipOnNodeVersion",
-      shouldSkip: (value) => parseVersionList(value).includes(currentNodeVersion),
-      format: (value) => `@skipOnNodeVersion ${value}`,
-    },
-    {
-      tag: "enabledOnNodeVersion",
-      shouldSkip: (value) => !parseVersionList(value).includes(currentNodeVersion),
-      format: (value) => `@enabledOnNodeVersion ${value}`,
-    },
-    {
-      tag: "skipForNodeRange",
-      shouldSkip: (value) => {
-        const { min, max } = parseRange(value);
-        return currentNodeVersion >= min && currentNodeVersion <= max; // inclusive
-      },
-      format: (value) => `@skipForNodeRange ${value}`,
-    },
-    {
-      tag: "enabledForNodeRange",
-      shouldSkip: (value) => {
-        const { min, max } = parseRange(value);
-        return currentNodeVersion < min || currentNodeVersion > max; // outside the inclusive range
-      },
-      format: (value) => `@enabledForNodeRange ${value}`,
-    },
-  ];
 
   // --- Helpers ---
 
-  function detectBrowser() {
-    if (process?.env?.JS_SANITIZER_BROWSER) {
-      return String(process.env.JS_SANITIZER_BROWSER).trim().toLowerCase();
+  // ---- callee analysis through the registry (test, it.only, test.concurrent, fit, ...) ----
+
+  // Dotted path of a callee ("it", "test.concurrent.only"), or null if it isn't a plain chain
+  function calleePath(node) {
+    if (t.isIdentifier(node)) return node.name;
+    if (t.isMemberExpression(node)) {
+      const object = calleePath(node.object);
+      if (object === null) return null;
+      if (!node.computed && t.isIdentifier(node.property)) return `${object}.${node.property.name}`;
+      if (t.isStringLiteral(node.property)) return `${object}.${node.property.value}`;
     }
-    if (typeof navigator === "undefined" || !navigator.userAgent) return null;
-    const ua = navigator.userAgent;
-    if (ua.includes("Firefox")) return "firefox";
-    if (ua.includes("Edg")) return "edge";
-    if (ua.includes("Chrome")) return "chrome";
-    if (ua.includes("Safari") && !ua.includes("Chrome") && !ua.includes("Chromium")) return "safari";
     return null;
   }
 
-  // Split comma lists, trim, and lowercase values.
-  function parseList(str) {
-    return String(str || "")
-      .split(",")
-      .map((s) => s.trim().toLowerCase())
-      .filter(Boolean);
-  }
-
-  // Accept versions like "18", "v20", "20.11.1" → returns majors [18,20,...]
-  function parseVersionList(str) {
-    return parseList(str)
-      .map((tok) => {
-        const m = tok.match(/\d+/);
-        return m ? parseInt(m[0], 10) : NaN;
-      })
-      .filter((v) => Number.isFinite(v));
-  }
-
-  // Parse "min=16,max=18" (case-insensitive keys/values), inclusive range based on majors.
-  function parseRange(str) {
-    const pairs = {};
-    String(str || "")
-      .split(",")
-      .map((p) => p.trim())
-      .filter(Boolean)
-      .forEach((pair) => {
-        const [kRaw, vRaw] = pair.split("=").map((x) => x.trim().toLowerCase());
-        if (kRaw && vRaw) pairs[kRaw] = vRaw;
-      });
-    const toMajor = (s) => {
-      const m = String(s).match(/\d+/);
-      return m ? parseInt(m[0], 10) : null;
-    };
-    const min = pairs.min ? toMajor(pairs.min) : null;
-    const max = pairs.max ? toMajor(pairs.max) : null;
-    return {
-      min: min ?? -Infinity,
-      max: max ?? Infinity,
-    };
-  }
-
-  function logMessage(msg) {
-    const ts = new Date().toISOString();
-    try {
-      fs.appendFileSync(logFilePath, `[${ts}] ${msg}\n`, "utf8");
-    } catch {
-      /* ignore logging errors */
+  // `declare const test: ...` and `import type` describe a value without binding one
+  function declaresTypeOnly(binding) {
+    const { path } = binding;
+    if (path.isVariableDeclarator()) return !!path.parent.declare;
+    if (path.isImportSpecifier() || path.isImportDefaultSpecifier() || path.isImportNamespaceSpecifier()) {
+      return path.node.importKind === "type" || path.parent.importKind === "type";
     }
+    return false;
   }
 
-  // ---- NEW: robust callee analysis (handles X, X.only, X.skip) ----
-  function analyzeCallee(callee) {
-    // Allowed bases (do NOT add new names to avoid changing behavior)
-    const TESTS = new Set(["test", "it"]);
-    const SUITES = new Set(["describe"]);
+  // Registry entry of a callee node. Its first name must be a global (the
+  // framework's) or one of the file's test-framework imports; any other binding
+  // (a helper's parameter, a local `test`, an import from elsewhere) is left alone.
+  function analyzeNode(node, imports, scope) {
+    const name = calleePath(node);
+    if (name === null) return null;
+    const head = name.split(".")[0];
+    const binding = scope.getBinding(head);
+    if (!binding || declaresTypeOnly(binding)) return analyzeCallee(name);
+    if (binding.scope.path.isProgram() && imports.has(head)) return analyzeCallee(name, imports.get(head));
+    return null;
+  }
 
-    if (t.isIdentifier(callee)) {
-      const base = callee.name;
-      if (TESTS.has(base) || SUITES.has(base)) return { base, mod: null };
-      return null;
+  // Where the test callee lives: it(...) / it.only(...) directly, or the inner
+  // test.each(table) / test.each`table` of a parameterized call (table is the
+  // array argument when there is one, for per-row skipping).
+  function locateCallee(path, imports) {
+    const callee = path.get("callee");
+    if (callee.isCallExpression()) {
+      const info = analyzeNode(callee.node.callee, imports, path.scope);
+      if (!info || !info.parameterized) return null;
+      return { info, calleePath: callee.get("callee"), table: callee.get("arguments")[0] || null };
     }
-    if (t.isMemberExpression(callee) && t.isIdentifier(callee.object)) {
-      const base = callee.object.name;
-      if (!(new Set([...TESTS, ...SUITES]).has(base))) return null;
-      let mod = null;
-      if (t.isIdentifier(callee.property)) mod = callee.property.name;
-      else if (t.isStringLiteral(callee.property)) mod = callee.property.value;
-      return { base, mod };
+    if (callee.isTaggedTemplateExpression()) {
+      const info = analyzeNode(callee.node.tag, imports, path.scope);
+      if (!info || !info.parameterized) return null;
+      return { info, calleePath: callee.get("tag"), table: null };
     }
-    return null;
+    const info = analyzeNode(callee.node, imports, path.scope);
+    // X.each(table) on its own is handled from the outer X.each(table)(name, fn)
+    if (!info || info.parameterized) return null;
+    return { info, calleePath: callee, table: null };
   }
 
   // ---- NEW: prefer docblock on ExpressionStatement (common case), with fallbacks ----
-  function getDocblockPragmas(path) {
+  function getDocblockComment(path) {
     const collectLeading = (node) =>
       node && node.leadingComments ? node.leadingComments : [];
 
@@ -198,36 +115,332 @@ module.exports = function jsSanitizer(babel) {
     if (!comments || comments.length === 0) return null;
 
     // Choose the closest preceding block comment
-    const lastBlock = [...comments].reverse().find((c) => c.type === "CommentBlock");
-    if (!lastBlock) return null;
-
-    try {
-      const raw = "/*" + lastBlock.value + "*/";
-      const docblock = extract(raw);
-      const pragmas = parse(docblock) || {};
-
-      // Lowercase keys for case-insensitive lookup
-      const pragmasLC = Object.create(null);
-      for (const [k, v] of Object.entries(pragmas)) {
-        pragmasLC[String(k).toLowerCase()] = v;
-      }
-      return pragmasLC;
-    } catch {
+    return [...comments].reverse().find((c) => c.type === "CommentBlock") || null;
+  }
+
+  // `ignore` is the file-level docblock, which must not double as the first test's own
+  function getDocblockPragmas(path, ignore = null) {
+    const comment = getDocblockComment(path);
+    return comment && comment !== ignore ? parsePragmas(comment) : null;
+  }
+
+  // File-level docblock: a /** */ comment that opens the file (after an optional
+  // hashbang) and is not glued to a test call on the very next line; a glued
+  // one keeps acting as that test's own docblock.
+  function getFileDocblockComment(programPath, code, imports) {
+    const first = (programPath.parent.comments || [])[0];
+    if (!first || first.type !== "CommentBlock" || !first.value.startsWith("*")) return null;
+    const before = String(code || "").slice(0, first.start).replace(/^#!.*/, "");
+    if (before.trim() !== "") return null;
+
+    const program = programPath.node;
+    const firstNode = program.directives[0] || program.body[0];
+    const stmt = programPath.get("body")[0];
+    const glued =
+      firstNode &&
+      first.loc &&
+      firstNode.loc &&
+      firstNode.loc.start.line === first.loc.end.line + 1;
+    if (
+      glued &&
+      stmt &&
+      stmt.node === firstNode &&
+      stmt.isExpressionStatement() &&
+      stmt.get("expression").isCallExpression() &&
+      locateCallee(stmt.get("expression"), imports)
+    ) {
       return null;
     }
+    return first;
+  }
+
+  const isTopLevelCall = (path) =>
+    path.parentPath.isExpressionStatement() && path.parentPath.parentPath.isProgram();
+
+  // Build the skipped variant from its dotted path: "test.concurrent.skip", "xit"
+  function buildCallee(dotted) {
+    return dotted
+      .split(".")
+      .map((part) => t.identifier(part))
+      .reduce((object, property) => t.memberExpression(object, property));
   }
 
-  // ---- NEW: force any variant (X or X.only) to X.skip ----
-  function forceSkipCallee(callee, baseName) {
-    // it(...) -> it.skip(...)
-    if (t.isIdentifier(callee)) {
-      return t.memberExpression(t.identifier(baseName), t.identifier("skip"));
+  // node:test: test(name, { skip: value }, fn), merged into the options the
+  // call already has. `combine(existing)` gives the value when `skip` is set
+  // already. False when the arguments can't be read.
+  function setSkipOption(path, value, combine = () => value) {
+    const args = path.node.arguments;
+    const slot = skipOptionSlot(args);
+    if (!slot) return false;
+    const skipProperty = () => t.objectProperty(t.identifier("skip"), value);
+    if (slot.property) {
+      slot.property.value = combine(slot.property.value);
+      slot.property.shorthand = false;
+    } else if (slot.object) {
+      slot.object.properties.push(skipProperty());
+    } else if (slot.spread) {
+      args[slot.index] = t.objectExpression([t.spreadElement(slot.spread), skipProperty()]);
+    } else {
+      args.splice(slot.insert, 0, t.objectExpression([skipProperty()]));
     }
-    // it.only(...) / it.xxx(...) -> it.skip(...)
-    if (t.isMemberExpression(callee) && t.isIdentifier(callee.object)) {
-      return t.memberExpression(t.identifier(baseName), t.identifier("skip"));
+    return true;
+  }
+
+  // it.skip(...), or { skip: "reason" } for runners that take it as an option
+  function skipCall(path, target, reason) {
+    if (target.info.skipOption && setSkipOption(path, t.stringLiteral(reason))) return;
+    target.calleePath.replaceWith(buildCallee(target.info.skip));
+  }
+
+  function expressionError(err, tag, comment, path, filename) {
+    if (!(err instanceof ExpressionSyntaxError)) return err;
+    // the frame points at the tag when the comment has a location, else at the call
+    const at = engine.tagLocation(comment, tag);
+    const line = at ? at.line : path.node.loc?.start.line ?? "?";
+    const message = `[js-sanitizer] Invalid @${tag} expression in ${filename}:${line}: ${err.message}`;
+    return at ? path.hub.buildError({ loc: { start: at } }, message) : path.buildCodeFrameError(message);
+  }
+
+  // --- Tag validation ---
+
+  // Warn (or, with `strict`, throw) with a code frame for every docblock problem of a file
+  function validateFileTags(file, filename) {
+    for (const comment of file.ast.comments || []) {
+      if (comment.type !== "CommentBlock" || !comment.value.startsWith("*") || !comment.loc) continue;
+      for (const { line, column, message } of engine.checkDocblock(comment)) {
+        const err = file.buildCodeFrameError(
+          { loc: { start: { line, column } } },
+          `[js-sanitizer] ${message} (${relativeFile(filename)}:${line})`
+        );
+        if (options.strict) throw err;
+        console.warn(err.message);
+      }
     }
-    return callee;
+  }
+
+  // Test site of a call for the engine's records (`testName` and `label` added by the caller)
+  function siteOf(path, filename, info) {
+    const loc = path.node.loc;
+    return {
+      path,
+      filename,
+      info,
+      loc: loc ? loc.start : null,
+      endLine: loc ? loc.end.line : null,
+      endColumn: loc ? loc.end.column + 1 : null,
+    };
+  }
+
+  // Docblock pragmas of each element of a .each table, for the engine's plan
+  function tableRows(table, filename) {
+    return table.get("elements").map((row) => {
+      if (!row.node || !row.node.leadingComments) return null;
+      const comment = [...row.node.leadingComments].reverse().find((c) => c.type === "CommentBlock");
+      const pragmasLC = parsePragmas(comment);
+      if (!pragmasLC) return null;
+      const onError = (err, tag) => expressionError(err, tag, comment, row, filename);
+      return { pragmasLC, onError, loc: row.node.loc ? row.node.loc.start : null };
+    });
+  }
+
+  // ---- guards: checks emitted for runtime.js or browser-runtime.js in each test process ----
+
+  // Identifier bound to a runtime module, imported on first use after the
+  // file's leading imports (and after the modules imported before it). Babel
+  // keeps a statement's comments with it, so its docblock stays next to the call.
+  function moduleRef(state, name, module) {
+    const file = state.sanitizerFile;
+    if (!file.moduleIds[name]) {
+      const program = file.program;
+      const id = program.scope.generateUidIdentifier(name);
+      const source = t.stringLiteral(module);
+      const decl =
+        program.node.sourceType === "module"
+          ? t.importDeclaration([t.importDefaultSpecifier(id)], source)
+          : t.variableDeclaration("const", [
+              t.variableDeclarator(id, t.callExpression(t.identifier("require"), [source])),
+            ]);
+      const body = program.get("body");
+      const next = body.find((statement) => !statement.isImportDeclaration());
+      if (file.moduleDecl) [file.moduleDecl] = file.moduleDecl.insertAfter(decl);
+      else if (next) {
+        // Babel also attaches the comments before `next` to the statement
+        // above it; keep them with `next` only
+        const prev = next.getSibling(next.key - 1);
+        const leading = next.node.leadingComments || [];
+        if (prev.node && prev.node.trailingComments) {
+          prev.node.trailingComments = prev.node.trailingComments.filter((c) => !leading.includes(c));
+        }
+        [file.moduleDecl] = next.insertBefore(decl);
+      }
+      else [file.moduleDecl] = program.pushContainer("body", decl);
+      file.moduleIds[name] = id;
+    }
+    return t.cloneNode(file.moduleIds[name]);
+  }
+
+  function runtimeCall(state, method, args) {
+    const ref = moduleRef(state, "jsSanitizer", options.runtimeModule);
+    return t.callExpression(t.memberExpression(ref, t.identifier(method)), args);
+  }
+
+  // browser-runtime.js: browser tags no browser was known for while compiling,
+  // test-environment tags of files whose environment is unknown
+  function browserCall(state, method, args) {
+    const ref = moduleRef(state, "jsSanitizerBrowser", options.browserRuntimeModule);
+    return t.callExpression(t.memberExpression(ref, t.identifier(method)), args);
+  }
+
+  // (test ? it.skip : it) for a callee node. Table-driven callees keep their
+  // last property outside, (test ? it.skip : it).each: Vitest's each() needs its `this`.
+  function conditionalCallee(test, info, callee) {
+    const dot = info.skip.lastIndexOf(".");
+    const last = info.skip.slice(dot + 1);
+    if (
+      info.parameterized &&
+      dot > 0 &&
+      t.isMemberExpression(callee) &&
+      !callee.computed &&
+      t.isIdentifier(callee.property, { name: last })
+    ) {
+      const choice = t.conditionalExpression(test, buildCallee(info.skip.slice(0, dot)), callee.object);
+      return t.memberExpression(choice, t.identifier(last));
+    }
+    return t.conditionalExpression(test, buildCallee(info.skip), callee);
+  }
+
+  // it(...) → (rt.skip({ skiponos: "win32" }, meta) ? it.skip : it)(...)
+  function guardCallee(target, test) {
+    const { calleePath, info } = target;
+    calleePath.replaceWith(conditionalCallee(test, info, t.cloneNode(calleePath.node)));
+  }
+
+  // Expected-failure variant of a callee node: test.failing / test.fails, or
+  // rt.failing(callee) when the framework is only known at run time (compile
+  // mode takes it from browser-runtime.js, which bundles for a browser)
+  function failingCallee(info, node, state) {
+    if (info.fail !== "runtime") return buildCallee(info.fail);
+    return (runtimeMode ? runtimeCall : browserCall)(state, "failing", [t.cloneNode(node)]);
+  }
+
+  const moduleCall = (module) => (module === "runtime" ? runtimeCall : browserCall);
+
+  // (check.skip(p) ? it.skip : check.fails(p) ? <failing> : it)(...), or
+  // { skip: check.skip(p) || false } for runners that take it as an option.
+  // The plan's `guard` gives the module that checks and the pragmas; with
+  // `failing`, what runs when nothing matches is the expected-failure callee.
+  function guardTest(path, target, plan, state) {
+    const { calleePath, info } = target;
+    const { module, skip, fail, failing } = plan.guard;
+    const call = moduleCall(module);
+    const original = calleePath.node;
+    const meta = () => t.valueToNode(plan.meta);
+    let guarded = failing ? failingCallee(info, original, state) : t.cloneNode(original);
+    if (fail) {
+      guarded = t.conditionalExpression(
+        call(state, "fails", [t.valueToNode(fail), meta()]),
+        failingCallee(info, original, state),
+        guarded
+      );
+    }
+    if (skip) {
+      const guard = () => call(state, "skip", [t.valueToNode(skip), meta()]);
+      // { skip: rt.skip(p) || false }, or || <what the test had>; node:test
+      // skips on any value but undefined and false, "" included
+      const option = t.logicalExpression("||", guard(), t.booleanLiteral(false));
+      const combine = (existing) => t.logicalExpression("||", guard(), existing);
+      if (info.skipOption && setSkipOption(path, option, combine)) {
+        if (fail || failing) calleePath.replaceWith(guarded);
+        return;
+      }
+      guarded = conditionalCallee(guard(), info, guarded);
+    }
+    calleePath.replaceWith(guarded);
+  }
+
+  // Row-level tags: rt.rows(table, rowPragmas, meta) drops rows at run time;
+  // rt.allRows(rowPragmas, meta) switches to the skipped callee when every row would go
+  function guardTableRows(table, target, plan, state) {
+    const { module, rowPragmas } = plan.rowGuard;
+    const call = moduleCall(module);
+    table.replaceWith(call(state, "rows", [table.node, t.valueToNode(rowPragmas), t.valueToNode(plan.meta)]));
+    guardCallee(target, call(state, "allRows", [t.valueToNode(rowPragmas), t.valueToNode(plan.meta)]));
+  }
+
+  // ---- Playwright: browser tags as test.skip / test.fail(({ browserName }) => ..., reason) ----
+
+  // Calls built or moved here, left alone when the visitor reaches them again
+  const guardedCalls = new WeakSet();
+
+  // ({ browserName }) => [!]engines.includes(browserName); version constraints
+  // ask the browser-runtime.js matcher with the `browser` fixture's version
+  function browserCondition({ value, engines, negate, versioned }, state) {
+    const fixture = (name) => t.objectProperty(t.identifier(name), t.identifier(name), false, true);
+    const test = versioned
+      ? browserCall(state, "matchesBrowserList", [
+          t.valueToNode(value),
+          t.objectExpression([
+            t.objectProperty(t.identifier("name"), t.identifier("browserName")),
+            t.objectProperty(
+              t.identifier("version"),
+              t.callExpression(t.memberExpression(t.identifier("browser"), t.identifier("version")), [])
+            ),
+          ]),
+        ])
+      : t.callExpression(t.memberExpression(t.valueToNode(engines), t.identifier("includes")), [
+          t.identifier("browserName"),
+        ]);
+    return t.arrowFunctionExpression(
+      [t.objectPattern(versioned ? [fixture("browserName"), fixture("browser")] : [fixture("browserName")])],
+      negate ? t.unaryExpression("!", test) : test
+    );
+  }
+
+  function guardCalls(test, method, guards, state) {
+    return guards.map((guard) => {
+      const call = t.callExpression(buildCallee(`${test}.${method}`), [
+        browserCondition(guard, state),
+        t.stringLiteral(guard.reason),
+      ]);
+      guardedCalls.add(call);
+      return t.expressionStatement(call);
+    });
+  }
+
+  // The call inside an anonymous test.describe that holds its guards
+  function wrapInGuards(path, info, guards, state) {
+    if (!guards || (!guards.skip.length && !guards.fail.length)) return;
+    const test = info.browserGuard;
+    const body = [
+      ...guardCalls(test, "skip", guards.skip, state),
+      ...guardCalls(test, "fail", guards.fail, state),
+      t.expressionStatement(path.node),
+    ];
+    const wrapper = t.callExpression(buildCallee(`${test}.describe`), [
+      t.arrowFunctionExpression([], t.blockStatement(body)),
+    ]);
+    guardedCalls.add(path.node);
+    guardedCalls.add(wrapper);
+    path.replaceWith(wrapper);
+  }
+
+  // The edits of an engine plan (see planFile() in engine.js), in this order
+  function applyPlan(path, target, plan, state) {
+    const { info, calleePath, table } = target;
+    if (plan.fileGuards.length) {
+      path.parentPath.insertBefore(guardCalls(info.browserGuard, "skip", plan.fileGuards, state));
+    }
+    if (plan.skip && plan.skip.scope === "table") calleePath.replaceWith(buildCallee(info.skip));
+    else if (plan.skip) skipCall(path, target, plan.skip.reason);
+    if (plan.guard) guardTest(path, target, plan, state);
+    else if (plan.failing) calleePath.replaceWith(failingCallee(info, calleePath.node, state));
+    if (plan.dropRows.length) {
+      const dropped = new Set(plan.dropRows);
+      // assign directly so the removed rows' comments don't migrate to their neighbours
+      table.node.elements = table.node.elements.filter((_, index) => !dropped.has(index));
+    }
+    if (plan.rowGuard) guardTableRows(table, target, plan, state);
+    wrapInGuards(path, info, plan.browserGuards, state);
   }
 
   // --- Core ---
@@ -235,39 +448,68 @@ module.exports = function jsSanitizer(babel) {
   return {
     name: "js-sanitizer",
     visitor: {
+      Program: {
+        enter(path, state) {
+          // already sanitized by the string backend (js-sanitizer/jest-transformer)
+          if (engine.isRewritten(state.file.code)) {
+            state.sanitizerFile = null;
+            return;
+          }
+          const filename = state.file.opts.filename || "";
+          engine.recordFile(filename, state.file.code, "transformed");
+          state.sanitizerFile = {
+            program: path,
+            comment: null, // file docblock, which must not double as the first test's own
+            moduleIds: {}, // runtime modules imported so far
+            imports: collectTestImports(path.node), // local name → test framework import
+          };
+          validateFileTags(state.file, filename);
+
+          const comment = getFileDocblockComment(path, state.file.code, state.sanitizerFile.imports);
+          const pragmasLC = comment && parsePragmas(comment);
+          const onError = (err, tag) => expressionError(err, tag, comment, path, filename);
+          state.sanitizerFile.comment = comment;
+          state.sanitizerFile.planner = engine.planFile(filename, {
+            code: state.file.code,
+            docblock: pragmasLC ? { pragmasLC, onError } : null,
+          });
+        },
+        exit(path, state) {
+          if (state.sanitizerFile) state.sanitizerFile.planner.finish();
+        },
+      },
+
       CallExpression(path, state) {
+        if (!state.sanitizerFile || guardedCalls.has(path.node)) return;
         const filename = state.file.opts.filename || "";
-        const info = analyzeCallee(path.node.callee);
-        if (!info) return;
+        const target = locateCallee(path, state.sanitizerFile.imports);
+        if (!target) return;
 
-        const { base, mod } = info;
-        // Respect existing .skip; we may override .only if a pragma says skip
-        if (mod === "skip") return;
+        const { info, table } = target;
+        // Respect callees that already don't run (.skip, xit, .todo); .only may still be skipped
+        if (!info.skip) return;
 
         const args = path.node.arguments;
         const testName =
           args[0]?.type === "StringLiteral" ? args[0].value : "(unnamed)";
+        const label = `${info.parameterized ? `${info.base}.each` : info.base}("${testName}")`;
+        const site = { ...siteOf(path, filename, info), testName, label };
 
-        const pragmasLC = getDocblockPragmas(path);
-        if (!pragmasLC) return;
-
-        // Use your existing handlers, matching keys case-insensitively
-        for (const { tag, shouldSkip, format } of tagHandlers) {
-          const value = pragmasLC[String(tag).toLowerCase()];
-          if (!value) continue;
-          if (shouldSkip(value)) {
-            const newCallee = forceSkipCallee(path.node.callee, base);
-            path.get("callee").replaceWith(newCallee);
-
-            const msg = `[SKIPPING] ${base}("${testName}") in ${filename} due to ${format(
-              value
-            )}`;
-            console.warn(msg);
-            logMessage(msg);
-            return;
-          }
-        }
+        const comment = getDocblockComment(path);
+        const plan = state.sanitizerFile.planner.planCall({
+          site,
+          topLevel: isTopLevelCall(path),
+          pragmasLC: getDocblockPragmas(path, state.sanitizerFile.comment),
+          onError: (err, tag) => expressionError(err, tag, comment, path, filename),
+          rows: table && table.isArrayExpression() ? tableRows(table, filename) : null,
+        });
+        applyPlan(path, target, plan, state);
       },
     },
   };
+}
+
+module.exports = function jsSanitizer(babel, pluginOptions) {
+  return createSanitizer(babel, pluginOptions);
 };
+module.exports.createSanitizer = createSanitizer;
@@ -0,0 +1,119 @@
+// scope.js
+// Just enough scope analysis for the string-level backend (rewrite.js), which
+// has no Babel scope: which names a scope-creating node declares, so a call to
+// a local `test` or `it` can be told apart from the framework's global or
+// imported one. The Babel plugin uses Babel's own scope instead.
+
+const FUNCTIONS = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+  "ObjectMethod",
+  "ClassMethod",
+  "ClassPrivateMethod",
+]);
+
+// Names bound by a binding pattern (parameter, declarator id, catch param)
+function patternNames(node, names) {
+  if (!node) return names;
+  switch (node.type) {
+    case "Identifier":
+      names.add(node.name);
+      break;
+    case "ObjectPattern":
+      for (const prop of node.properties) patternNames(prop.type === "RestElement" ? prop.argument : prop.value, names);
+      break;
+    case "ArrayPattern":
+      for (const element of node.elements) patternNames(element, names);
+      break;
+    case "RestElement":
+      patternNames(node.argument, names);
+      break;
+    case "AssignmentPattern":
+      patternNames(node.left, names);
+      break;
+    case "TSParameterProperty":
+      patternNames(node.parameter, names);
+      break;
+  }
+  return names;
+}
+
+// Names declared by the statements of a block: let / const / var, functions,
+// classes, enums and imports. Ambient TypeScript declarations (declare const
+// test: ...) describe a global and declare nothing.
+function statementNames(statements, names) {
+  for (let node of statements) {
+    if (node.type === "ExportNamedDeclaration" || node.type === "ExportDefaultDeclaration") node = node.declaration;
+    if (!node || node.declare) continue;
+    switch (node.type) {
+      case "VariableDeclaration":
+        for (const decl of node.declarations) patternNames(decl.id, names);
+        break;
+      case "FunctionDeclaration":
+      case "ClassDeclaration":
+      case "TSEnumDeclaration":
+      case "TSImportEqualsDeclaration":
+        if (node.id && node.id.type === "Identifier") names.add(node.id.name);
+        break;
+      case "ImportDeclaration":
+        if (node.importKind === "type") break;
+        for (const spec of node.specifiers) if (spec.importKind !== "type") names.add(spec.local.name);
+        break;
+    }
+  }
+  return names;
+}
+
+// `var` declarations anywhere below `node`, up to the next function
+function hoistedVars(node, names, childNodes) {
+  for (const child of childNodes(node)) {
+    if (FUNCTIONS.has(child.type)) continue;
+    if (child.type === "VariableDeclaration" && child.kind === "var" && !child.declare) {
+      for (const decl of child.declarations) patternNames(decl.id, names);
+    }
+    hoistedVars(child, names, childNodes);
+  }
+  return names;
+}
+
+/**
+ * Scope tracker over one AST. `childNodes(node)` lists a node's children.
+ * declares(node, name): does the scope `node` creates (if any) declare `name`?
+ */
+function createScopeTracker(childNodes) {
+  const cache = new WeakMap();
+
+  function namesOf(node) {
+    const names = new Set();
+    if (FUNCTIONS.has(node.type)) {
+      for (const param of node.params) patternNames(param, names);
+      if (node.type === "FunctionExpression" && node.id) names.add(node.id.name);
+      if (node.body.type === "BlockStatement") hoistedVars(node.body, names, childNodes);
+    } else if (node.type === "Program") {
+      statementNames(node.body, names);
+      hoistedVars(node, names, childNodes);
+    } else if (node.type === "BlockStatement" || node.type === "StaticBlock") {
+      statementNames(node.body, names);
+    } else if (node.type === "SwitchStatement") {
+      for (const c of node.cases) statementNames(c.consequent, names);
+    } else if (node.type === "ForStatement" || node.type === "ForInStatement" || node.type === "ForOfStatement") {
+      const decl = node.type === "ForStatement" ? node.init : node.left;
+      if (decl && decl.type === "VariableDeclaration") statementNames([decl], names);
+    } else if (node.type === "CatchClause") {
+      patternNames(node.param, names);
+    } else if (node.type === "ClassExpression" && node.id) {
+      names.add(node.id.name);
+    }
+    return names;
+  }
+
+  return {
+    declares(node, name) {
+      if (!cache.has(node)) cache.set(node, namesOf(node));
+      return cache.get(node).has(name);
+    },
+  };
+}
+
+module.exports = { createScopeTracker };
@@ -1,11 +1,13 @@
 #!/usr/bin/env node
 /**
- * js-sanitizer setup (Jest + Mocha + Vitest)
+ * js-sanitizer setup (Jest + Mocha + Vitest + node:test)
  * - Operates in consumer project (prefers npm_config_local_prefix / INIT_CWD)
  * - Ensures Babel config exists, includes plugin, and keeps ESM (modules:false)
- * - Wires Jest (babel-jest / ts-jest), Mocha (custom @babel/core require-hook), Vitest (vite-plugin-babel)
+ * - Wires Jest (js-sanitizer/jest-transformer around babel-jest / ts-jest), Mocha (custom @babel/core require-hook), Vitest (js-sanitizer/vite),
+ *   node --test (--import loader hook)
  * - Idempotent, conservative edits; clear warnings
  * - Optional auto-install of missing devDeps when JS_SANITIZER_AUTO_INSTALL=1
+ * - Optional end-of-run summary reporters when JS_SANITIZER_REPORTER=1
  */
 const fs = require('fs');
 const path = require('path');
@@ -29,6 +31,81 @@ const ROOT = (() => {
 const PKG_PATH = path.join(ROOT, 'package.json');
 const PLUGIN_NAME = 'module:js-sanitizer';
 
+// End-of-run summary reporters, wired next to the framework config when asked for
+const WANT_REPORTER = process.env.JS_SANITIZER_REPORTER === '1';
+const REPORTERS = {
+  jest: 'js-sanitizer/jest-reporter',
+  vitest: 'js-sanitizer/vitest-reporter',
+  mocha: 'js-sanitizer/mocha-reporter',
+};
+// Jest transformer that runs the sanitizer in front of the project's transformer
+const JEST_TRANSFORMER = 'js-sanitizer/jest-transformer';
+const JEST_SAMPLE_FILES = ['a.test.js', 'a.test.jsx', 'a.test.ts', 'a.test.tsx', 'a.test.mjs', 'a.test.cjs'];
+
+// Wrap, in place, the entries of a Jest `transform` map that apply to test
+// files: 'ts-jest' or ['ts-jest', cfg] → [JEST_TRANSFORMER, { transformer, transformerConfig }].
+// Returns the patterns that were wrapped.
+function wrapJestTransform(transform) {
+  const wrapped = [];
+  for (const [pattern, entry] of Object.entries(transform)) {
+    const [name, config] = Array.isArray(entry) ? entry : [entry];
+    if (typeof name !== 'string' || name === JEST_TRANSFORMER) continue;
+    let rx;
+    try { rx = new RegExp(pattern); } catch { continue; }
+    if (!JEST_SAMPLE_FILES.some((f) => rx.test(f))) continue;
+    transform[pattern] = [JEST_TRANSFORMER, Object.assign({ transformer: name }, config ? { transformerConfig: config } : {})];
+    wrapped.push(pattern);
+  }
+  return wrapped;
+}
+
+const isJestReferenced = (p) => {
+  const scriptsTest = String(p.scripts?.test || '');
+  return hasAnyDep('jest') || /(^|[\s;(&|])jest(\s|$)/.test(scriptsTest);
+};
+
+// Whether Jest runs test files through js-sanitizer/jest-transformer once
+// ensureJest() is done: it wires package.json `jest` and the configs it
+// generates, and leaves other configs to the user
+function jestUsesTransformer() {
+  const p = readJSON(PKG_PATH) || {};
+  if (!isJestReferenced(p)) return false;
+  if (p.jest && typeof p.jest === 'object') return true;
+  const cfg = ['jest.config.js', 'jest.config.cjs'].map(f => path.join(ROOT, f)).find(exists);
+  return !cfg || /Auto-generated by js-sanitizer setup/.test(read(cfg)) || read(cfg).includes(JEST_TRANSFORMER);
+}
+
+// js-sanitizer/jest-transformer sanitizes test files in front of babel-jest,
+// which would run the plugin a second time from the Babel config: take the
+// plain 'module:js-sanitizer' entries out of it (Mocha's hooks add the plugin
+// when the config doesn't list it). Entries with options are left to the user.
+// Returns the files changed.
+function removePluginFromBabelConfig() {
+  const changed = [];
+  for (const file of ['.babelrc', '.babelrc.json', 'babel.config.json']) {
+    const p = path.join(ROOT, file);
+    const cfg = exists(p) ? readJSON(p) : null;
+    if (!cfg || !Array.isArray(cfg.plugins) || !cfg.plugins.includes(PLUGIN_NAME)) continue;
+    cfg.plugins = cfg.plugins.filter((entry) => entry !== PLUGIN_NAME);
+    writeJSON(p, cfg);
+    changed.push(file);
+  }
+  for (const file of ['babel.config.js', 'babel.config.cjs']) {
+    const p = path.join(ROOT, file);
+    if (!exists(p)) continue;
+    // a string entry after another entry, or first in the list and followed
+    // by `]` or by another entry (not by a tuple's options object)
+    const out = read(p)
+      .replace(/\s*,\s*(['"])module:js-sanitizer\1(?=\s*[,\]])/g, '')
+      .replace(/(\[\s*)(['"])module:js-sanitizer\2\s*(?:,\s*(?=['"[])|(?=\]))/g, '$1');
+    if (writeIfChanged(p, out)) changed.push(file);
+  }
+  return changed;
+}
+
+// reporter entries are names or [name, options]
+const hasReporter = (list, name) => ensureArray(list).some((r) => (Array.isArray(r) ? r[0] : r) === name);
+
 const exists = (p) => { try { return fs.existsSync(p); } catch { return false; } };
 const read   = (p) => fs.readFileSync(p, 'utf8');
 const readJSON = (p) => { try { return JSON.parse(read(p)); } catch { return null; } };
@@ -188,6 +265,8 @@ log(`Using project root: ${ROOT}`);
   };
 
   const typescriptPresent = hasAnyDep('typescript');
+  // Jest gets the plugin from its transformer; see removePluginFromBabelConfig()
+  const withPlugin = !jestUsesTransformer();
 
   // 1) JSON-based configs
   const jsonPaths = ['.babelrc', '.babelrc.json'].map(f => path.join(ROOT, f));
@@ -199,9 +278,9 @@ log(`Using project root: ${ROOT}`);
       cfg = ensurePresetInJSONCfg(cfg, '@babel/preset-typescript', { allowDeclareFields: true });
     }
     cfg = sanitizePresetEnvExclude(cfg);
-    cfg = addPluginToJSONCfg(cfg);
+    if (withPlugin) cfg = addPluginToJSONCfg(cfg);
     writeJSON(p, cfg);
-    log(`Updated ${path.basename(p)}: ensured presets and ${PLUGIN_NAME} (exclude sanitized)`);
+    log(`Updated ${path.basename(p)}: ensured presets${withPlugin ? ` and ${PLUGIN_NAME}` : ''} (exclude sanitized)`);
     return;
   }
 
@@ -389,6 +468,7 @@ log(`Using project root: ${ROOT}`);
 
     // Inject ONLY into env.commonjs.plugins if present (Jest path)
     (function injectIntoCommonjsEnv() {
+      if (!withPlugin) return;
       let localChanged = false;
 
       function appendIntoPluginsBlock(source, blockLabelRegex) {
@@ -420,14 +500,14 @@ log(`Using project root: ${ROOT}`);
 
     // Ensure top-level plugins contains our plugin
     const before = src;
-    src = ensureTopLevelSanitizerInPlugins(src);
+    if (withPlugin) src = ensureTopLevelSanitizerInPlugins(src);
     if (src !== before) changed = true;
 
     // Fix any prior bad insert into exclude & re-add sanitizer safely
     const beforeFix = src;
     src = fixPresetEnvExclude(src);
     if (src !== beforeFix) changed = true;
-    src = addSanitizerToPluginsBlocks(src, PLUGIN_NAME);
+    if (withPlugin) src = addSanitizerToPluginsBlocks(src, PLUGIN_NAME);
 
     // Ensure @babel/preset-env exists (unchanged)
     if (!/['"]@babel\/preset-env['"]/.test(src)) {
@@ -463,7 +543,7 @@ log(`Using project root: ${ROOT}`);
 
     if (changed) {
       writeIfChanged(targetPath, src);
-      log(`Updated ${path.basename(targetPath)}: fixed tuple placement and ensured top-level ${PLUGIN_NAME}.`);
+      log(`Updated ${path.basename(targetPath)}: ${withPlugin ? `fixed tuple placement and ensured top-level ${PLUGIN_NAME}` : 'ensured presets'}.`);
     } else {
       log(`${path.basename(targetPath)} already OK.`);
     }
@@ -479,13 +559,13 @@ log(`Using project root: ${ROOT}`);
       typescriptPresentMinimal ? `,
     ["@babel/preset-typescript", { allowDeclareFields: true }]` : ''
     }
-  ],
-  plugins: ['${PLUGIN_NAME}'],
+  ],${withPlugin ? `
+  plugins: ['${PLUGIN_NAME}'],` : ''}
   comments: true
 };
 `;
   fs.writeFileSync(targetPath, minimal);
-  log(`Created ${path.basename(targetPath)} (minimal, includes ${PLUGIN_NAME}${typescriptPresentMinimal ? ' + preset-typescript' : ''}).`);
+  log(`Created ${path.basename(targetPath)} (minimal${withPlugin ? `, includes ${PLUGIN_NAME}` : ''}${typescriptPresentMinimal ? ' + preset-typescript' : ''}).`);
 })();
 
 
@@ -495,9 +575,7 @@ log(`Using project root: ${ROOT}`);
  * --------------------------------------*/
 (function ensureJest() {
   const freshPkg = readJSON(PKG_PATH) || {};
-  const scriptsTest = String(freshPkg.scripts?.test || '');
-  const jestReferenced = hasAnyDep('jest') || /(^|[\s;(&|])jest(\s|$)/.test(scriptsTest);
-  if (!jestReferenced) {
+  if (!isJestReferenced(freshPkg)) {
     log('Jest not detected — skipping Jest wiring.');
     return;
   }
@@ -518,81 +596,95 @@ log(`Using project root: ${ROOT}`);
       p.jest.globals = p.jest.globals || {};
       const fromTop = p.globals && p.globals['ts-jest'] || {};
       const current = p.jest.globals['ts-jest'] || {};
-      p.jest.globals['ts-jest'] = Object.assign({}, current, fromTop, { babelConfig: true });
+      p.jest.globals['ts-jest'] = Object.assign({}, current, fromTop);
       if (p.globals) {
         delete p.globals['ts-jest'];
         if (Object.keys(p.globals).length === 0) delete p.globals;
       }
       return p;
     });
-    log('Moved top-level globals.ts-jest → jest.globals["ts-jest"] with babelConfig:true');
+    log('Moved top-level globals.ts-jest → jest.globals["ts-jest"]');
   }
 
+  // The project's own transformers stay in charge of compiling; each one that
+  // handles test files is wrapped by js-sanitizer/jest-transformer.
+  if (!hasTsJest && !hasAnyDep('babel-jest')) tryInstall(['babel-jest'], true);
+  const defaultTransform = hasTsJest
+    ? {
+        '^.+\\.tsx?$': [JEST_TRANSFORMER, { transformer: 'ts-jest' }],
+        '^.+\\.[cm]?jsx?$': [JEST_TRANSFORMER, { transformer: 'babel-jest' }],
+      }
+    : { '^.+\\.[cm]?[jt]sx?$': [JEST_TRANSFORMER, { transformer: 'babel-jest' }] };
+  const transformLines = Object.entries(defaultTransform)
+    .map(([key, [name, opts]]) => `    '${key.replace(/\\/g, '\\\\')}': ['${name}', { transformer: '${opts.transformer}' }],`)
+    .join('\n');
+  const innerName = hasTsJest ? 'ts-jest / babel-jest' : 'babel-jest';
+
+  // Once the transformer is in place, babel-jest must not run the plugin too
+  const dropBabelPlugin = () => {
+    const changed = removePluginFromBabelConfig();
+    if (changed.length) log(`Removed ${PLUGIN_NAME} from ${changed.join(', ')}: ${JEST_TRANSFORMER} runs it for Jest`);
+  };
+
   const JEST_FILES = ['jest.config.js', 'jest.config.cjs'].map(f => path.join(ROOT, f));
   const jestCfgPath = JEST_FILES.find(exists);
 
   if (pkgHasInlineJest) {
     updatePkg((p) => {
       p.jest = p.jest || {};
-      if (hasTsJest) {
-        p.jest.transform = p.jest.transform || {};
-        const tsKey = '^.+\\.ts$';
-        if (!p.jest.transform[tsKey]) p.jest.transform[tsKey] = 'ts-jest';
-        p.jest.globals = p.jest.globals || {};
-        const cur = p.jest.globals['ts-jest'] || {};
-        p.jest.globals['ts-jest'] = Object.assign({}, cur, { babelConfig: true });
-        log('Enabled ts-jest → Babel pass via package.json');
-      } else {
-        p.jest.transform = p.jest.transform || {};
-        const KEY = '^.+\\.[jt]sx?$';
-        if (p.jest.transform[KEY] !== 'babel-jest') {
-          p.jest.transform[KEY] = 'babel-jest';
-          log('Set package.json jest.transform → babel-jest for JS/TS files');
+      if (p.jest.transform && Object.keys(p.jest.transform).length) {
+        const wrapped = wrapJestTransform(p.jest.transform);
+        if (wrapped.length) {
+          log(`Wrapped package.json jest.transform (${wrapped.join(', ')}) with ${JEST_TRANSFORMER}`);
         }
-        if (!hasAnyDep('babel-jest')) tryInstall(['babel-jest'], true);
+      } else {
+        p.jest.transform = defaultTransform;
+        log(`Set package.json jest.transform → ${JEST_TRANSFORMER} (${innerName})`);
+      }
+      if (WANT_REPORTER && !hasReporter(p.jest.reporters, REPORTERS.jest)) {
+        const reporters = ensureArray(p.jest.reporters);
+        p.jest.reporters = [...(reporters.length ? reporters : ['default']), REPORTERS.jest];
+        log(`Added ${REPORTERS.jest} to package.json jest.reporters`);
       }
       return p;
     });
+    dropBabelPlugin();
     return;
   }
 
+  const generatedCfg = (withReporter) => `/** Auto-generated by js-sanitizer setup */
+module.exports = {
+  testEnvironment: 'node',${withReporter ? `\n  reporters: ['default', '${REPORTERS.jest}'],` : ''}
+  transform: {
+${transformLines}
+  },
+};
+`;
+
   if (jestCfgPath) {
     const src = read(jestCfgPath);
     if (/Auto-generated by js-sanitizer setup/.test(src)) {
-      let out = src;
-      if (hasTsJest) {
-        out = out.replace(
-          /transform:\s*\{[^}]*\}/m,
-          `transform: { '^.+\\\\.ts$': 'ts-jest' },\n  globals: { 'ts-jest': { babelConfig: true } }`
-        );
-      } else {
-        if (!hasAnyDep('babel-jest')) tryInstall(['babel-jest'], true);
+      // Older generated configs forced babel-jest or ts-jest's babelConfig
+      const withReporter = WANT_REPORTER || src.includes(REPORTERS.jest);
+      if (writeIfChanged(jestCfgPath, generatedCfg(withReporter))) {
+        log(`Regenerated ${path.basename(jestCfgPath)} for ${JEST_TRANSFORMER} (${innerName})`);
       }
-      writeIfChanged(jestCfgPath, out);
-      log(`Updated ${path.basename(jestCfgPath)} for ${hasTsJest ? 'ts-jest + Babel' : 'babel-jest'}`);
+      dropBabelPlugin();
     } else {
       log(`${path.basename(jestCfgPath)} present; not modifying user config.`);
+      if (src.includes(JEST_TRANSFORMER)) {
+        dropBabelPlugin();
+      } else {
+        log(`Wrap its transforms as ['${JEST_TRANSFORMER}', { transformer: '<current transformer>' }] to enable js-sanitizer.`);
+      }
+      if (WANT_REPORTER) log(`Add reporters: ['default', '${REPORTERS.jest}'] to it for the end-of-run summary.`);
     }
     return;
   }
 
-  const newCfg = hasTsJest
-    ? `/** Auto-generated by js-sanitizer setup */
-module.exports = {
-  testEnvironment: 'node',
-  transform: { '^.+\\.ts$': 'ts-jest' },
-  globals: { 'ts-jest': { babelConfig: true } }
-};
-`
-    : `/** Auto-generated by js-sanitizer setup */
-module.exports = {
-  testEnvironment: 'node',
-  transform: { '^.+\\.[jt]sx?$': 'babel-jest' }
-};
-`;
-
-  writeIfChanged(path.join(ROOT, 'jest.config.js'), newCfg);
-  log(`Created jest.config.js for ${hasTsJest ? 'ts-jest (with Babel pass)' : 'babel-jest'}`);
+  writeIfChanged(path.join(ROOT, 'jest.config.js'), generatedCfg(WANT_REPORTER));
+  log(`Created jest.config.js for ${JEST_TRANSFORMER} (${innerName})`);
+  dropBabelPlugin();
 })();
 
 /* ----------------------------------------
@@ -618,17 +710,33 @@ module.exports = {
   const LOADER_PATH = path.resolve(ROOT, 'sanitizer.esm.loader.mjs');
   const loaderSrc = `/* generated by js-sanitizer */
 import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
 import { fileURLToPath } from 'node:url';
 
 let transformAsync;
+let loadPartialConfigAsync;
 
 async function ensureBabel() {
   if (!transformAsync) {
     const core = await import('@babel/core');
     transformAsync = core.transformAsync;
+    loadPartialConfigAsync = core.loadPartialConfigAsync;
   }
 }
 
+// The plugin, unless the project's Babel config lists it: adding it here
+// would replace that entry and drop its options
+let sanitizerPath = null;
+try { sanitizerPath = createRequire(path.join(process.cwd(), 'package.json')).resolve('js-sanitizer'); } catch {}
+
+async function sanitizerPlugins(opts) {
+  const partial = await loadPartialConfigAsync(opts);
+  const listed = ((partial && partial.options.plugins) || []).some((item) =>
+    item.file && (item.file.resolved === sanitizerPath || ['${PLUGIN_NAME}', 'js-sanitizer'].includes(item.file.request)));
+  return listed ? [] : ['${PLUGIN_NAME}'];
+}
+
 async function loadPresets() {
   const env = await import('@babel/preset-env');
   let ts = null;
@@ -680,13 +788,14 @@ export async function load(url, context, nextLoad) {
   await ensureBabel();
   const presets = await loadPresets();
 
-  const { code } = await transformAsync(source, {
+  const opts = {
     filename,
     presets,
     sourceMaps: 'inline',
     babelrc: true,
     rootMode: 'upward-optional'
-  });
+  };
+  const { code } = await transformAsync(source, { ...opts, plugins: await sanitizerPlugins(opts) });
 
   return { format: 'module', source: code, shortCircuit: true };
 }
@@ -768,6 +877,18 @@ if (global.__JS_SANITIZER_HOOK__) {
     ignore: [/node_modules[\\/](js-sanitizer)[\\/]/i]
   };
 
+  // The plugin, unless the project's Babel config lists it (Jest projects drop
+  // it there): adding it here would replace that entry and drop its options
+  let SANITIZER_PATH = null;
+  try { SANITIZER_PATH = require.resolve('js-sanitizer', { paths: [process.cwd()] }); } catch {}
+
+  function sanitizerPlugins(opts) {
+    const partial = babel.loadPartialConfig(opts);
+    const listed = ((partial && partial.options.plugins) || []).some((item) =>
+      item.file && (item.file.resolved === SANITIZER_PATH || ['${PLUGIN_NAME}', 'js-sanitizer'].includes(item.file.request)));
+    return listed ? [] : ['${PLUGIN_NAME}'];
+  }
+
   const CACHE = new Map();
 
   function compileFile(code, filename) {
@@ -789,6 +910,7 @@ if (global.__JS_SANITIZER_HOOK__) {
       opts.presets = [tsPreset];
     }
 
+    opts.plugins = sanitizerPlugins(opts);
     const out = babel.transformSync(code, opts);
     const result = out && out.code ? out.code : code;
     CACHE.set(key, result);
@@ -895,6 +1017,15 @@ if (global.__JS_SANITIZER_HOOK__) {
       for (const e of WANT_EXT) ext.add(e);
       mocharc.extension = Array.from(ext);
     }
+    if (WANT_REPORTER && mocharc.reporter !== REPORTERS.mocha) {
+      // keep the configured reporter's output; ours prints the summary after it
+      if (mocharc.reporter) {
+        const opts = ensureArray(mocharc['reporter-option']).filter((o) => !/^base=/.test(o));
+        mocharc['reporter-option'] = [`base=${mocharc.reporter}`, ...opts];
+      }
+      mocharc.reporter = REPORTERS.mocha;
+      log(`${path.basename(jsonPath)} reporter → ${REPORTERS.mocha}`);
+    }
     writeJSON(jsonPath, mocharc);
     log(`${path.basename(jsonPath)} merged (require${allowExtension ? ' + extensions' : ''}; removed @babel/register).`);
   }
@@ -916,6 +1047,10 @@ if (global.__JS_SANITIZER_HOOK__) {
     }
 
     ensureLine(`--require ${registerRel}`);
+    if (WANT_REPORTER) {
+      if (!lines.some((l) => /^\s*(?:-R|--reporter)\b/.test(l))) ensureLine(`--reporter ${REPORTERS.mocha}`);
+      else if (!lines.some((l) => l.includes(REPORTERS.mocha))) log(`${path.basename(optsPath)} sets a reporter; use --reporter ${REPORTERS.mocha} --reporter-option base=<yours> for the summary.`);
+    }
     if (allowExtension) {
       ensureLine(`--extension ts`);
       ensureLine(`--extension tsx`);
@@ -932,6 +1067,7 @@ if (global.__JS_SANITIZER_HOOK__) {
 
   if (jsRc) {
     ensureMochaScripts(PKG_PATH, REGISTER_REL);
+    if (WANT_REPORTER) log(`${path.basename(jsRc)} present; set reporter: '${REPORTERS.mocha}' in it for the end-of-run summary.`);
   } else if (hasJsonRc) {
     patchJsonMochaConfig(jsonRc, REGISTER_REL, /*allowExtension*/ !IS_SAILS);
   } else {
@@ -949,7 +1085,7 @@ if (global.__JS_SANITIZER_HOOK__) {
       const content =
 `// Auto-generated by js-sanitizer setup (minimal Mocha rc)
 module.exports = {
-  require: ['${REGISTER_REL}']${IS_SAILS ? '' : ',\n  extension: ' + JSON.stringify(WANT_EXT)}
+  require: ['${REGISTER_REL}']${IS_SAILS ? '' : ',\n  extension: ' + JSON.stringify(WANT_EXT)}${WANT_REPORTER ? `,\n  reporter: '${REPORTERS.mocha}'` : ''}
 };
 `;
       writeIfChanged(NEW, content);
@@ -990,52 +1126,105 @@ module.exports = {
   const setupPath = path.join(ROOT, 'vitest.setup.js');
   if (!exists(setupPath)) {
     writeIfChanged(setupPath, `// Auto-generated by js-sanitizer setup for Vitest
-// Keep this lightweight; transforms are handled by vite-plugin-babel + project Babel config.
+// Keep this lightweight; test files are rewritten by the js-sanitizer/vite plugin.
 // Add mocks/polyfills here if needed.
 `);
     log('Created vitest.setup.js');
   }
 
-  if (!hasAnyDep('vite-plugin-babel')) {
-    ensureDevDepInPkg('vite-plugin-babel', '*');
-    tryInstall(['vite-plugin-babel'], true);
-  }
-
   const existingCfg = [
     path.join(ROOT, 'vitest.config.ts'),
     path.join(ROOT, 'vitest.config.mjs'),
     path.join(ROOT, 'vitest.config.js'),
   ].find(exists);
 
-  if (existingCfg) {
+  // configs generated by older versions (vite-plugin-babel) are regenerated
+  const ownOldCfg =
+    existingCfg &&
+    /Auto-generated by js-sanitizer setup/.test(read(existingCfg)) &&
+    /vite-plugin-babel/.test(read(existingCfg));
+
+  if (existingCfg && !ownOldCfg) {
     log(`${path.basename(existingCfg)} present; not modifying Vitest config.`);
+    if (WANT_REPORTER) log(`Add test.reporters: ['default', '${REPORTERS.vitest}'] to it for the end-of-run summary.`);
     return;
   }
 
-  const outPath = path.join(ROOT, 'vitest.config.mjs');
+  const outPath = existingCfg || path.join(ROOT, 'vitest.config.mjs');
   const content = `// Auto-generated by js-sanitizer setup
 import { defineConfig } from 'vitest/config';
-import babel from 'vite-plugin-babel';
+import jsSanitizer from 'js-sanitizer/vite';
 
 export default defineConfig({
-  plugins: [
-    babel({
-      filter: /\\b(test|spec)\\.[cm]?[jt]sx?$/i,
-      babelConfig: {
-        babelrc: true,
-        configFile: true
-      }
-    })
-  ],
-  test: { environment: 'node', setupFiles: ['./vitest.setup.js'] }
+  // rewrites tagged tests in *.test.* / *.spec.* files; takes the Babel plugin's options
+  plugins: [jsSanitizer()],
+  test: { environment: 'node', setupFiles: ['./vitest.setup.js']${WANT_REPORTER ? `, reporters: ['default', '${REPORTERS.vitest}']` : ''} }
 });
 `;
   writeIfChanged(outPath, content);
-  log(`Created ${path.basename(outPath)} (Vitest + vite-plugin-babel).`);
+  log(`${ownOldCfg ? 'Regenerated' : 'Created'} ${path.basename(outPath)} (Vitest + js-sanitizer/vite).`);
+})();
+
+/* ----------------------------------------
+ * 5) node:test wiring (--import loader hook)
+ * --------------------------------------*/
+(function ensureNodeTest() {
+  const fresh = readJSON(PKG_PATH) || {};
+  const scripts = fresh.scripts && typeof fresh.scripts === 'object' ? fresh.scripts : {};
+  // `node ... --test ...` within one command of a script
+  const NODE_TEST_RE = /(^|[\s;&|(])node(\s[^;&|]*?--test(?![\w-]))/g;
+  const nodeTestScripts = Object.keys(scripts).filter(
+    (k) => typeof scripts[k] === 'string' && new RegExp(NODE_TEST_RE.source).test(scripts[k])
+  );
+  if (!nodeTestScripts.length) {
+    log('node --test not detected — skipping node:test wiring.');
+    return;
+  }
+
+  // not named like a test file, which node --test would run (*-test.mjs)
+  const LOADER_NAME = 'sanitizer.node-loader.mjs';
+  const LOADER_REL = `./${LOADER_NAME}`;
+  const loaderPath = path.join(ROOT, LOADER_NAME);
+  // the name earlier versions generated
+  const LEGACY_NAME = 'sanitizer.node-test.mjs';
+  const legacyPath = path.join(ROOT, LEGACY_NAME);
+  if (!exists(loaderPath) && exists(legacyPath)) {
+    // keeps the options in it
+    writeIfChanged(loaderPath, fs.readFileSync(legacyPath, 'utf8').split(LEGACY_NAME).join(LOADER_NAME));
+    fs.unlinkSync(legacyPath);
+    log(`Renamed ${LEGACY_NAME} to ${LOADER_NAME}, which node --test doesn't run as a test file`);
+  }
+  if (!exists(loaderPath)) {
+    writeIfChanged(loaderPath, `// Auto-generated by js-sanitizer setup: node --import ${LOADER_REL} --test
+// Registers js-sanitizer/node-loader, which rewrites tagged tests as they load.
+// Keep this --import ahead of TypeScript loaders (--import tsx) so it sees the source.
+import { register } from 'node:module';
+
+register('js-sanitizer/node-loader', import.meta.url, {
+  // options of the Babel plugin, e.g. { silent: true, mode: 'runtime' }
+  data: {},
+});
+`);
+    log(`Created ${LOADER_NAME}`);
+  }
+
+  updatePkg((p) => {
+    for (const key of nodeTestScripts) {
+      const script = p.scripts[key].split(`./${LEGACY_NAME}`).join(LOADER_REL);
+      if (script.includes(LOADER_REL)) {
+        if (script !== p.scripts[key]) log(`Updated scripts.${key} to ${LOADER_REL}`);
+        p.scripts[key] = script;
+        continue;
+      }
+      p.scripts[key] = script.replace(NODE_TEST_RE, (_, before, rest) => `${before}node --import ${LOADER_REL}${rest}`);
+      log(`Added --import ${LOADER_REL} to scripts.${key}`);
+    }
+    return p;
+  });
 })();
 
 /* ----------------------------------------
- * 5) Final dependency hints / base Babel
+ * 6) Final dependency hints / base Babel
  * --------------------------------------*/
 (function finalHints() {
   if (!hasDep('@babel/core')) {
@@ -0,0 +1,121 @@
+// summary.js
+// End-of-run summary of the structured report, shared by the Jest, Vitest and
+// Mocha reporters. Skip decisions are made while files are transformed, often
+// in worker processes, so the reporters merge the run's shards and read the
+// report instead of collecting anything themselves.
+
+const fs = require("fs");
+const path = require("path");
+const { OPTIONS_SCHEMA } = require("./options.js");
+const { describeSimulated, environmentLabel } = require("./environment.js");
+const { mergeRun, resolveRunId } = require("./report.js");
+
+const DEFAULT_MAX_TESTS = 50;
+
+/**
+ * Merge the current run's shards, then read the report → { report, reportPath }.
+ * `reportDir` and `report` take the plugin's defaults and must match the plugin
+ * options when those were changed. `report` is null when the file is missing
+ * or unreadable.
+ */
+function loadReport({ reportDir, report, cwd = process.cwd() } = {}) {
+  const dir = path.resolve(cwd, reportDir || OPTIONS_SCHEMA.reportDir.default);
+  const reportPath = path.resolve(dir, report || OPTIONS_SCHEMA.report.default);
+  mergeRun({ reportDir: dir });
+  try {
+    return { report: JSON.parse(fs.readFileSync(reportPath, "utf8")), reportPath };
+  } catch {
+    return { report: null, reportPath };
+  }
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// [[label, count], ...] sorted by count, then label
+function countBy(entries, key) {
+  const counts = new Map();
+  for (const entry of entries) {
+    const label = key(entry);
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => r[i].length)));
+  return rows.map((cells) => `  ${cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd()}`);
+}
+
+/**
+ * Format the summary printed at the end of a run: counts by tag and by reason,
+ * the affected tests and the path of the report. Returns a string.
+ *
+ * Options: reportPath (shown relative to the working directory), maxTests (tests listed
+ * before the rest is left to the report), runId (of the current run; a report
+ * of another run is labelled as such). A partial report (files served from a
+ * transform cache) says so under the counts.
+ */
+function formatSummary(report, { reportPath, maxTests = DEFAULT_MAX_TESTS, runId = resolveRunId() } = {}) {
+  const shownPath = reportPath ? path.relative(process.cwd(), reportPath) || reportPath : null;
+  if (!report) {
+    return [
+      "[js-sanitizer] No tests were skipped by environment tags in this run.",
+      "  (Nothing is recorded for cached transforms or in runtime mode; see the log file.)",
+    ].join("\n");
+  }
+
+  const entries = report.entries || [];
+  const skipped = entries.filter((e) => e.outcome !== "expected-failure").length;
+  const expected = entries.length - skipped;
+  const env = report.environment || {};
+  const counts =
+    `${plural(skipped, "test")} skipped, ${plural(expected, "expected failure")}` +
+    (env.platform ? ` (${environmentLabel(env)}${describeSimulated(env)})` : "");
+  const lines =
+    report.runId && report.runId !== runId
+      ? [
+          "[js-sanitizer] No skips recorded in this run (none matched, or the transforms came from the cache).",
+          `  Earlier run ${report.runId} (${report.updatedAt}): ${counts}`,
+        ]
+      : [`[js-sanitizer] ${counts}`];
+  const cached = report.partial ? (report.cachedFiles || []).length : 0;
+  if (cached) {
+    lines.push(
+      `  Partial: ${plural(cached, "file")} came from the transform cache and weren't evaluated again.`,
+      "  Their tests are missing from the counts. Run jest --no-cache for a complete report."
+    );
+  }
+
+  if (entries.length) {
+    lines.push("", "By tag:");
+    lines.push(...table(countBy(entries, (e) => (e.tag ? `@${e.tag}` : "(none)")).map(([l, n]) => [l, String(n)])));
+    lines.push("", "By reason:");
+    lines.push(...table(countBy(entries, (e) => e.reason || "(none)").map(([l, n]) => [l, String(n)])));
+
+    lines.push("", "Tests:");
+    const shown = entries.slice(0, maxTests).map((e) => [
+      e.outcome || "skipped",
+      `${e.file}:${e.line ?? ""}`,
+      `${e.callee}("${e.test}")${e.row ? ` [row #${e.row}]` : ""}${e.scope === "file" ? " [whole file]" : ""}`,
+      e.reason || "",
+    ]);
+    if (shown.length) lines.push(...table(shown));
+    if (entries.length > shown.length) {
+      lines.push(`  ... and ${entries.length - shown.length} more`);
+    }
+  }
+
+  if (shownPath) lines.push("", `Report: ${shownPath}`);
+  return lines.join("\n");
+}
+
+/**
+ * Load the report and format its summary in one go (what every reporter does).
+ * `options` are the reporter options: { reportDir, report, maxTests }.
+ */
+function summarize(options = {}) {
+  const { report, reportPath } = loadReport(options);
+  return formatSummary(report, { reportPath, maxTests: options.maxTests });
+}
+
+module.exports = { formatSummary, loadReport, summarize };
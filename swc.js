@@ -0,0 +1,59 @@
+// swc.js
+// SWC entry point: the js-sanitizer rewrite in front of @swc/core.
+//
+// SWC plugins are WebAssembly modules with no access to a JS visitor, so this
+// wraps @swc/core's transform instead. Tools that take a transform function can
+// use it directly; for @swc/jest, use js-sanitizer/jest-transformer with
+// `transformer: "@swc/jest"`.
+//
+//   const jsSanitizerSwc = require("js-sanitizer/swc");
+//   const swc = jsSanitizerSwc({ silent: true });
+//   const { code, map } = await swc.transform(source, { filename, sourceMaps: true, jsc: { ... } });
+//
+// Options are the Babel plugin's, plus `swc`: the @swc/core module to use
+// (default: the one installed in the project).
+
+const { createRewriter } = require("./rewrite.js");
+
+function loadSwc() {
+  try {
+    return require(require.resolve("@swc/core", { paths: [process.cwd(), __dirname] }));
+  } catch {
+    throw new Error("[js-sanitizer] The SWC entry point needs @swc/core. Install it in your project.");
+  }
+}
+
+function jsSanitizerSwc(pluginOptions = {}) {
+  const { swc: swcModule, ...options } = pluginOptions || {};
+  const { engine, rewrite } = createRewriter(options);
+  let swc = swcModule || null;
+  const core = () => swc || (swc = loadSwc());
+
+  // Source and SWC options after the rewrite; the rewrite's source map becomes
+  // SWC's input map unless the caller brought one
+  function prepare(code, swcOptions = {}) {
+    const { filename } = swcOptions;
+    if (typeof filename !== "string" || !filename) {
+      throw new Error("[js-sanitizer] The SWC entry point needs options.filename to read tags and report skips.");
+    }
+    const out = rewrite(String(code), filename);
+    if (!out) return [String(code), swcOptions];
+    const withMap = swcOptions.sourceMaps && swcOptions.inputSourceMap === undefined
+      ? { ...swcOptions, inputSourceMap: JSON.stringify(out.map) }
+      : swcOptions;
+    return [out.code, withMap];
+  }
+
+  return {
+    // part of the cache key of tools that cache SWC output
+    cacheKey: engine.cacheKey,
+    async transform(code, swcOptions) {
+      return core().transform(...prepare(code, swcOptions));
+    },
+    transformSync(code, swcOptions) {
+      return core().transformSync(...prepare(code, swcOptions));
+    },
+  };
+}
+
+module.exports = jsSanitizerSwc;
@@ -0,0 +1,689 @@
+// tags.js
+// Docblock tag handlers: each { tag, shouldSkip(value), format(value), effect,
+// validate(value), flag, parse }. validate() returns a problem description or
+// null. `flag` tags apply when present even without a value (@skipOnWSL).
+// Expression tags (@skipIf, ...) have parse(source), which throws
+// ExpressionSyntaxError. Browser list tags have browserCondition(value) →
+// { engines, negate, versioned }: the tag matches when Playwright's browserName
+// is (or, negated, isn't) one of `engines`; `versioned` lists carry version
+// constraints (chrome<120) that need the browser's version as well.
+// Test-environment tags have `testEnvironment: true` and take the file's test
+// environment (jsdom, happy-dom, node, ...) as shouldSkip(value, { testEnvironment }).
+// Tags that read environment variables have envNames(value) → the names they
+// read, or null when they may read any (custom predicates), for cache keys.
+// Custom tags from the project config come last.
+// `effect` is "skip" (default) or "fail": for the expected-failure tags
+// shouldSkip() means "the condition matches" and the test keeps running as
+// test.failing / test.fails. Tag names are matched case-insensitively by the callers.
+
+const semver = require("semver");
+const { parseExpression, evaluateExpression, expressionReferences } = require("./expression.js");
+const {
+  BROWSER_ENGINES,
+  ENGINE_OF,
+  TEST_ENVIRONMENT_ALIASES,
+  browserEntries,
+  matchesBrowserList,
+  matchesTestEnvironmentList,
+  parseBrowserEntry,
+} = require("./browser-runtime.js");
+
+// Values process.platform can take
+const KNOWN_PLATFORMS = ["aix", "android", "cygwin", "darwin", "freebsd", "haiku", "linux", "netbsd", "openbsd", "sunos", "win32"];
+// Browsers browser-runtime.js can detect
+const KNOWN_BROWSERS = ["chrome", "edge", "firefox", "safari"];
+// Test environments Jest and Vitest ship; others are custom environment packages
+const KNOWN_TEST_ENVIRONMENTS = ["node", "jsdom", "happy-dom", "edge-runtime"];
+// Friendly OS names accepted by the OS tags
+const PLATFORM_ALIASES = { windows: "win32", mac: "darwin", macos: "darwin", osx: "darwin" };
+// Other common spellings, for "did you mean" hints only
+const PLATFORM_HINTS = { ...PLATFORM_ALIASES, win: "win32", win64: "win32", ubuntu: "linux" };
+// Values process.arch can take, plus the names other tools use for them
+const KNOWN_ARCHES = ["arm", "arm64", "ia32", "loong64", "mips", "mipsel", "ppc", "ppc64", "riscv64", "s390", "s390x", "x64"];
+const ARCH_ALIASES = { amd64: "x64", x86_64: "x64", aarch64: "arm64", x86: "ia32", i386: "ia32" };
+// Memory units for @skipIfMemoryBelow: SI for KB/MB/GB/TB, binary for KiB/MiB/GiB/TiB
+const MEMORY_UNITS = {
+  b: 1,
+  kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12,
+  kib: 2 ** 10, mib: 2 ** 20, gib: 2 ** 30, tib: 2 ** 40,
+};
+
+// Engines environment.js can detect, for @skipInContainer
+const KNOWN_CONTAINERS = ["docker", "podman", "kubernetes", "lxc"];
+
+// Is a tag with this value present in a docblock?
+function isTagSet(handler, value) {
+  return handler.flag ? value !== undefined : !!value;
+}
+
+/**
+ * Build the tag handlers for an environment snapshot (see environment.js) and
+ * an optional project config (see config.js). Expression syntax errors thrown
+ * by @skipIf / @enabledIf are ExpressionSyntaxError; callers add file and line
+ * information.
+ */
+function createTagHandlers(environment, projectConfig = null) {
+  const currentPlatform = environment.platform;
+  const currentNodeVersion = environment.nodeMajor;
+  const currentNodeSemver = environment.node;
+  const currentBrowser = environment.browser;
+  const browserInfo = currentBrowser ? { name: currentBrowser, version: environment.browserVersion || null } : null;
+  const currentDistro = environment.distro || [];
+  const currentArch = environment.arch;
+
+  // Snapshot exposed to @skipIf / @enabledIf expressions
+  const expressionEnv = {
+    os: currentPlatform,
+    node: currentNodeSemver,
+    arch: environment.arch,
+    browser: currentBrowser,
+    env: environment.env,
+    conditions: {}, // filled from the project config below
+  };
+  const conditionNames = Object.keys((projectConfig && projectConfig.conditions) || {});
+
+  // --- Tag handlers (tag names are matched case-insensitively) ---
+  const tagHandlers = [
+    {
+      tag: "skipOnBrowser",
+      shouldSkip: (value) => matchesBrowserList(value, browserInfo),
+      format: (value) => `@skipOnBrowser ${value}`,
+      validate: validateBrowserList,
+      browserCondition: (value) => ({ ...parseEngineList(value), negate: false }),
+    },
+    {
+      tag: "enabledOnBrowser",
+      shouldSkip: (value) => {
+        // Skip if we can't detect a browser, or current not in list
+        return !matchesBrowserList(value, browserInfo);
+      },
+      format: (value) => `@enabledOnBrowser ${value}`,
+      validate: validateBrowserList,
+      browserCondition: (value) => ({ ...parseEngineList(value), negate: true }),
+    },
+    {
+      tag: "skipOnTestEnvironment",
+      shouldSkip: (value, { testEnvironment } = {}) => matchesTestEnvironmentList(value, testEnvironment),
+      format: (value) => `@skipOnTestEnvironment ${value}`,
+      validate: validateTestEnvironmentList,
+      testEnvironment: true,
+    },
+    {
+      tag: "enabledOnTestEnvironment",
+      shouldSkip: (value, { testEnvironment } = {}) => !matchesTestEnvironmentList(value, testEnvironment),
+      format: (value) => `@enabledOnTestEnvironment ${value}`,
+      validate: validateTestEnvironmentList,
+      testEnvironment: true,
+    },
+    {
+      tag: "skipOnOS",
+      shouldSkip: (value) => parseOSList(value).includes(currentPlatform),
+      format: (value) => `@skipOnOS ${value}`,
+      validate: validatePlatformList,
+    },
+    {
+      tag: "enabledOnOS",
+      shouldSkip: (value) => !parseOSList(value).includes(currentPlatform),
+      format: (value) => `@enabledOnOS ${value}`,
+      validate: validatePlatformList,
+    },
+    {
+      tag: "skipOnArch",
+      shouldSkip: (value) => parseArchList(value).includes(currentArch),
+      format: (value) => `@skipOnArch ${value} (detected ${currentArch})`,
+      validate: validateArchList,
+    },
+    {
+      tag: "enabledOnArch",
+      shouldSkip: (value) => !parseArchList(value).includes(currentArch),
+      format: (value) => `@enabledOnArch ${value} (detected ${currentArch})`,
+      validate: validateArchList,
+    },
+    {
+      tag: "skipIfCpusBelow",
+      shouldSkip: (value) => environment.cpus < Number(String(value).trim()),
+      format: (value) => `@skipIfCpusBelow ${value} (measured ${environment.cpus} CPUs)`,
+      validate: (value) =>
+        /^\d+$/.test(String(value).trim()) ? null : `"${value}" is not a whole number of CPUs`,
+    },
+    {
+      tag: "skipIfMemoryBelow",
+      // unparseable sizes never skip (the validation pass reports them)
+      shouldSkip: (value) => environment.memory < (parseMemory(value) ?? -Infinity),
+      format: (value) => `@skipIfMemoryBelow ${value} (measured ${formatMemory(environment.memory)})`,
+      validate: (value) =>
+        parseMemory(value) === null ? `"${value}" is not a memory size (e.g. 512MB, 8GB, 16GiB)` : null,
+    },
+    {
+      tag: "skipOnLinuxDistro",
+      // matches os-release ID or ID_LIKE, so "debian" covers Ubuntu too
+      shouldSkip: (value) => parseList(value).some((id) => currentDistro.includes(id)),
+      format: (value) => `@skipOnLinuxDistro ${value} (detected ${currentDistro.join(", ")})`,
+      validate: validateDistroList,
+    },
+    {
+      tag: "enabledOnLinuxDistro",
+      shouldSkip: (value) => !parseList(value).some((id) => currentDistro.includes(id)),
+      format: (value) =>
+        `@enabledOnLinuxDistro ${value} (detected ${currentDistro.join(", ") || `no Linux distribution on ${currentPlatform}`})`,
+      validate: validateDistroList,
+    },
+    {
+      tag: "skipOnWSL",
+      flag: true,
+      shouldSkip: () => !!environment.wsl,
+      format: () => "@skipOnWSL",
+    },
+    {
+      tag: "skipInContainer",
+      flag: true,
+      // optional engine list: "@skipInContainer docker,podman"
+      shouldSkip: (value) => {
+        if (!environment.container) return false;
+        const engines = parseList(value);
+        return engines.length === 0 || engines.includes(environment.container);
+      },
+      format: (value) => `@skipInContainer${value ? ` ${value}` : ""} (detected ${environment.container})`,
+      validate: validateContainerList,
+    },
+    {
+      tag: "skipOnNodeVersion",
+      shouldSkip: (value) => matchesVersionList(value),
+      format: (value) => `@skipOnNodeVersion ${value}`,
+      validate: validateVersionList,
+    },
+    {
+      tag: "enabledOnNodeVersion",
+      shouldSkip: (value) => !matchesVersionList(value),
+      format: (value) => `@enabledOnNodeVersion ${value}`,
+      validate: validateVersionList,
+    },
+    {
+      tag: "skipForNodeRange",
+      shouldSkip: (value) => inNodeRange(value),
+      format: (value) => `@skipForNodeRange ${value}`,
+      validate: validateNodeRange,
+    },
+    {
+      tag: "enabledForNodeRange",
+      shouldSkip: (value) => !inNodeRange(value),
+      format: (value) => `@enabledForNodeRange ${value}`,
+      validate: validateNodeRange,
+    },
+    {
+      tag: "skipIfEnv",
+      // skip when ANY condition holds
+      shouldSkip: (value) => parseEnvConditions(value).some(envConditionHolds),
+      format: (value) => `@skipIfEnv ${value}`,
+      validate: validateEnvConditions,
+      envNames: envConditionNames,
+    },
+    {
+      tag: "enabledIfEnv",
+      // skip unless ALL conditions hold
+      shouldSkip: (value) => {
+        const conditions = parseEnvConditions(value);
+        return conditions.length === 0 || !conditions.every(envConditionHolds);
+      },
+      format: (value) => `@enabledIfEnv ${value}`,
+      validate: validateEnvConditions,
+      envNames: envConditionNames,
+    },
+    {
+      tag: "skipIf",
+      // repeated @skipIf lines are OR-ed
+      shouldSkip: (value) => [].concat(value).some(conditionHolds),
+      format: (value) => `@skipIf ${[].concat(value).join(" | ")}`,
+      validate: validateExpression,
+      parse: parseCondition,
+      envNames: expressionEnvNames,
+    },
+    {
+      tag: "enabledIf",
+      // repeated @enabledIf lines must all hold
+      shouldSkip: (value) => ![].concat(value).every(conditionHolds),
+      format: (value) => `@enabledIf ${[].concat(value).join(" | ")}`,
+      validate: validateExpression,
+      parse: parseCondition,
+      envNames: expressionEnvNames,
+    },
+  ];
+
+  // Expected-failure twins of the skip tags: same condition, different effect
+  const FAIL_TWINS = {
+    failsOnBrowser: "skipOnBrowser",
+    failsOnOS: "skipOnOS",
+    failsOnNodeVersion: "skipOnNodeVersion",
+    failsForNodeRange: "skipForNodeRange",
+    failsIfEnv: "skipIfEnv",
+    failsIf: "skipIf",
+  };
+  for (const [tag, twin] of Object.entries(FAIL_TWINS)) {
+    const { shouldSkip, validate, parse, browserCondition, envNames } = tagHandlers.find((h) => h.tag === twin);
+    tagHandlers.push({
+      tag,
+      effect: "fail",
+      shouldSkip,
+      validate,
+      parse,
+      browserCondition,
+      envNames,
+      format: (value) => `@${tag} ${[].concat(value).join(" | ")}`,
+    });
+  }
+
+  // --- Project config: named conditions and custom tags ---
+
+  // What custom predicates see: the environment plus condition(name)
+  const publicEnv = {
+    ...environment,
+    condition: (name) => {
+      const condition = expressionEnv.conditions[String(name).toLowerCase()];
+      if (!condition) throw new Error(`[js-sanitizer] Unknown condition "${name}"`);
+      return condition();
+    },
+  };
+
+  // Conditions are evaluated at most once per handler set. conditionEnv:
+  // lowercased name → the environment variables it reads, null for a predicate
+  const conditionEnv = {};
+  for (const [name, condition] of Object.entries((projectConfig && projectConfig.conditions) || {})) {
+    let result;
+    let evaluate;
+    if (typeof condition === "function") {
+      evaluate = () => !!condition(publicEnv);
+      conditionEnv[name.toLowerCase()] = null;
+    } else {
+      const ast = parseConfigExpression(condition, `condition "${name}"`, parseExpression);
+      evaluate = () => evaluateExpression(ast, expressionEnv);
+      conditionEnv[name.toLowerCase()] = expressionReferences(ast).env;
+    }
+    expressionEnv.conditions[name.toLowerCase()] = () => {
+      if (result === undefined) result = evaluate();
+      return result;
+    };
+  }
+
+  const builtInNames = new Set(tagHandlers.map((h) => h.tag.toLowerCase()));
+  for (const [tag, def] of Object.entries((projectConfig && projectConfig.tags) || {})) {
+    if (builtInNames.has(tag.toLowerCase())) {
+      throw new Error(`[js-sanitizer] Custom tag @${tag} in ${projectConfig.file} clashes with a built-in tag`);
+    }
+    if (!def.shouldSkip) parseConfigExpression(def.skipIf, `tag @${tag}`, parseCondition);
+    tagHandlers.push({
+      tag,
+      effect: def.effect || "skip",
+      // applies when present; shouldSkip() gets "" for a tag without a value
+      flag: true,
+      shouldSkip: def.shouldSkip
+        ? (value) => !!def.shouldSkip(value, publicEnv)
+        : () => conditionHolds(def.skipIf),
+      format: def.format
+        ? (value) => String(def.format(value, publicEnv))
+        : (value) => `@${tag}${value ? ` ${[].concat(value).join(" | ")}` : ""}`,
+      validate: def.validate ? (value) => def.validate(value) || null : undefined,
+      envNames: def.shouldSkip ? () => null : () => expressionEnvNames(def.skipIf),
+      custom: true,
+    });
+  }
+
+  // Expressions in the config are checked once, when the handlers are built
+  function parseConfigExpression(source, what, parser) {
+    try {
+      return parser(source);
+    } catch (err) {
+      throw new Error(`[js-sanitizer] Invalid ${what} in ${projectConfig.file}: ${err.message}`);
+    }
+  }
+
+  // Split comma lists, trim, and lowercase values.
+  function parseList(str) {
+    return String(str || "")
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Arch list with aliases resolved: "amd64, aarch64" → ["x64", "arm64"]
+  function parseArchList(str) {
+    return parseList(str).map((arch) => ARCH_ALIASES[arch] || arch);
+  }
+
+  // Playwright engines of a browser list: "chrome, edge, safari<17" →
+  // { engines: ["chromium", "webkit"], versioned: true }
+  function parseEngineList(str) {
+    const entries = browserEntries(str).map(parseBrowserEntry).filter(Boolean);
+    return {
+      engines: [...new Set(entries.map(({ browser }) => ENGINE_OF[browser] || browser))],
+      versioned: entries.some((entry) => entry.op !== null),
+    };
+  }
+
+  // OS list with aliases resolved: "windows, macos" → ["win32", "darwin"]
+  function parseOSList(str) {
+    return parseList(str).map((os) => PLATFORM_ALIASES[os] || os);
+  }
+
+  // Expression parser that knows the project's named conditions
+  function parseCondition(source) {
+    return parseExpression(source, { conditions: conditionNames });
+  }
+
+  // Parse (cached) and evaluate an @skipIf / @enabledIf expression.
+  // Syntax errors surface as ExpressionSyntaxError; the visitor adds file/line.
+  const expressionCache = new Map();
+  function conditionHolds(source) {
+    const key = String(source);
+    if (!expressionCache.has(key)) expressionCache.set(key, parseCondition(key));
+    return evaluateExpression(expressionCache.get(key), expressionEnv);
+  }
+
+  // Environment variables read by @skipIf / @enabledIf expressions, null when
+  // a named condition is a predicate that may read any. Syntax errors are
+  // left to the tag's own evaluation.
+  function expressionEnvNames(value) {
+    const names = [];
+    for (const source of [].concat(value)) {
+      let refs;
+      try {
+        refs = expressionReferences(parseCondition(String(source)));
+      } catch {
+        continue;
+      }
+      names.push(...refs.env);
+      for (const condition of refs.conditions) {
+        if (!conditionEnv[condition]) return null;
+        names.push(...conditionEnv[condition]);
+      }
+    }
+    return names;
+  }
+
+  function envConditionNames(value) {
+    return parseEnvConditions(value).map((cond) => cond.name);
+  }
+
+  // Parse "CI=true, DATABASE_URL, NODE_ENV=/prod/i" into conditions.
+  // Names and values are case-sensitive (like process.env); commas inside /regex/ are kept.
+  function parseEnvConditions(str) {
+    const parts = [];
+    let cur = "";
+    let inRegex = false;
+    for (const ch of String(str || "")) {
+      if (ch === "/" && (inRegex || /=\s*$/.test(cur))) inRegex = !inRegex;
+      if (ch === "," && !inRegex) {
+        parts.push(cur);
+        cur = "";
+      } else {
+        cur += ch;
+      }
+    }
+    parts.push(cur);
+
+    return parts
+      .map((p) => p.trim())
+      .filter(Boolean)
+      .map((p) => {
+        const eq = p.indexOf("=");
+        if (eq === -1) return { name: p, kind: "present" };
+        const name = p.slice(0, eq).trim();
+        const expected = p.slice(eq + 1).trim();
+        const re = expected.match(/^\/(.*)\/([a-z]*)$/);
+        if (re) {
+          try {
+            return { name, kind: "regex", regex: new RegExp(re[1], re[2]) };
+          } catch {
+            return { name, kind: "invalid" };
+          }
+        }
+        return { name, kind: "equals", expected };
+      });
+  }
+
+  // present: defined and non-empty; equals: exact match; regex: pattern test
+  function envConditionHolds(cond) {
+    const actual = (environment.env || {})[cond.name];
+    if (cond.kind === "present") return actual !== undefined && actual !== "";
+    if (actual === undefined) return false;
+    if (cond.kind === "equals") return actual === cond.expected;
+    if (cond.kind === "regex") return cond.regex.test(actual);
+    return false;
+  }
+
+  // Does the current Node version satisfy a semver range? Invalid ranges never match.
+  function satisfiesNode(range) {
+    if (!currentNodeSemver || !semver.validRange(range)) return false;
+    return semver.satisfies(currentNodeSemver, range, { includePrerelease: true });
+  }
+
+  // Accept versions/ranges like "18", "v20", "20.11.1", "^18.17" → true if any entry matches.
+  // A bare major ("18") is an x-range, so it still matches every 18.x.y.
+  function matchesVersionList(str) {
+    return parseList(str).some((range) => satisfiesNode(range));
+  }
+
+  // Legacy "min=16,max=18" form (see parseRange)
+  function isLegacyRange(str) {
+    return /(^|,)\s*(min|max)\s*=/i.test(String(str || ""));
+  }
+
+  // Accept "min=16,max=18" (legacy, inclusive majors) or any semver range:
+  // ">=18.17.0 <21", "16 - 18", "^20 || ^22".
+  function inNodeRange(str) {
+    if (isLegacyRange(str)) {
+      const { min, max } = parseRange(str);
+      return currentNodeVersion >= min && currentNodeVersion <= max; // inclusive
+    }
+    return satisfiesNode(String(str || "").trim());
+  }
+
+  // Parse "min=16,max=18" (case-insensitive keys/values), inclusive range based on majors.
+  function parseRange(str) {
+    const pairs = {};
+    String(str || "")
+      .split(",")
+      .map((p) => p.trim())
+      .filter(Boolean)
+      .forEach((pair) => {
+        const [kRaw, vRaw] = pair.split("=").map((x) => x.trim().toLowerCase());
+        if (kRaw && vRaw) pairs[kRaw] = vRaw;
+      });
+    const toMajor = (s) => {
+      const m = String(s).match(/\d+/);
+      return m ? parseInt(m[0], 10) : null;
+    };
+    const min = pairs.min ? toMajor(pairs.min) : null;
+    const max = pairs.max ? toMajor(pairs.max) : null;
+    return {
+      min: min ?? -Infinity,
+      max: max ?? Infinity,
+    };
+  }
+
+  // --- Value validation (problem description, or null when the value is fine) ---
+
+  function validateList(value, check) {
+    for (const raw of [].concat(value)) {
+      const list = parseList(raw);
+      if (list.length === 0) return "expects a comma-separated list of values";
+      for (const item of list) {
+        const problem = check(item);
+        if (problem) return problem;
+      }
+    }
+    return null;
+  }
+
+  function validatePlatformList(value) {
+    return validateList(value, (os) => {
+      if (KNOWN_PLATFORMS.includes(os) || PLATFORM_ALIASES[os]) return null;
+      const hint = PLATFORM_HINTS[os];
+      return hint
+        ? `unknown OS "${os}" (did you mean "${hint}"?)`
+        : `unknown OS "${os}" (expected one of ${KNOWN_PLATFORMS.join(", ")})`;
+    });
+  }
+
+  function validateBrowserList(value) {
+    const known = [...KNOWN_BROWSERS, ...Object.keys(BROWSER_ENGINES).filter((e) => !KNOWN_BROWSERS.includes(e))];
+    return validateList(value, (item) => {
+      const entry = parseBrowserEntry(item);
+      if (!entry) return `"${item}" is not a browser or a browser with a version (e.g. chrome<120, firefox>=115)`;
+      return known.includes(entry.browser)
+        ? null
+        : `unknown browser "${entry.browser}" (expected one of ${known.join(", ")})`;
+    });
+  }
+
+  // Custom environments are accepted as written in the config (a package or a path)
+  function validateTestEnvironmentList(value) {
+    return validateList(value, (name) =>
+      KNOWN_TEST_ENVIRONMENTS.includes(name) || TEST_ENVIRONMENT_ALIASES[name] || /^[\w@.][\w@/.-]*$/.test(name)
+        ? null
+        : `"${name}" is not a test environment (e.g. ${KNOWN_TEST_ENVIRONMENTS.join(", ")})`
+    );
+  }
+
+  function validateArchList(value) {
+    return validateList(value, (arch) =>
+      KNOWN_ARCHES.includes(arch) || ARCH_ALIASES[arch]
+        ? null
+        : `unknown architecture "${arch}" (expected one of ${KNOWN_ARCHES.join(", ")})`
+    );
+  }
+
+  function validateDistroList(value) {
+    return validateList(value, (id) =>
+      /^[a-z0-9._-]+$/.test(id) ? null : `"${id}" is not an os-release ID (e.g. alpine, debian, ubuntu, fedora)`
+    );
+  }
+
+  // An empty value means "any container"
+  function validateContainerList(value) {
+    if (parseList(value).length === 0) return null;
+    return validateList(value, (engine) =>
+      KNOWN_CONTAINERS.includes(engine)
+        ? null
+        : `unknown container engine "${engine}" (expected one of ${KNOWN_CONTAINERS.join(", ")})`
+    );
+  }
+
+  function validateVersionList(value) {
+    return validateList(value, (version) =>
+      semver.validRange(version) ? null : `"${version}" is not a Node version or semver range`
+    );
+  }
+
+  function validateNodeRange(value) {
+    const str = String([].concat(value)[0] || "").trim();
+    if (!str) return "expects a semver range or min=/max= bounds";
+    if (isLegacyRange(str)) {
+      for (const pair of str.split(",").map((p) => p.trim()).filter(Boolean)) {
+        const m = pair.match(/^(min|max)\s*=\s*(.*)$/i);
+        if (!m) return `"${pair}" is not a min= or max= bound`;
+        if (!/^v?\d+(\.\d+)*$/.test(m[2])) return `"${pair}" needs a numeric Node version`;
+      }
+      const { min, max } = parseRange(str);
+      return min > max ? `inverted range "${str}" (min is greater than max)` : null;
+    }
+    if (!semver.validRange(str)) return `"${str}" is not a semver range`;
+    return semver.minVersion(str) ? null : `range "${str}" matches no Node version (inverted bounds?)`;
+  }
+
+  function validateEnvConditions(value) {
+    for (const raw of [].concat(value)) {
+      const conditions = parseEnvConditions(raw);
+      if (conditions.length === 0) return "expects at least one condition (NAME, NAME=value or NAME=/regex/)";
+      const invalid = conditions.find((c) => c.kind === "invalid" || !c.name);
+      if (invalid) return invalid.name ? `invalid regular expression for ${invalid.name}` : "missing variable name";
+    }
+    return null;
+  }
+
+  function validateExpression(value) {
+    for (const source of [].concat(value)) {
+      try {
+        parseCondition(source);
+      } catch (err) {
+        return err.message;
+      }
+    }
+    return null;
+  }
+
+  return tagHandlers;
+}
+
+// Names of all built-in tags, in evaluation order
+const TAG_NAMES = createTagHandlers({ env: {} }).map((h) => h.tag);
+
+// "8GB" → 8e9 bytes, "16 GiB" → 17179869184; a bare number is GB. null if unparseable.
+function parseMemory(value) {
+  const m = String(value ?? "").trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmgt]i?b|b)?$/);
+  if (!m) return null;
+  return Number(m[1]) * MEMORY_UNITS[m[2] || "gb"];
+}
+
+function formatMemory(bytes) {
+  return bytes >= 1e9 ? `${(bytes / 1e9).toFixed(1)} GB` : `${Math.round(bytes / 1e6)} MB`;
+}
+
+// Levenshtein distance, case-insensitive
+function editDistance(a, b) {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * For a docblock tag that is not in `knownTags`: a hint when it looks like a
+ * misspelt sanitizer tag ("did you mean ..."), otherwise null (e.g. @param,
+ * @jest-environment). `@skipOnWindows` suggests "@skipOnOS win32".
+ */
+function suggestTag(name, knownTags = TAG_NAMES) {
+  const platformTag = name.match(/^(skip|enabled|fails)On(\w+)$/i);
+  if (platformTag) {
+    const os = platformTag[2].toLowerCase();
+    const platform = KNOWN_PLATFORMS.includes(os) ? os : PLATFORM_HINTS[os];
+    const tag = knownTags.find((t) => t.toLowerCase() === `${platformTag[1]}onos`.toLowerCase());
+    if (platform && tag) return `did you mean "@${tag} ${platform}"?`;
+  }
+  let best = null;
+  let bestDistance = Infinity;
+  for (const tag of knownTags) {
+    const d = editDistance(name, tag);
+    if (d < bestDistance) {
+      best = tag;
+      bestDistance = d;
+    }
+  }
+  // short names (@skip, @todo) are left alone: too many near misses
+  if (name.length >= 5 && bestDistance <= Math.max(2, Math.floor(best.length / 4))) {
+    return `did you mean "@${best}"?`;
+  }
+  if (/^(skip|enabled|fails?)(On|If|For|In)/i.test(name)) return "not a js-sanitizer tag";
+  return null;
+}
+
+module.exports = {
+  ARCH_ALIASES,
+  BROWSER_ENGINES,
+  KNOWN_ARCHES,
+  KNOWN_BROWSERS,
+  KNOWN_CONTAINERS,
+  KNOWN_PLATFORMS,
+  PLATFORM_ALIASES,
+  TAG_NAMES,
+  createTagHandlers,
+  isTagSet,
+  parseMemory,
+  suggestTag,
+};
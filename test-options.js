@@ -0,0 +1,40 @@
+// test-options.js
+// Where the skip option goes in a call of a runner that takes it as an option,
+// node:test's test([name][, options][, fn]). Backends apply the edit their own
+// way; both pass Babel-shaped argument nodes.
+
+const isFunction = (node) => node.type === "ArrowFunctionExpression" || node.type === "FunctionExpression";
+
+const keyName = (key) => (key.type === "Identifier" ? key.name : key.type === "StringLiteral" ? key.value : null);
+
+function objectSlot(object, index) {
+  const property = object.properties.find(
+    (p) => p.type === "ObjectProperty" && !p.computed && keyName(p.key) === "skip"
+  );
+  return { object, index, property: property || null };
+}
+
+/**
+ * → { object, index, property }  an options literal at args[index], with its
+ *                                 plain `skip` property if it has one
+ *   { spread, index }             options given as another expression
+ *   { insert }                    no options: a new object goes before
+ *                                 args[insert] (or at the end)
+ *   null                          arguments that can't be read (...spread)
+ * A lone identifier, or a second argument when there are two, is taken to be
+ * the test function.
+ */
+function skipOptionSlot(args) {
+  if (args.some((arg) => arg.type === "SpreadElement")) return null;
+  const [first, second] = args;
+  if (!first) return { insert: 0 };
+  if (first.type === "ObjectExpression") return objectSlot(first, 0);
+  if (isFunction(first) || (first.type === "Identifier" && args.length === 1)) return { insert: 0 };
+  // args[0] is the name
+  if (!second) return { insert: 1 };
+  if (second.type === "ObjectExpression") return objectSlot(second, 1);
+  if (args.length >= 3) return { spread: second, index: 1 };
+  return { insert: 1 };
+}
+
+module.exports = { skipOptionSlot };
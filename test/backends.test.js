@@ -0,0 +1,197 @@
+// backends.test.js
+// One set of fixtures through every backend: the Babel plugin, the string
+// rewrite with its Vite, esbuild and SWC entry points, and the Jest
+// transformer. They must make the same skip / expected-failure decisions,
+// write the same report entries, and emit code that runs the same tests.
+//
+//   npm test
+
+const { describe, test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sanitizer = require("../sanitizer.js");
+const { createSanitizer } = require("../sanitizer.js");
+const { createRewriter } = require("../rewrite.js");
+const { mergeRun } = require("../report.js");
+const jsSanitizerVite = require("../vite.js");
+const jsSanitizerEsbuild = require("../esbuild.js");
+const jsSanitizerSwc = require("../swc.js");
+const { createTransformer } = require("../jest-transformer.js");
+const { FIXTURES, babelTransform, runTests } = require("./helpers.js");
+
+const FILES = fs
+  .readdirSync(FIXTURES)
+  .filter((name) => /\.(test|spec)\.[cm]?[jt]s$/.test(name))
+  .sort()
+  .map((name) => path.join(FIXTURES, name));
+
+// Framework stand-in each fixture runs against (TypeScript ones don't run)
+const FRAMEWORK_OF = {
+  "file-level.test.js": "jest",
+  "globals.test.js": "jest",
+  "node-test.test.mjs": "node:test",
+  "playwright.spec.js": "playwright",
+};
+
+// Decisions must not depend on the machine running the tests
+const OPTIONS = {
+  silent: true,
+  logFile: false,
+  environment: { os: "linux", node: "20.11.1", arch: "x64", browser: "chrome@120" },
+};
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-test-"));
+after(() => fs.rmSync(tmpRoot, { recursive: true, force: true }));
+
+// name → (options) => async (code, file) => output code
+const BACKENDS = {
+  babel: (options) => async (code, file) => babelTransform(code, file, options, sanitizer),
+  rewrite: (options) => {
+    const { rewrite } = createRewriter(options);
+    return async (code, file) => (rewrite(code, file) || { code }).code;
+  },
+  vite: (options) => {
+    const plugin = jsSanitizerVite(options);
+    return async (code, file) => (plugin.transform(code, file) || { code }).code;
+  },
+  esbuild: (options) => {
+    let onLoad;
+    jsSanitizerEsbuild(options).setup({ onLoad: (filter, callback) => (onLoad = callback) });
+    return async (code, file) => ((await onLoad({ path: file, namespace: "file" })) || { contents: code }).contents;
+  },
+  swc: (options) => {
+    // @swc/core stand-in: the entry point's rewrite is what is under test
+    const swc = jsSanitizerSwc({ ...options, swc: { transformSync: (code) => ({ code }) } });
+    return async (code, file) => swc.transformSync(code, { filename: file }).code;
+  },
+  "jest-transformer": (options) => {
+    const transformer = createTransformer({ ...options, transformer: path.join(FIXTURES, "pass-through-transformer.js") });
+    return async (code, file) => transformer.process(code, file, { config: {}, supportsStaticESM: false }).code;
+  },
+};
+
+// Run every fixture through a backend → { entries: the report entries of the
+// run, sorted, outputs: file → emitted code }
+async function runBackend(name) {
+  const reportDir = path.join(tmpRoot, name);
+  const transform = BACKENDS[name]({ ...OPTIONS, reportDir });
+  const outputs = new Map();
+  for (const file of FILES) outputs.set(file, await transform(fs.readFileSync(file, "utf8"), file));
+  const report = mergeRun({ reportDir });
+  return { entries: report ? sortEntries(report.entries) : [], outputs };
+}
+
+const runs = {};
+const runOf = async (name) => (runs[name] = runs[name] || (await runBackend(name)));
+const entriesOf = async (name) => (await runOf(name)).entries;
+
+// The test calls a backend's output makes, per runnable fixture
+async function callsOf(name) {
+  const { outputs } = await runOf(name);
+  const calls = {};
+  for (const [file, code] of outputs) {
+    const framework = FRAMEWORK_OF[path.basename(file)];
+    if (framework) calls[path.basename(file)] = runTests(code, file, framework);
+  }
+  return calls;
+}
+
+const entryKey = (e) => `${e.file}:${String(e.line).padStart(4, "0")}:${e.row ?? 0}:${e.tag}`;
+const sortEntries = (entries) => [...entries].sort((a, b) => entryKey(a).localeCompare(entryKey(b)));
+
+// Report entries as "<file>:<line> <outcome> <reason>" lines
+const summarize = (entries) =>
+  entries.map((e) => `${path.basename(e.file)}:${e.line}${e.row ? ` row ${e.row}` : ""} ${e.outcome} ${e.reason}`);
+
+describe("backends", () => {
+  test("the Babel plugin records the expected decisions", async () => {
+    assert.deepEqual(summarize(await entriesOf("babel")), [
+      "file-level.test.js:5 skipped @skipOnOS linux",
+      "file-level.test.js:7 skipped @skipOnOS linux",
+      "globals.test.js:2 skipped @skipOnOS linux",
+      "globals.test.js:5 skipped @enabledOnOS win32",
+      "globals.test.js:11 expected-failure @failsOnNodeVersion 20",
+      "globals.test.js:16 skipped @skipForNodeRange >=18",
+      "globals.test.js:24 row 2 skipped @skipOnArch x64 (detected x64)",
+      "globals.test.js:29 skipped @skipIf os == \"linux\" && node >= 20",
+      "node-test.test.mjs:4 skipped @skipOnOS linux",
+      "node-test.test.mjs:7 expected-failure @failsOnOS linux",
+      "node-test.test.mjs:10 skipped @skipOnNodeVersion 20",
+      "playwright.spec.js:7 skipped @skipOnOS linux",
+      "vitest.test.ts:8 expected-failure @failsOnOS linux",
+      "vitest.test.ts:11 skipped @skipOnBrowser chrome<121",
+      "vitest.test.ts:17 row 2 skipped @enabledOnOS darwin",
+    ]);
+  });
+
+  test("the Babel plugin's output runs the expected tests", async () => {
+    assert.deepEqual(await callsOf("babel"), {
+      "file-level.test.js": ['test.skip("first", fn)', 'describe.skip("second", fn)'],
+      "globals.test.js": [
+        'test.skip("skipped on linux", fn)',
+        'it.skip("windows only", fn)',
+        'test("runs on linux", fn)',
+        'test.failing("fails on node 20", fn)',
+        'describe.skip("whole suite", fn)',
+        'describe("rows", fn)',
+        'test.each([[1]])("row %i", fn)',
+        'test.skip("only, skipped by an expression", fn)',
+        'test("environment variable not set", fn)',
+      ],
+      "node-test.test.mjs": [
+        'test("skip option", {"timeout":500,"skip":"@skipOnOS linux"}, fn)',
+        'test("expected failure keeps its options", {"timeout":500}, expectedFailure)',
+        'describe("suite", {"skip":"@skipOnNodeVersion 20"}, fn)',
+      ],
+      // the simulated chrome decides the browser tag while compiling
+      "playwright.spec.js": ['test("not in firefox", fn)', 'test.describe.skip("not on linux", fn)'],
+    });
+  });
+
+  for (const name of Object.keys(BACKENDS).filter((n) => n !== "babel")) {
+    test(`${name} writes the same report entries as the Babel plugin`, async () => {
+      assert.deepEqual(await entriesOf(name), await entriesOf("babel"));
+    });
+
+    test(`${name} output runs the same tests as the Babel plugin's`, async () => {
+      assert.deepEqual(await callsOf(name), await callsOf("babel"));
+    });
+  }
+});
+
+describe("test sites", () => {
+  // Every runnable test with its outcome, "enabled" and "unaffected" included
+  test("the Babel plugin and the rewrite see the same tests", () => {
+    const options = { ...OPTIONS, report: false };
+    let seen = 0;
+    for (const file of FILES) {
+      const code = fs.readFileSync(file, "utf8");
+      const fromBabel = [];
+      const fromRewrite = [];
+      const plugin = (api, opts) => createSanitizer(api, opts, { onTest: (entry) => fromBabel.push(entry) });
+      babelTransform(code, file, options, plugin);
+      createRewriter(options, { onTest: (entry) => fromRewrite.push(entry) }).rewrite(code, file);
+      assert.deepEqual(fromRewrite, fromBabel, path.basename(file));
+      seen += fromBabel.length;
+    }
+    assert.ok(seen > 0);
+  });
+});
+
+describe("jest-transformer", () => {
+  test("babel-jest with the plugin in the Babel config doesn't sanitize again", async () => {
+    const reportDir = path.join(tmpRoot, "jest-babel");
+    const options = { ...OPTIONS, reportDir };
+    const transformer = createTransformer({
+      ...options,
+      transformer: path.join(FIXTURES, "babel-transformer.js"),
+      transformerConfig: options,
+    });
+    for (const file of FILES) {
+      transformer.process(fs.readFileSync(file, "utf8"), file, { config: {}, supportsStaticESM: false });
+    }
+    assert.deepEqual(sortEntries(mergeRun({ reportDir }).entries), await entriesOf("babel"));
+  });
+});
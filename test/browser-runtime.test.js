@@ -0,0 +1,171 @@
+// browser-runtime.test.js
+// Browser tags in tests that run in a real browser: compiled into checks of
+// navigator that decide where the tests run.
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { detectBrowser, matchesBrowserList, parseBrowserEntry } = require("../browser-runtime.js");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS, sanitizeAndRun } = require("./helpers.js");
+
+const FILE = path.join(FIXTURES, "virtual.test.js");
+
+const USER_AGENTS = {
+  chrome:
+    "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.6045.105 Safari/537.36",
+  edge:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.61",
+  firefox: "Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0",
+  safari:
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2.1 Safari/605.1.15",
+  jsdom: "Mozilla/5.0 (linux) AppleWebKit/537.36 (KHTML, like Gecko) jsdom/22.1.0",
+};
+
+const CODE = `/** @skipOnBrowser chrome<120, firefox */
+it("a", () => {});
+/** @enabledOnBrowser safari */
+it("b", () => {});
+/** @failsOnBrowser edge */
+it("c", () => {});
+describe.each([
+  /** @skipOnBrowser firefox */
+  [1],
+  [2],
+])("row %i", () => {});
+`;
+
+// The page's navigator while the sanitized tests run; browser-runtime.js is
+// loaded afresh, as it detects the browser once
+const RUNTIME = require.resolve("../browser-runtime.js");
+function runIn(nav) {
+  delete require.cache[RUNTIME];
+  globalThis.navigator = nav;
+  try {
+    return sanitizeAndRun(CODE);
+  } finally {
+    delete globalThis.navigator;
+    delete require.cache[RUNTIME];
+  }
+}
+
+afterEach(() => delete globalThis.navigator);
+
+describe("detectBrowser", () => {
+  test("reads the browser and its version from the user agent", () => {
+    const detected = Object.fromEntries(
+      Object.entries(USER_AGENTS).map(([name, userAgent]) => [name, detectBrowser({ userAgent })])
+    );
+    assert.deepEqual(detected, {
+      chrome: { name: "chrome", version: "119.0.6045.105" },
+      edge: { name: "edge", version: "120.0.2210.61" },
+      firefox: { name: "firefox", version: "121.0" },
+      safari: { name: "safari", version: "17.2.1" },
+      jsdom: null,
+    });
+  });
+
+  test("prefers userAgentData", () => {
+    const brands = [
+      { brand: "Not_A Brand", version: "8" },
+      { brand: "Chromium", version: "120" },
+      { brand: "Microsoft Edge", version: "120" },
+    ];
+    assert.deepEqual(detectBrowser({ userAgent: USER_AGENTS.chrome, userAgentData: { brands } }), {
+      name: "edge",
+      version: "120",
+    });
+  });
+
+  test("is null outside a browser", () => {
+    assert.equal(detectBrowser(), null);
+    assert.equal(detectBrowser({}), null);
+  });
+});
+
+describe("browser lists", () => {
+  test("parse names with an optional version constraint", () => {
+    assert.deepEqual(parseBrowserEntry("Chrome < 120"), { browser: "chrome", op: "<", version: [120] });
+    assert.deepEqual(parseBrowserEntry("safari==17.2"), { browser: "safari", op: "=", version: [17, 2] });
+    assert.deepEqual(parseBrowserEntry("firefox"), { browser: "firefox", op: null, version: null });
+    assert.equal(parseBrowserEntry("chrome<latest"), null);
+  });
+
+  test("compare versions on the components the constraint gives", () => {
+    const chrome = (version) => ({ name: "chrome", version });
+    assert.equal(matchesBrowserList("chrome<120", chrome("119.0.6045.105")), true);
+    assert.equal(matchesBrowserList("chrome<120", chrome("120.0.6099.71")), false);
+    assert.equal(matchesBrowserList("chrome=120", chrome("120.0.6099.71")), true);
+    assert.equal(matchesBrowserList("chrome>=120.1", chrome("120.0.6099.71")), false);
+    assert.equal(matchesBrowserList("firefox, chrome>119", chrome("120")), true);
+    // a constraint never matches an unknown version
+    assert.equal(matchesBrowserList("chrome<120", chrome(null)), false);
+    assert.equal(matchesBrowserList("chrome", chrome(null)), true);
+  });
+
+  test("count a browser as its Playwright engine, and the engine as its browsers", () => {
+    assert.equal(matchesBrowserList("chromium", { name: "edge", version: "120" }), true);
+    assert.equal(matchesBrowserList("webkit", { name: "safari", version: "17.2" }), true);
+    assert.equal(matchesBrowserList("safari", { name: "webkit", version: null }), true);
+    assert.equal(matchesBrowserList("chrome", { name: "firefox", version: "121" }), false);
+    assert.equal(matchesBrowserList("chrome", null), false);
+  });
+});
+
+describe("browser tags in compile mode", () => {
+  test("are left to a check that imports js-sanitizer/browser-runtime", () => {
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      const out = transform(CODE, FILE, { ...QUIET, environment: ENVIRONMENT });
+      assert.match(out, /(?:import _jsSanitizerBrowser from |require\()"js-sanitizer\/browser-runtime"/, name);
+      assert.match(out, /_jsSanitizerBrowser\.skip\(\{\s*"?skiponbrowser"?:\s*"chrome<120, firefox"\s*\}/, name);
+    }
+  });
+
+  test("are decided by the browser the tests run in", () => {
+    const navigators = {
+      chrome: { userAgent: USER_AGENTS.chrome },
+      firefox: { userAgent: USER_AGENTS.firefox },
+      safari: { userAgent: USER_AGENTS.safari },
+      edge: { userAgent: USER_AGENTS.edge },
+    };
+    const calls = Object.fromEntries(Object.entries(navigators).map(([name, nav]) => [name, runIn(nav)]));
+    assert.deepEqual(calls, {
+      chrome: ['it.skip("a", fn)', 'it.skip("b", fn)', 'it("c", fn)', 'describe.each([[1],[2]])("row %i", fn)'],
+      firefox: ['it.skip("a", fn)', 'it.skip("b", fn)', 'it("c", fn)', 'describe.each([[2]])("row %i", fn)'],
+      safari: ['it("a", fn)', 'it("b", fn)', 'it("c", fn)', 'describe.each([[1],[2]])("row %i", fn)'],
+      edge: ['it("a", fn)', 'it.skip("b", fn)', 'it.failing("c", fn)', 'describe.each([[1],[2]])("row %i", fn)'],
+    });
+  });
+
+  test("match nothing outside a browser", () => {
+    assert.deepEqual(runIn(undefined), [
+      'it("a", fn)',
+      'it.skip("b", fn)',
+      'it("c", fn)',
+      'describe.each([[1],[2]])("row %i", fn)',
+    ]);
+  });
+
+  test("skip the whole table when every row's browser says so", () => {
+    delete require.cache[RUNTIME];
+    globalThis.navigator = { userAgent: USER_AGENTS.firefox };
+    const code = 'test.each([\n  /** @skipOnBrowser firefox */\n  [1],\n  /** @skipOnBrowser firefox */\n  [2],\n])("row %i", () => {});\n';
+    try {
+      assert.deepEqual(sanitizeAndRun(code), ['test.skip.each([[1],[2]])("row %i", fn)']);
+    } finally {
+      delete require.cache[RUNTIME];
+    }
+  });
+
+  test("a simulated browser decides them while compiling", () => {
+    const environment = { ...ENVIRONMENT, browser: "chrome@119" };
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      assert.doesNotMatch(transform(CODE, FILE, { ...QUIET, environment }), /browser-runtime/, name);
+    }
+    assert.deepEqual(sanitizeAndRun(CODE, { environment }), [
+      'it.skip("a", fn)',
+      'it.skip("b", fn)',
+      'it("c", fn)',
+      'describe.each([[1],[2]])("row %i", fn)',
+    ]);
+  });
+});
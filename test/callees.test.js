@@ -0,0 +1,46 @@
+// callees.test.js
+// Which test callees are recognised, and what a skip turns each one into.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeAndRun } = require("./helpers.js");
+
+const tagged = (callee, args = '"x", () => {}') => `/** @skipOnOS linux */\n${callee}(${args});\n`;
+
+describe("test callees", () => {
+  test("Jest's focused, concurrent and todo forms", () => {
+    const code = ["fit", "fdescribe", "test.concurrent", "it.concurrent", "test.only", "xit", "it.todo"]
+      .map((callee) => tagged(callee, callee === "it.todo" ? '"x"' : undefined))
+      .join("\n");
+    assert.deepEqual(sanitizeAndRun(code), [
+      'xit("x", fn)',
+      'xdescribe("x", fn)',
+      'test.concurrent.skip("x", fn)',
+      'it.concurrent.skip("x", fn)',
+      'test.skip("x", fn)',
+      'xit("x", fn)',
+      'it.todo("x")',
+    ]);
+  });
+
+  test("Mocha's BDD and TDD names", () => {
+    const code = ["context", "specify", "suite", "test"].map((callee) => tagged(callee)).join("\n");
+    assert.deepEqual(sanitizeAndRun(code, { framework: "mocha" }), [
+      'context.skip("x", fn)',
+      'specify.skip("x", fn)',
+      'suite.skip("x", fn)',
+      'test.skip("x", fn)',
+    ]);
+  });
+
+  test("frameworks limits the presets, callees adds and drops entries", () => {
+    const code = tagged("fit") + tagged("it");
+    assert.deepEqual(sanitizeAndRun(code, { frameworks: ["mocha-bdd"] }), ['fit("x", fn)', 'it.skip("x", fn)']);
+    const callees = { check: { kind: "test", skip: "it.skip" }, fit: false };
+    // a global `check`, which the skip replaces with it.skip
+    assert.deepEqual(sanitizeAndRun(tagged("check") + tagged("fit"), { callees }), [
+      'it.skip("x", fn)',
+      'fit("x", fn)',
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+// cli.test.js
+// `js-sanitizer list`, run the way a user runs it.
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const cp = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-cli-"));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// `js-sanitizer ...args` in `cwd` → its output
+function run(args, cwd = dir) {
+  return cp.execFileSync(process.execPath, [CLI, ...args], { cwd, encoding: "utf8", stdio: "pipe", timeout: 60000 });
+}
+
+// `js-sanitizer list <file> ...args --json` over `code` → its tests
+function list(code, ...args) {
+  fs.writeFileSync(path.join(dir, "a.test.js"), code);
+  const out = run(["list", "a.test.js", ...args, "--json"]);
+  return JSON.parse(out).tests.map((t) => [t.test, t.results.map((result) => result.outcome).join(",")]);
+}
+
+// A project directory of its own with `files` in it
+function project(files) {
+  const root = fs.mkdtempSync(path.join(dir, "project-"));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), content);
+  }
+  return root;
+}
+
+const TAGGED = `/** @skipOnOS win32 */
+test("not on windows", () => {});
+
+/** @skipOnNodeVersion 18 */
+it("not on 18", () => {});
+
+test("plain", () => {});
+`;
+
+describe("js-sanitizer list", () => {
+  test("tests under a file tag that doesn't match are tagged", () => {
+    const code = `/** @skipOnOS win32 */
+
+test("top", () => {});
+describe("suite", () => {
+  test("nested", () => {});
+});
+`;
+    assert.deepEqual(list(code, "--os", "linux"), [
+      ["top", "enabled"],
+      ["suite", "enabled"],
+      ["nested", "enabled"],
+    ]);
+    assert.deepEqual(list(code, "--os", "linux,win32", "--matrix"), [
+      ["top", "enabled,skipped"],
+      ["suite", "enabled,skipped"],
+      ["nested", "enabled,skipped"],
+    ]);
+  });
+
+  test("tests without tags are unaffected", () => {
+    assert.deepEqual(list('test("plain", () => {});\n', "--os", "linux"), [["plain", "unaffected"]]);
+  });
+
+  test("without paths, lists the test files outside node_modules", () => {
+    const root = project({
+      "src/a.test.js": TAGGED,
+      "src/__tests__/b.js": '/** @skipOnArch arm64 */\ntest("x64 only", () => {});\n',
+      "src/helper.js": 'test("helper", () => {});\n',
+      "node_modules/dep/c.test.js": 'test("dependency", () => {});\n',
+    });
+    const files = JSON.parse(run(["list", "--json"], root)).tests.map((t) => t.file);
+    assert.deepEqual([...new Set(files)], [path.join("src", "__tests__", "b.js"), path.join("src", "a.test.js")]);
+  });
+
+  test("prints a table with the reason of each skip", () => {
+    const root = project({ "a.test.js": TAGGED });
+    const out = run(["list", "--os", "windows", "--node", "18", "--arch", "x64"], root);
+    const rows = out.split("\n").map((line) => line.trim().split(/\s{2,}/));
+    assert.match(out, /^Environment: win32 \/ node 18\.0\.0 \/ x64 \[simulated: /);
+    assert.deepEqual(rows.slice(4, 7), [
+      ["a.test.js:2", 'test("not on windows")', "skipped", "@skipOnOS win32"],
+      ["a.test.js:5", 'it("not on 18")', "skipped", "@skipOnNodeVersion 18"],
+      ["a.test.js:7", 'test("plain")', "unaffected"],
+    ]);
+    assert.match(out, /3 test\(s\) in 1 file\(s\)\n {2}win32 \/ node 18\.0\.0 \/ x64: 2 skipped, 1 unaffected/);
+  });
+
+  test("--matrix decides every combination of the lists", () => {
+    const root = project({ "a.test.js": TAGGED });
+    const report = JSON.parse(run(["list", "--os", "linux,win32", "--node", "18,20", "--matrix", "--json"], root));
+    const environments = report.environments.map((env) => `${env.platform} ${env.node}`);
+    assert.deepEqual(environments, ["linux 18.0.0", "linux 20.0.0", "win32 18.0.0", "win32 20.0.0"]);
+    const outcomes = report.tests.map((t) => [t.test, t.results.map((result) => result.outcome).join(",")]);
+    assert.deepEqual(outcomes, [
+      ["not on windows", "enabled,enabled,skipped,skipped"],
+      ["not on 18", "skipped,enabled,skipped,enabled"],
+      ["plain", "unaffected,unaffected,unaffected,unaffected"],
+    ]);
+  });
+
+  test("--config reads custom tags from another file", () => {
+    const root = project({
+      "a.test.js": '/** @skipOnLinuxRunner */\ntest("custom", () => {});\n',
+      "config/sanitizer.js": `module.exports = { tags: { skipOnLinuxRunner: { skipIf: 'os == "linux"' } } };\n`,
+    });
+    const args = ["list", "--os", "linux", "--node", "20", "--config", "config/sanitizer.js", "--json"];
+    const [entry] = JSON.parse(run(args, root)).tests;
+    assert.deepEqual(entry.results, [{ outcome: "skipped", tag: "skipOnLinuxRunner", reason: "@skipOnLinuxRunner" }]);
+  });
+
+  test("an unknown option exits with status 2 and the usage", () => {
+    const result = cp.spawnSync(process.execPath, [CLI, "list", "--bogus"], { cwd: dir, encoding: "utf8", timeout: 60000 });
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /^js-sanitizer: unknown option --bogus\n\nUsage: js-sanitizer list/);
+  });
+});
@@ -0,0 +1,127 @@
+// config.test.js
+// The project config: custom tags and named conditions, where they are read
+// from, and what a malformed config reports.
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadProjectConfig, projectConfigKey } = require("../config.js");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS, captureWarnings, sanitizeAndRun } = require("./helpers.js");
+
+const CONFIG = `module.exports = {
+  conditions: { slowRunner: (env) => env.cpus < 4 },
+  tags: {
+    skipWithoutGpu: {
+      shouldSkip: (value, env) => !env.env.SANITIZER_TEST_GPU,
+      format: () => "@skipWithoutGpu (SANITIZER_TEST_GPU is not set)",
+    },
+    skipOnSlowRunner: { skipIf: "slowRunner" },
+    failsOnLinux: { skipIf: 'os == "linux"', effect: "fail" },
+  },
+};
+`;
+
+const CODE = `/** @skipWithoutGpu */
+test("gpu", () => {});
+
+/** @SKIPONSLOWRUNNER */
+test("slow", () => {});
+
+/** @failsOnLinux */
+test("linux", () => {});
+
+/** @skipIf slowRunner && os == "linux" */
+test("expression", () => {});
+`;
+
+let dir;
+let configFile;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-config-"));
+  configFile = path.join(dir, "js-sanitizer.config.js");
+  fs.writeFileSync(configFile, CONFIG);
+  delete process.env.SANITIZER_TEST_GPU;
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A project directory of its own with `files` in it
+function project(files) {
+  const root = fs.mkdtempSync(path.join(dir, "project-"));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(root, name), content);
+  return root;
+}
+
+describe("custom tags", () => {
+  const environment = { ...ENVIRONMENT, cpus: 2 };
+
+  test("skip, fail and take part in expressions like the built-ins", () => {
+    assert.deepEqual(sanitizeAndRun(CODE, { configFile, environment }), [
+      'test.skip("gpu", fn)',
+      'test.skip("slow", fn)',
+      'test.failing("linux", fn)',
+      'test.skip("expression", fn)',
+    ]);
+    const fastRunner = { ...environment, cpus: 8 };
+    assert.equal(sanitizeAndRun(CODE, { configFile, environment: fastRunner })[1], 'test("slow", fn)');
+  });
+
+  test("are logged with their format text", () => {
+    const filename = path.join(FIXTURES, "virtual.test.js");
+    const options = { ...QUIET, silent: false, configFile, environment };
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      const [, warnings] = captureWarnings(() => transform(CODE, filename, options));
+      assert.match(warnings[0], /^\[SKIPPING\] test\("gpu"\) in .* due to @skipWithoutGpu \(SANITIZER_TEST_GPU is not set\)/, name);
+      assert.match(warnings[1], /due to @skipOnSlowRunner /, name);
+    }
+  });
+
+  test("work with the tags option", () => {
+    const calls = sanitizeAndRun(CODE, { configFile, environment, tags: ["skipWithoutGpu"] });
+    assert.deepEqual(calls, ['test.skip("gpu", fn)', 'test("slow", fn)', 'test("linux", fn)', 'test("expression", fn)']);
+  });
+
+  test("can't reuse a built-in name", () => {
+    const root = project({ "js-sanitizer.config.js": 'module.exports = { tags: { skipOnOS: { skipIf: "true" } } };\n' });
+    const clash = path.join(root, "js-sanitizer.config.js");
+    assert.throws(() => sanitizeAndRun(CODE, { configFile: clash }), /Custom tag @skipOnOS in .* clashes with a built-in tag/);
+  });
+});
+
+describe("loadProjectConfig", () => {
+  const packageJson = (sanitizer) => JSON.stringify({ name: "scratch", sanitizer });
+
+  test("reads js-sanitizer.config.js before the package.json key", () => {
+    const root = project({ "js-sanitizer.config.js": CONFIG, "package.json": packageJson({ conditions: { ci: "env.CI" } }) });
+    const config = loadProjectConfig({ cwd: root });
+    assert.equal(config.file, path.join(root, "js-sanitizer.config.js"));
+    assert.deepEqual(Object.keys(config.tags), ["skipWithoutGpu", "skipOnSlowRunner", "failsOnLinux"]);
+  });
+
+  test("falls back to the sanitizer key of package.json", () => {
+    const sanitizer = { conditions: { ci: "env.CI" }, tags: { skipOnCI: { skipIf: "ci" } } };
+    const root = project({ "package.json": packageJson(sanitizer) });
+    assert.deepEqual(loadProjectConfig({ cwd: root }), { file: `${path.join(root, "package.json")}#sanitizer`, ...sanitizer });
+  });
+
+  test("is empty without a config", () => {
+    assert.deepEqual(loadProjectConfig({ cwd: project({}) }), { file: null, tags: {}, conditions: {} });
+  });
+
+  test("names the problem of a malformed config", () => {
+    const invalid = (sanitizer) => () => loadProjectConfig({ cwd: project({ "package.json": packageJson(sanitizer) }) });
+    assert.throws(invalid({ tag: {} }), /Invalid config in .*package\.json#sanitizer: unknown key "tag"/);
+    assert.throws(invalid({ tags: { "1st": { skipIf: "ci" } } }), /tag name "1st" must start with a letter/);
+    assert.throws(invalid({ tags: { skipOnCI: {} } }), /tag "skipOnCI" needs a shouldSkip\(value, env\) function or a skipIf expression/);
+    assert.throws(invalid({ tags: { skipOnCI: { skipIf: "ci", effect: "todo" } } }), /"tags\.skipOnCI\.effect" must be "skip" or "fail"/);
+    assert.throws(invalid({ conditions: { "not-an-id": "ci" } }), /condition name "not-an-id" must be an identifier/);
+  });
+
+  test("the cache key changes when the config file does", () => {
+    const root = project({ "js-sanitizer.config.js": CONFIG });
+    const key = projectConfigKey({ cwd: root });
+    fs.utimesSync(path.join(root, "js-sanitizer.config.js"), new Date(), new Date(Date.now() + 5000));
+    assert.notEqual(projectConfigKey({ cwd: root }), key);
+  });
+});
@@ -0,0 +1,65 @@
+// each.test.js
+// Tags on parameterized tests: on the whole .each call, or on single rows.
+
+const { describe, test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { mergeRun } = require("../report.js");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS, sanitizeAndRun } = require("./helpers.js");
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-each-"));
+after(() => fs.rmSync(tmpRoot, { recursive: true, force: true }));
+
+const CODE = `
+test.each([
+  /** @skipOnOS linux */
+  [1],
+  [2],
+])("row %i", () => {});
+
+describe.each([
+  /** @skipOnOS linux */
+  ["a"],
+  /** @skipOnOS linux */
+  ["b"],
+])("suite %s", () => {});
+
+/** @skipOnOS linux */
+it.each([[1]])("whole %i", () => {});
+
+test.each([
+  /** @skipOnOS win32 */
+  [3],
+])("kept %i", () => {});
+`;
+
+describe(".each tables", () => {
+  test("tagged rows are removed, and a table without rows left is skipped", () => {
+    assert.deepEqual(sanitizeAndRun(CODE), [
+      'test.each([[2]])("row %i", fn)',
+      'describe.skip.each([["a"],["b"]])("suite %s", fn)',
+      'it.skip.each([[1]])("whole %i", fn)',
+      'test.each([[3]])("kept %i", fn)',
+    ]);
+  });
+
+  test("the report has one entry per removed row, or one for the table", () => {
+    const filename = path.join(FIXTURES, "virtual.test.js");
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      const reportDir = path.join(tmpRoot, name);
+      transform(CODE, filename, { ...QUIET, environment: ENVIRONMENT, reportDir, report: "report.json" });
+      const entries = mergeRun({ reportDir }).entries.map((e) => [e.line, e.test, e.scope, e.row]);
+      assert.deepEqual(
+        entries,
+        [
+          [4, "row %i", "row", 1],
+          [8, "suite %s", "table", null],
+          [16, "whole %i", "test", null],
+        ],
+        name
+      );
+    }
+  });
+});
@@ -0,0 +1,125 @@
+// environment.test.js
+// Simulated environments: the JS_SANITIZER_* variables and the `environment`
+// option, which every tag sees and every log line names.
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  ENV_OVERRIDES,
+  describeSimulated,
+  detectEnvironment,
+  environmentLabel,
+  simulateEnvironment,
+} = require("../environment.js");
+const { FIXTURES, QUIET, TRANSFORMS, captureWarnings, runTests } = require("./helpers.js");
+
+const saved = Object.fromEntries(Object.values(ENV_OVERRIDES).map((name) => [name, process.env[name]]));
+afterEach(() => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+function setVariables(values) {
+  for (const name of Object.values(ENV_OVERRIDES)) delete process.env[name];
+  Object.assign(process.env, values);
+}
+
+describe("JS_SANITIZER_* variables", () => {
+  test("replace the detected values and are listed as simulated", () => {
+    setVariables({
+      JS_SANITIZER_PLATFORM: "windows",
+      JS_SANITIZER_NODE_VERSION: "16",
+      JS_SANITIZER_ARCH: "aarch64",
+      JS_SANITIZER_CPUS: "2",
+      JS_SANITIZER_MEMORY: "4GiB",
+      JS_SANITIZER_BROWSER: "chrome@119",
+    });
+    const env = detectEnvironment();
+    const { platform, node, nodeMajor, arch, cpus, memory, browser, browserVersion } = env;
+    assert.deepEqual(
+      { platform, node, nodeMajor, arch, cpus, memory, browser, browserVersion },
+      {
+        platform: "win32",
+        node: "16.0.0",
+        nodeMajor: 16,
+        arch: "arm64",
+        cpus: 2,
+        memory: 4 * 2 ** 30,
+        browser: "chrome",
+        browserVersion: "119",
+      }
+    );
+    assert.deepEqual(env.simulated, {
+      platform: "win32",
+      node: "16.0.0",
+      arch: "arm64",
+      browser: "chrome@119",
+      cpus: 2,
+      memory: "4GiB",
+    });
+    assert.deepEqual([env.distro, env.wsl, env.container], [[], false, null]);
+  });
+
+  test("blank variables are ignored", () => {
+    setVariables({ JS_SANITIZER_PLATFORM: " " });
+    assert.deepEqual(detectEnvironment().simulated, {});
+  });
+
+  test("an unusable value names the variable", () => {
+    setVariables({ JS_SANITIZER_NODE_VERSION: "latest" });
+    assert.throws(() => detectEnvironment(), /^Error: \[js-sanitizer\] Invalid environment variable JS_SANITIZER_NODE_VERSION "latest"$/);
+  });
+});
+
+describe("simulateEnvironment", () => {
+  test("layers overrides on a base environment", () => {
+    const base = simulateEnvironment({ os: "linux", node: "20.11.1", arch: "x64" }, detectEnvironment());
+    const env = simulateEnvironment({ node: "18.19", browser: "none" }, base);
+    assert.equal(env.platform, "linux");
+    assert.equal(env.node, "18.19.0");
+    assert.equal(env.browser, null);
+    assert.deepEqual(env.simulated, { platform: "linux", node: "18.19.0", arch: "x64", browser: "none" });
+    assert.throws(() => simulateEnvironment({ os: "beos" }, base), /Invalid os override "beos"/);
+    assert.throws(() => simulateEnvironment({ cpus: "0" }, base), /Invalid cpus override "0"/);
+  });
+
+  test("labels name the environment and what was simulated", () => {
+    const env = simulateEnvironment({ os: "darwin", node: "22", arch: "arm64", browser: "safari 17" }, detectEnvironment());
+    assert.equal(environmentLabel(env), "darwin / node 22.0.0 / arm64 / safari 17");
+    assert.equal(describeSimulated(env), " [simulated: platform=darwin, node=22.0.0, arch=arm64, browser=safari 17]");
+    assert.equal(describeSimulated({ simulated: {} }), "");
+  });
+});
+
+describe("simulated decisions", () => {
+  const FILE = path.join(FIXTURES, "virtual.test.js");
+  const CODE = '/** @skipOnOS win32 */\ntest("not on windows", () => {});\n';
+
+  // Calls and log lines of every backend for CODE
+  function decide(options = {}) {
+    const results = {};
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      const [out, warnings] = captureWarnings(() => transform(CODE, FILE, { ...QUIET, silent: false, ...options }));
+      results[name] = [runTests(out, FILE), warnings];
+    }
+    assert.deepEqual(results.rewrite, results.babel);
+    return results.babel;
+  }
+
+  test("the variables apply to the plugin, and the log says so", () => {
+    setVariables({ JS_SANITIZER_PLATFORM: "win32", JS_SANITIZER_NODE_VERSION: "16" });
+    const [calls, warnings] = decide();
+    assert.deepEqual(calls, ['test.skip("not on windows", fn)']);
+    assert.deepEqual(warnings, [
+      `[SKIPPING] test("not on windows") in ${FILE} due to @skipOnOS win32 [simulated: platform=win32, node=16.0.0]`,
+    ]);
+  });
+
+  test("the environment option goes on top of the variables", () => {
+    setVariables({ JS_SANITIZER_PLATFORM: "win32" });
+    assert.deepEqual(decide({ environment: { os: "linux" } }), [['test("not on windows", fn)'], []]);
+  });
+});
@@ -0,0 +1,72 @@
+// esbuild.test.js
+// js-sanitizer/esbuild, driven through esbuild's plugin interface: the files
+// it loads, what it hands esbuild, and how it reports a broken tag.
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jsSanitizerEsbuild = require("../esbuild.js");
+const { QUIET } = require("./helpers.js");
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-esbuild-"));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The plugin set up against a stand-in build → { filter, load(file, code) }
+function setUp(options = {}) {
+  let registered;
+  const plugin = jsSanitizerEsbuild({ ...QUIET, environment: { os: "linux" }, ...options });
+  plugin.setup({ onLoad: (filter, callback) => (registered = { ...filter, callback }) });
+  return {
+    filter: registered.filter,
+    namespace: registered.namespace,
+    load(name, code) {
+      const file = path.join(dir, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, code);
+      return registered.callback({ path: file, namespace: "file" });
+    },
+  };
+}
+
+const TS = 'const n: number = 1;\n/** @skipOnOS linux */\ntest("a", () => {});\n';
+
+describe("js-sanitizer/esbuild", () => {
+  test("loads the tagged test files with their loader and an inline source map", async () => {
+    const { contents, loader } = await setUp().load("a.test.ts", TS);
+    assert.equal(loader, "ts");
+    const [code, url] = contents.split("\n//# sourceMappingURL=");
+    assert.equal(code, TS.replace("test(", "test.skip(") + " /* js-sanitizer: rewritten */");
+    const map = JSON.parse(Buffer.from(url.replace(/^data:application\/json;charset=utf-8;base64,/, ""), "base64"));
+    assert.deepEqual(map.sources, ["a.test.ts"]);
+    assert.deepEqual(map.sourcesContent, [TS]);
+  });
+
+  test("leaves other files to esbuild", async () => {
+    const plugin = setUp({ exclude: /fixtures/ });
+    assert.equal(await plugin.load("plain.test.js", 'test("plain", () => {});\n'), undefined);
+    assert.equal(await plugin.load("fixtures/a.test.ts", TS), undefined);
+    assert.equal(plugin.namespace, "file");
+    assert.equal(plugin.filter.test("src/a.ts"), false);
+  });
+
+  test("a RegExp include is esbuild's filter, a function is applied per file", async () => {
+    assert.deepEqual(setUp({ include: /\.e2e\.js$/ }).filter, /\.e2e\.js$/);
+    const plugin = setUp({ include: (file) => file.includes("e2e") });
+    assert.deepEqual(plugin.filter, /\.[cm]?[jt]sx?$/);
+    assert.equal(await plugin.load("unit/a.test.ts", TS), undefined);
+    assert.equal((await plugin.load("e2e/a.ts", TS)).loader, "ts");
+  });
+
+  test("reports a broken tag as an error at the tag", async () => {
+    const result = await setUp().load("broken.test.js", '\n/** @skipIf os == */\ntest("a", () => {});\n');
+    assert.equal(result.errors.length, 1);
+    const [{ text, location }] = result.errors;
+    assert.match(text, /^\[js-sanitizer\] Invalid @skipIf expression in .*broken\.test\.js:2: Unexpected end of expression/);
+    assert.deepEqual(location, { file: path.join(dir, "broken.test.js"), line: 2, column: 4 });
+  });
+});
@@ -0,0 +1,79 @@
+// expression.test.js
+// The @skipIf / @enabledIf expression language.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { ExpressionSyntaxError, evaluateExpression, parseExpression } = require("../expression.js");
+const { FIXTURES, QUIET, ENVIRONMENT, TRANSFORMS, sanitizeAndRun } = require("./helpers.js");
+
+const ENV = { os: "win32", node: "20.11.1", arch: "x64", browser: null, env: { CI: "true", EMPTY: "" } };
+const holds = (source, environment = ENV) => evaluateExpression(parseExpression(source), environment);
+
+describe("expressions", () => {
+  test("compare strings case-insensitively and versions on the parts both sides give", () => {
+    assert.equal(holds('os == "WIN32"'), true);
+    assert.equal(holds('platform != "linux"'), true);
+    assert.equal(holds("node == 20"), true);
+    assert.equal(holds("node < 20.12"), true);
+    assert.equal(holds("node >= v20.11.2"), false);
+    assert.equal(holds('arch > "arm"'), false, "ordering only applies to versions");
+    assert.equal(holds("browser == null"), true);
+  });
+
+  test("&& binds tighter than ||, and ! than both", () => {
+    assert.equal(holds('os == "linux" && node < 18 || arch == "x64"'), true);
+    assert.equal(holds('os == "linux" && (node < 18 || arch == "x64")'), false);
+    assert.equal(holds('!(os == "linux") && !false'), true);
+  });
+
+  test("a bare variable is a truthiness check", () => {
+    assert.equal(holds("env.CI"), true);
+    assert.equal(holds("env.EMPTY"), false);
+    assert.equal(holds("env.MISSING"), false);
+    assert.equal(holds("browser"), false);
+  });
+
+  test("syntax errors say what is wrong and where", () => {
+    assert.throws(() => parseExpression('os = "win32"'), ExpressionSyntaxError);
+    assert.throws(() => parseExpression('os = "win32"'), /Unexpected "=" \(did you mean "=="\?\) \(at column 4/);
+    assert.throws(() => parseExpression("os & node"), /did you mean "&&"/);
+    assert.throws(() => parseExpression("(os"), /Expected "\)" but found end of expression/);
+    assert.throws(() => parseExpression("cpu == 4"), /Unknown variable "cpu"/);
+    assert.throws(() => parseExpression("env"), /Expected "\." after "env"/);
+    assert.throws(() => parseExpression(""), /Empty expression/);
+    assert.throws(() => parseExpression('"open'), /Unterminated string literal/);
+  });
+});
+
+describe("@skipIf / @enabledIf", () => {
+  test("skip on the expression, or unless it holds", () => {
+    const code = `
+/** @skipIf os == "linux" && node >= 20 */
+test("skipIf", () => {});
+
+/** @enabledIf os == "win32" || arch == "x64" */
+test("enabledIf", () => {});
+
+/** @enabledIf env.SANITIZER_TEST_UNSET */
+test("needs a variable", () => {});
+`;
+    assert.deepEqual(sanitizeAndRun(code), [
+      'test.skip("skipIf", fn)',
+      'test("enabledIf", fn)',
+      'test.skip("needs a variable", fn)',
+    ]);
+  });
+
+  test("a syntax error fails the transform at the tag's line", () => {
+    const code = '\n\n/** @skipIf os = "linux" */\ntest("x", () => {});\n';
+    const filename = path.join(FIXTURES, "virtual.test.js");
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      assert.throws(
+        () => transform(code, filename, { ...QUIET, environment: ENVIRONMENT }),
+        /Invalid @skipIf expression in \S+virtual\.test\.js:3: Unexpected "=" \(did you mean "=="\?\)/,
+        name
+      );
+    }
+  });
+});
@@ -0,0 +1,79 @@
+// fails.test.js
+// @failsOn* tags: the expected-failure variant each framework gets, and the
+// wrapper that inverts a test's result where there is none.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { failing } = require("../browser-runtime.js");
+const { sanitizeAndRun } = require("./helpers.js");
+
+const CODE = `
+/** @failsOnOS linux */
+it("broken here", () => {});
+
+/** @failsOnOS win32 */
+it("broken elsewhere", () => {});
+
+/**
+ * @failsOnOS linux
+ * @skipOnOS linux
+ */
+it("skipped", () => {});
+`;
+
+describe("expected-failure tags", () => {
+  const cases = [
+    ["jest", ["jest"], 'it.failing("broken here", fn)', 'it.skip("skipped", fn)'],
+    ["vitest", ["vitest"], 'it.fails("broken here", fn)', 'it.skip("skipped", fn)'],
+    ["mocha", ["mocha-bdd"], 'it("broken here", expectedFailure)', 'it.skip("skipped", fn)'],
+    ["jasmine", ["jasmine"], 'it("broken here", expectedFailure)', 'xit("skipped", fn)'],
+    ["node:test", ["node-test"], 'it("broken here", expectedFailure)', 'it("skipped", {"skip":"@skipOnOS linux"}, fn)'],
+  ];
+  for (const [framework, frameworks, failed, skipped] of cases) {
+    test(`${framework}: the matching test is expected to fail, and a skip tag wins`, () => {
+      assert.deepEqual(sanitizeAndRun(CODE, { framework, frameworks }), [failed, 'it("broken elsewhere", fn)', skipped]);
+    });
+  }
+
+  test("the default registry picks the variant when the tests run", () => {
+    assert.equal(sanitizeAndRun(CODE, { framework: "vitest" })[0], 'it.fails("broken here", fn)');
+    assert.equal(sanitizeAndRun(CODE, { framework: "mocha" })[0], 'it("broken here", expectedFailure)');
+  });
+
+  test("apply to single tests only", () => {
+    const code = '/** @failsOnOS linux */\ndescribe("suite", () => {\n  it("a", () => {});\n});\n';
+    assert.deepEqual(sanitizeAndRun(code), ['describe("suite", fn)', 'it("a", fn)']);
+  });
+});
+
+describe("failing()", () => {
+  // The body the inverting wrapper hands `it`
+  function wrap(fn) {
+    let body;
+    failing((name, wrapped) => (body = wrapped))("broken", fn);
+    return body;
+  }
+
+  test("uses the framework's own variant when there is one", () => {
+    const it = () => {};
+    it.failing = () => {};
+    assert.equal(failing(it), it.failing);
+  });
+
+  test("passes when the test throws, and fails when it passes", () => {
+    assert.equal(
+      wrap(() => {
+        throw new Error("bug");
+      })(),
+      undefined
+    );
+    assert.throws(() => wrap(() => {})(), /Expected failure "broken" but the test passed/);
+  });
+
+  test("inverts promises and done callbacks", async () => {
+    await wrap(() => Promise.reject(new Error("bug")))();
+    await assert.rejects(wrap(() => Promise.resolve())(), /Expected failure "broken"/);
+    await wrap((done) => done(new Error("bug")))();
+    await assert.rejects(wrap((done) => done())(), /Expected failure "broken"/);
+  });
+});
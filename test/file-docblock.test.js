@@ -0,0 +1,49 @@
+// file-docblock.test.js
+// A docblock that opens the file applies to every top-level test and suite.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS, captureWarnings, sanitizeAndRun } = require("./helpers.js");
+
+const withHeader = (tag) => `/**
+ * ${tag}
+ */
+
+describe("procfs", () => {
+  it("inner", () => {});
+});
+test("cgroups", () => {});
+`;
+
+describe("file-level docblock", () => {
+  test("skips every top-level test and suite", () => {
+    assert.deepEqual(sanitizeAndRun(withHeader("@enabledOnOS win32")), [
+      'describe.skip("procfs", fn)',
+      'test.skip("cgroups", fn)',
+    ]);
+  });
+
+  test("leaves the file alone when its tags hold", () => {
+    assert.deepEqual(sanitizeAndRun(withHeader("@enabledOnOS linux")), [
+      'describe("procfs", fn)',
+      'it("inner", fn)',
+      'test("cgroups", fn)',
+    ]);
+  });
+
+  test("applies only to the test right below it without a blank line", () => {
+    const code = `/** @skipOnOS linux */\ntest("a", () => {});\ntest("b", () => {});\n`;
+    assert.deepEqual(sanitizeAndRun(code), ['test.skip("a", fn)', 'test("b", fn)']);
+  });
+
+  test("logs the decision once per file", () => {
+    const filename = path.join(FIXTURES, "virtual.test.js");
+    const options = { ...QUIET, silent: false, environment: ENVIRONMENT };
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      const [, warnings] = captureWarnings(() => transform(withHeader("@enabledOnOS win32"), filename, options));
+      assert.equal(warnings.length, 1, name);
+      assert.match(warnings[0], /^\[SKIPPING\] file .*virtual\.test\.js \(2 top-level test\(s\)\/suite\(s\)\) due to @enabledOnOS win32/);
+    }
+  });
+});
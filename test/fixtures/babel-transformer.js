@@ -0,0 +1,18 @@
+// Inner Jest transformer that compiles with the Babel plugin, like babel-jest
+// with module:js-sanitizer still in the Babel config
+const babel = require("@babel/core");
+const sanitizer = require("../../sanitizer.js");
+const { parserPlugins } = require("../../rewrite.js");
+
+module.exports = {
+  process(sourceText, sourcePath, options) {
+    const { code } = babel.transformSync(sourceText, {
+      filename: sourcePath,
+      babelrc: false,
+      configFile: false,
+      parserOpts: { plugins: parserPlugins(sourcePath) },
+      plugins: [[sanitizer, options.transformerConfig]],
+    });
+    return { code };
+  },
+};
@@ -0,0 +1,9 @@
+/**
+ * @skipOnOS linux
+ */
+
+test("first", () => {});
+
+describe("second", () => {
+  it("nested", () => {});
+});
@@ -0,0 +1,32 @@
+/** @skipOnOS linux */
+test("skipped on linux", () => {});
+
+/** @enabledOnOS win32 */
+it("windows only", () => {});
+
+/** @skipOnOS darwin */
+test("runs on linux", () => {});
+
+/** @failsOnNodeVersion 20 */
+test("fails on node 20", () => {
+  throw new Error("known bug");
+});
+
+/** @skipForNodeRange >=18 */
+describe("whole suite", () => {
+  test("inside", () => {});
+});
+
+describe("rows", () => {
+  test.each([
+    [1],
+    /** @skipOnArch x64 */
+    [2],
+  ])("row %i", () => {});
+});
+
+/** @skipIf os == "linux" && node >= 20 */
+test.only("only, skipped by an expression", () => {});
+
+/** @skipIfEnv JS_SANITIZER_FIXTURE_UNSET */
+test("environment variable not set", () => {});
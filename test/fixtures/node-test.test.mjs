@@ -0,0 +1,12 @@
+import { describe, test } from "node:test";
+
+/** @skipOnOS linux */
+test("skip option", { timeout: 500 }, () => {});
+
+/** @failsOnOS linux */
+test("expected failure keeps its options", { timeout: 500 }, () => {});
+
+/** @skipOnNodeVersion 20 */
+describe("suite", () => {
+  test("inside", () => {});
+});
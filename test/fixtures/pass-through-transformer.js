@@ -0,0 +1,6 @@
+// Inner Jest transformer that hands the code back unchanged
+module.exports = {
+  process(sourceText) {
+    return { code: sourceText };
+  },
+};
@@ -0,0 +1,9 @@
+const { test } = require("@playwright/test");
+
+/** @skipOnBrowser firefox */
+test("not in firefox", async () => {});
+
+/** @skipOnOS linux */
+test.describe("not on linux", () => {
+  test("inner", async () => {});
+});
@@ -0,0 +1,19 @@
+import { describe, it, test } from "vitest";
+
+interface Row {
+  n: number;
+}
+
+/** @failsOnOS linux */
+it("fails on linux", (): void => {});
+
+/** @skipOnBrowser chrome<121 */
+test("old chrome", () => {});
+
+describe("typed rows", () => {
+  test.each<Row>([
+    { n: 1 },
+    /** @enabledOnOS darwin */
+    { n: 2 },
+  ])("row $n", ({ n }) => {});
+});
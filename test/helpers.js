@@ -0,0 +1,211 @@
+// helpers.js
+// Shared by the tests: run code through the Babel plugin or the string
+// rewrite, then run the output against stand-ins for the test frameworks that
+// record what every test call became:
+//
+//   it.skip("x", fn)
+//   test({"timeout":500,"skip":"@skipOnOS linux"}, fn)
+//   test.each([[1]])("row %i", fn)
+//   it("y", expectedFailure)        (runtime.js's failing() wrapper)
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Module = require("module");
+const cp = require("child_process");
+const babel = require("@babel/core");
+const sanitizer = require("../sanitizer.js");
+const { createRewriter, parserPlugins } = require("../rewrite.js");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+// Decisions must not depend on the machine running the tests
+const ENVIRONMENT = { os: "linux", node: "20.11.1", arch: "x64" };
+const QUIET = { silent: true, logFile: false, report: false };
+
+// Babel with the plugin, parsing TypeScript the way a project's preset would
+function babelTransform(code, filename, options, plugin = sanitizer) {
+  return babel.transformSync(code, {
+    filename,
+    babelrc: false,
+    configFile: false,
+    parserOpts: { plugins: parserPlugins(filename) },
+    plugins: [[plugin, options]],
+  }).code;
+}
+
+function rewriteTransform(code, filename, options, settings) {
+  const out = createRewriter(options).rewrite(code, filename, settings);
+  return out ? out.code : code;
+}
+
+// name → (code, filename, options) => output code
+const TRANSFORMS = {
+  babel: (code, filename, options) => babelTransform(code, filename, options),
+  rewrite: (code, filename, options) => rewriteTransform(code, filename, options),
+};
+
+// --- Framework stand-ins ---
+
+const eachOf = (callees) => callees.filter((c) => !/todo$/.test(c)).map((c) => `${c}.each`);
+const jestLike = (fail) => {
+  const base = ["test", "test.only", "test.skip", `test.${fail}`, "test.concurrent", "test.concurrent.skip"];
+  const it = base.map((c) => c.replace(/^test/, "it"));
+  const suites = ["describe", "describe.only", "describe.skip"];
+  return [...base, ...it, ...suites, ...eachOf([...base, ...it, ...suites]), "test.todo", "it.todo"];
+};
+
+// Callees each framework has; a missing one (Mocha's it.failing) is missing
+// from the stand-in too
+const FRAMEWORKS = {
+  jest: [...jestLike("failing"), "fit", "xit", "fdescribe", "xdescribe", "test.only.failing", "it.only.failing"],
+  vitest: [...jestLike("fails"), "suite", "suite.skip", "test.only.fails", "it.only.fails"],
+  mocha: ["describe", "describe.only", "describe.skip", "context", "context.skip", "it", "it.only", "it.skip"]
+    .concat(["specify", "specify.skip", "suite", "suite.skip", "test", "test.skip"]),
+  jasmine: ["describe", "fdescribe", "xdescribe", "it", "fit", "xit"],
+  "node:test": ["test", "test.only", "test.skip", "it", "it.skip", "describe", "describe.skip", "suite"],
+  playwright: ["test", "test.only", "test.skip", "test.fail", "test.fixme", "test.describe", "test.describe.skip"],
+};
+
+// Modules the frameworks are imported from
+const MODULES = { vitest: "vitest", "@jest/globals": "jest", mocha: "mocha", "node:test": "node:test" };
+MODULES["@playwright/test"] = "playwright";
+
+const SUITE_RE = /^(?:test\.)?(?:describe|suite|context|fdescribe)(?:\.only|\.concurrent|\.serial|\.parallel)?$/;
+
+function describeArg(arg) {
+  if (typeof arg === "function") return arg.name === "expectedFailure" ? "expectedFailure" : "fn";
+  return JSON.stringify(arg);
+}
+
+/**
+ * Stand-in for a framework's test functions → { calls, globals }. Every call
+ * is recorded as written, suites run their body unless skipped, and `.each`
+ * calls record their table with the call that follows.
+ */
+function createFramework(name) {
+  const calls = [];
+  const globals = {};
+  const callees = [...FRAMEWORKS[name]].sort((a, b) => a.split(".").length - b.split(".").length);
+  for (const dotted of callees) {
+    const parts = dotted.split(".");
+    const owner = parts.slice(0, -1).reduce((object, part) => object[part], globals);
+    owner[parts[parts.length - 1]] = function callee(...args) {
+      if (dotted.endsWith(".each")) {
+        return (...rest) => calls.push(`${dotted}(${describeArg(args[0])})(${rest.map(describeArg).join(", ")})`);
+      }
+      calls.push(`${dotted}(${args.map(describeArg).join(", ")})`);
+      const options = args.find((arg) => arg && typeof arg === "object");
+      const body = args.find((arg) => typeof arg === "function");
+      if (SUITE_RE.test(dotted) && body && !(options && options.skip)) body();
+      return undefined;
+    };
+  }
+  if (name === "node:test") globals.default = globals.test;
+  return { calls, globals };
+}
+
+// ES modules and TypeScript-free syntax the stand-ins can run
+function toCommonJS(code, filename) {
+  if (!/^\s*(?:import|export)\b/m.test(code)) return code;
+  return babel.transformSync(code, {
+    filename,
+    babelrc: false,
+    configFile: false,
+    presets: [["@babel/preset-env", { targets: { node: "current" }, modules: "commonjs" }]],
+  }).code;
+}
+
+/**
+ * Run transformed code against the stand-in of `framework` (its functions as
+ * globals and as the modules they come from) → the recorded calls. A stand-in
+ * from createFramework() can be passed in to look at more than the calls.
+ */
+function runTests(code, filename, framework = "jest", standIn = createFramework(framework)) {
+  const { calls, globals } = standIn;
+  const requireFrom = Module.createRequire(filename);
+  const stubs = new Map(Object.entries(MODULES).filter(([, name]) => name === framework));
+  // as ES modules, so a default import gets `default`
+  const requireStub = (id) => (stubs.has(id) ? { __esModule: true, ...globals } : requireFrom(id));
+  const names = Object.keys(globals).filter((key) => key !== "default");
+  const mod = { exports: {} };
+  // an inner scope, where the file may declare the framework's names itself
+  const body = `(function () {\n${toCommonJS(code, filename)}\n})();`;
+  const run = new Function("require", "module", "exports", ...names, body);
+  run(requireStub, mod, mod.exports, ...names.map((key) => globals[key]));
+  return calls;
+}
+
+/**
+ * Sanitize `code` with every backend and run each output against the stand-in
+ * of `framework` → the recorded calls, after checking that the backends agree.
+ * Options are the plugin's, on top of a fixed environment and no reports.
+ */
+function sanitizeAndRun(code, { filename = path.join(FIXTURES, "virtual.test.js"), framework = "jest", ...options } = {}) {
+  const pluginOptions = { ...QUIET, environment: ENVIRONMENT, ...options };
+  const results = {};
+  for (const [name, transform] of Object.entries(TRANSFORMS)) {
+    results[name] = runTests(transform(code, filename, pluginOptions), filename, framework);
+  }
+  assert.deepEqual(results.rewrite, results.babel, "the rewrite runs the same tests as the Babel plugin");
+  return results.babel;
+}
+
+// Run `fn` with console.warn collected → [fn's result, warnings]
+function captureWarnings(fn) {
+  const warnings = [];
+  const original = console.warn;
+  console.warn = (...args) => warnings.push(args.join(" "));
+  try {
+    return [fn(), warnings];
+  } finally {
+    console.warn = original;
+  }
+}
+
+/**
+ * A scratch project in a temporary directory with `files` (path → content) in
+ * it and this package installed: node_modules/js-sanitizer links to the
+ * checkout, and its dependencies are linked flat beside it. → the directory,
+ * which the caller removes.
+ */
+function createProject(files) {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-project-"));
+  const modules = path.join(project, "node_modules");
+  fs.mkdirSync(modules);
+  for (const name of fs.readdirSync(path.join(ROOT, "node_modules"))) {
+    if (!name.startsWith(".")) fs.symlinkSync(path.join(ROOT, "node_modules", name), path.join(modules, name), "dir");
+  }
+  fs.symlinkSync(ROOT, path.join(modules, "js-sanitizer"), "dir");
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(project, name)), { recursive: true });
+    fs.writeFileSync(path.join(project, name), content);
+  }
+  return project;
+}
+
+// Run setup.js for `project` the way npm runs it after an install
+function runSetup(project) {
+  const env = { ...process.env, INIT_CWD: project };
+  delete env.npm_config_local_prefix;
+  delete env.JS_SANITIZER_AUTO_INSTALL;
+  const options = { cwd: project, env, stdio: "pipe", timeout: 60000 };
+  cp.execFileSync(process.execPath, [path.join(ROOT, "setup.js")], options);
+}
+
+module.exports = {
+  ENVIRONMENT,
+  FIXTURES,
+  QUIET,
+  TRANSFORMS,
+  babelTransform,
+  captureWarnings,
+  createFramework,
+  createProject,
+  rewriteTransform,
+  runSetup,
+  runTests,
+  sanitizeAndRun,
+};
@@ -0,0 +1,201 @@
+// jest-transformer.test.js
+// The Jest transformer: what it hands the inner transformer, and its cache
+// key, which whatever changes a decision must change, or Jest serves the
+// decision an earlier run cached.
+
+const { describe, test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTransformer } = require("../jest-transformer.js");
+const { mergeRun } = require("../report.js");
+const { ENVIRONMENT, FIXTURES, QUIET } = require("./helpers.js");
+
+const FILE = path.join(FIXTURES, "virtual.test.js");
+const JEST_OPTIONS = { config: {}, configString: "{}", supportsStaticESM: false };
+const VARIABLES = ["CI", "SANITIZER_TEST_DB", "SANITIZER_TEST_OTHER", "JS_SANITIZER_PLATFORM"];
+
+const saved = Object.fromEntries(VARIABLES.map((name) => [name, process.env[name]]));
+afterEach(() => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+const create = (options = {}) =>
+  createTransformer({
+    ...QUIET,
+    environment: ENVIRONMENT,
+    ...options,
+    transformer: path.join(FIXTURES, "pass-through-transformer.js"),
+  });
+
+function createKey(options) {
+  const transformer = create(options);
+  return (code) => transformer.getCacheKey(code, FILE, JEST_OPTIONS);
+}
+
+// Key of `code` with `name` unset and set to `value`
+function keysAcross(code, name, value, options) {
+  const key = createKey(options);
+  delete process.env[name];
+  const before = key(code);
+  process.env[name] = value;
+  return [before, key(code)];
+}
+
+const testWith = (tag) => `/** ${tag} */\ntest("db", () => {});\n`;
+
+describe("jest-transformer output", () => {
+  test("marks the files the rewrite changed", () => {
+    const code = testWith("@skipOnOS linux");
+    const out = create().process(code, FILE, JEST_OPTIONS).code;
+    assert.notEqual(out, code);
+    assert.match(out, /\/\* js-sanitizer: rewritten \*\/$/);
+  });
+
+  test("hands unchanged files on as they are", () => {
+    const transformer = create();
+    for (const code of ['test("plain", () => {});\n', testWith("@skipOnOS win32")]) {
+      assert.equal(transformer.process(code, FILE, JEST_OPTIONS).code, code);
+    }
+  });
+});
+
+describe("jest-transformer report", () => {
+  test("is partial when Jest serves a file with tags from its cache", (t) => {
+    const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-partial-"));
+    t.after(() => fs.rmSync(reportDir, { recursive: true, force: true }));
+    const transformer = create({ report: "report.json", reportDir });
+    const cached = path.join(FIXTURES, "cached.test.js");
+    const code = testWith("@skipOnOS linux");
+    // Jest transforms FILE, and only asks for the key of the cached file
+    transformer.getCacheKey(code, FILE, JEST_OPTIONS);
+    transformer.process(code, FILE, JEST_OPTIONS);
+    transformer.getCacheKey(code, cached, JEST_OPTIONS);
+    const report = mergeRun({ reportDir });
+    assert.equal(report.partial, true);
+    assert.deepEqual(report.cachedFiles, [path.relative(process.cwd(), cached)]);
+    assert.equal(report.entries.length, 1);
+  });
+});
+
+describe("jest-transformer cache key", () => {
+  test("changes when a variable an @skipIfEnv tag reads changes", () => {
+    const [unset, set] = keysAcross(testWith("@skipIfEnv CI"), "CI", "1");
+    assert.notEqual(set, unset);
+  });
+
+  test("changes when a variable an @skipIf expression reads changes", () => {
+    const [unset, set] = keysAcross(testWith('@skipIf env.SANITIZER_TEST_DB == "off"'), "SANITIZER_TEST_DB", "off");
+    assert.notEqual(set, unset);
+  });
+
+  test("covers the variables of named conditions and predicate tags", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-key-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const configFile = path.join(dir, "js-sanitizer.config.js");
+    fs.writeFileSync(
+      configFile,
+      `module.exports = {
+        conditions: { noDatabase: 'env.SANITIZER_TEST_DB == "off"' },
+        tags: { skipWithoutOther: { shouldSkip: (value, env) => !env.env.SANITIZER_TEST_OTHER } },
+      };\n`,
+    );
+    const [unset, set] = keysAcross(testWith("@skipIf noDatabase"), "SANITIZER_TEST_DB", "off", { configFile });
+    assert.notEqual(set, unset);
+    // a predicate may read any variable
+    const [before, after] = keysAcross(testWith("@skipWithoutOther"), "SANITIZER_TEST_OTHER", "1", { configFile });
+    assert.notEqual(after, before);
+  });
+
+  test("ignores variables the file's tags don't read", () => {
+    const [unset, set] = keysAcross(testWith("@skipIfEnv CI"), "SANITIZER_TEST_OTHER", "1");
+    assert.equal(set, unset);
+    const [plainUnset, plainSet] = keysAcross('test("plain", () => {});\n', "CI", "1");
+    assert.equal(plainSet, plainUnset);
+  });
+
+  test("runtime mode doesn't depend on the variables", () => {
+    const [unset, set] = keysAcross(testWith("@skipIfEnv CI"), "CI", "1", { mode: "runtime" });
+    assert.equal(set, unset);
+  });
+});
+
+describe("jest-transformer inner transformer", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-inner-"));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // An inner transformer module with `source` as its body → its path
+  let count = 0;
+  function innerModule(source) {
+    const file = path.join(dir, `inner-${++count}.js`);
+    fs.writeFileSync(file, source);
+    return file;
+  }
+
+  const createWith = (transformer, options = {}) =>
+    createTransformer({ ...QUIET, environment: ENVIRONMENT, transformer, ...options });
+
+  test("is created with its own options, and gets them back with each file", () => {
+    const transformer = innerModule(`module.exports = {
+      createTransformer: (config) => ({
+        canInstrument: true,
+        process: (code, file, options) => ({ code: JSON.stringify([config, options.transformerConfig, code]) }),
+      }),
+    };\n`);
+    const jest = createWith(transformer, { transformerConfig: { isolatedModules: true } });
+    assert.equal(jest.canInstrument, true);
+    const [config, transformerConfig, code] = JSON.parse(jest.process(testWith("@skipOnOS linux"), FILE, JEST_OPTIONS).code);
+    assert.deepEqual(config, { isolatedModules: true });
+    assert.deepEqual(transformerConfig, { isolatedModules: true });
+    assert.match(code, /^\/\*\* @skipOnOS linux \*\/\ntest\.skip\("db"/);
+  });
+
+  test("an asynchronous one makes the wrapper asynchronous only", async () => {
+    const transformer = innerModule("module.exports = { processAsync: async (code) => ({ code: code.toUpperCase() }) };\n");
+    const jest = createWith(transformer);
+    assert.equal(jest.process, undefined);
+    const { code } = await jest.processAsync(testWith("@skipOnOS linux"), FILE, JEST_OPTIONS);
+    assert.match(code, /TEST\.SKIP\("DB"/);
+  });
+
+  test("gets the rewrite with every line where it was", () => {
+    const code = '/** @skipOnOS linux */\ntest.each([\n  /** @skipOnOS linux */\n  [1],\n  [2],\n])("row %i", () => {});\n';
+    const out = create({ mode: "runtime" }).process(code, FILE, { ...JEST_OPTIONS, supportsStaticESM: true }).code;
+    const lines = out.split("\n");
+    assert.match(lines[0], /^import \w+ from "js-sanitizer\/runtime";/);
+    assert.match(lines[1], /^\(\w+\.skip\(\{"skiponos":"linux"\}, .*\) \? test\.skip : test\)\.each\(\[$/);
+    assert.equal(lines[5], '])("row %i", () => {});');
+    assert.equal(lines.length, code.split("\n").length);
+  });
+
+  test("is named in the errors about it", () => {
+    const notATransformer = innerModule("module.exports = { compile() {} };\n");
+    assert.throws(
+      () => createWith("no-such-transformer"),
+      /Invalid jest-transformer options: cannot find transformer "no-such-transformer"/
+    );
+    assert.throws(() => createWith(notATransformer), /is not a Jest transformer \(no process or processAsync\)/);
+    assert.throws(() => createWith(""), /"transformer" must be a module name or path, got ""/);
+  });
+
+  test("its cache key goes into the wrapper's, with the environment and testEnvironment", () => {
+    const transformer = innerModule(`module.exports = {
+      process: (code) => ({ code }),
+      getCacheKey: (code, file, options) => options.transformerConfig.key,
+    };\n`);
+    const keyOf = (options, jestOptions = JEST_OPTIONS) =>
+      createWith(transformer, { transformerConfig: { key: "a" }, ...options }).getCacheKey("test();\n", FILE, jestOptions);
+    const key = keyOf();
+    assert.notEqual(keyOf({ transformerConfig: { key: "b" } }), key);
+    assert.notEqual(keyOf({}, { ...JEST_OPTIONS, config: { testEnvironment: "jsdom" } }), key);
+    process.env.JS_SANITIZER_PLATFORM = "win32";
+    assert.notEqual(keyOf(), key);
+  });
+});
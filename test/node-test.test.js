@@ -0,0 +1,115 @@
+// node-test.test.js
+// node:test: tags become the runner's skip option, and setup.js wires the
+// loader into `node --test` scripts.
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const cp = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { FIXTURES, createProject, runSetup, sanitizeAndRun } = require("./helpers.js");
+
+const run = (code) =>
+  sanitizeAndRun(code, { framework: "node:test", filename: path.join(FIXTURES, "virtual.test.mjs") });
+
+describe("node:test skip option", () => {
+  test("is added to the options of tests and suites", () => {
+    const code = `import { test, it, describe, suite } from "node:test";
+/** @skipOnOS linux */
+test("a", () => {});
+/** @skipOnOS linux */
+it("b", { skip: false, timeout: 5 }, () => {});
+/** @skipOnOS linux */
+describe("c", () => {});
+/** @skipOnOS linux */
+suite("d", () => {});
+`;
+    assert.deepEqual(run(code), [
+      'test("a", {"skip":"@skipOnOS linux"}, fn)',
+      'it("b", {"skip":"@skipOnOS linux","timeout":5}, fn)',
+      'describe("c", {"skip":"@skipOnOS linux"}, fn)',
+      'suite("d", {"skip":"@skipOnOS linux"}, fn)',
+    ]);
+  });
+
+  test("is merged into options the test passes by reference", () => {
+    const code = `import test from "node:test";
+const options = { timeout: 1 };
+/** @skipOnOS linux */
+test("a", options, () => {});
+/** @skipOnOS linux */
+test("b", { ...options }, () => {});
+`;
+    assert.deepEqual(run(code), [
+      'test("a", {"timeout":1,"skip":"@skipOnOS linux"}, fn)',
+      'test("b", {"timeout":1,"skip":"@skipOnOS linux"}, fn)',
+    ]);
+  });
+
+  test("follows the ways of importing node:test", () => {
+    for (const code of [
+      'import * as nodeTest from "node:test";\n/** @skipOnOS linux */\nnodeTest.test("a", () => {});\n',
+      'const { test } = require("node:test");\n/** @skipOnOS linux */\ntest("a", () => {});\n',
+      'import { test as check } from "node:test";\n/** @skipOnOS linux */\ncheck("a", () => {});\n',
+    ]) {
+      assert.deepEqual(run(code), ['test("a", {"skip":"@skipOnOS linux"}, fn)'], code);
+    }
+  });
+});
+
+describe("setup.js node:test wiring", () => {
+  let project;
+  before(() => {
+    const scripts = { test: "node --test", "test:watch": "node --watch --test test/" };
+    project = createProject({
+      "package.json": JSON.stringify({ name: "scratch", scripts, devDependencies: { "@babel/core": "*" } }),
+      "test/os.test.mjs": `import { test } from "node:test";
+
+/** @skipOnOS ${process.platform} */
+test("not here", () => {});
+
+test("here", () => {});
+`,
+    });
+    runSetup(project);
+  });
+  after(() => fs.rmSync(project, { recursive: true, force: true }));
+
+  test("adds the loader to the node --test scripts", () => {
+    const { scripts } = JSON.parse(fs.readFileSync(path.join(project, "package.json"), "utf8"));
+    assert.deepEqual(scripts, {
+      test: "node --import ./sanitizer.node-loader.mjs --test",
+      "test:watch": "node --import ./sanitizer.node-loader.mjs --watch --test test/",
+    });
+    assert.ok(fs.existsSync(path.join(project, "sanitizer.node-loader.mjs")));
+  });
+
+  test("the runner skips the tagged test with the tag as the reason", () => {
+    const args = ["--import", "./sanitizer.node-loader.mjs", "--test", "--test-reporter", "tap"];
+    // a runner of its own, not a subtest of this one
+    const env = { ...process.env };
+    delete env.NODE_TEST_CONTEXT;
+    const out = cp.execFileSync(process.execPath, args, { cwd: project, env, encoding: "utf8", timeout: 60000 });
+    assert.match(out, new RegExp(`^ok 1 - not here # SKIP @skipOnOS ${process.platform}$`, "m"));
+    assert.match(out, /^ok 2 - here$/m);
+  });
+
+  test("moves a project off the loader name earlier versions generated", (t) => {
+    const legacy = "sanitizer.node-test.mjs";
+    const scripts = { test: `node --import ./${legacy} --test` };
+    const old = createProject({
+      "package.json": JSON.stringify({ name: "scratch", scripts, devDependencies: { "@babel/core": "*" } }),
+      [legacy]: `// node --import ./${legacy} --test\nexport const data = { silent: true };\n`,
+    });
+    t.after(() => fs.rmSync(old, { recursive: true, force: true }));
+    runSetup(old);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(old, "package.json"), "utf8")).scripts, {
+      test: "node --import ./sanitizer.node-loader.mjs --test",
+    });
+    assert.equal(fs.existsSync(path.join(old, legacy)), false);
+    assert.equal(
+      fs.readFileSync(path.join(old, "sanitizer.node-loader.mjs"), "utf8"),
+      "// node --import ./sanitizer.node-loader.mjs --test\nexport const data = { silent: true };\n"
+    );
+  });
+});
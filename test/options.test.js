@@ -0,0 +1,75 @@
+// options.test.js
+// Plugin options: validation, and what reportDir, logFile, silent and tags do.
+
+const { describe, test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { OPTIONS_SCHEMA, validateOptions } = require("../options.js");
+const { FIXTURES, QUIET, ENVIRONMENT, babelTransform, captureWarnings, sanitizeAndRun } = require("./helpers.js");
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-options-"));
+after(() => fs.rmSync(tmpRoot, { recursive: true, force: true }));
+
+const FILE = path.join(FIXTURES, "virtual.test.js");
+const CODE = `
+/** @skipOnOS linux */
+test("os", () => {});
+
+/** @skipOnNodeVersion 20 */
+test("node", () => {});
+`;
+
+describe("validateOptions", () => {
+  test("fills in the defaults", () => {
+    const options = validateOptions(undefined);
+    for (const [key, spec] of Object.entries(OPTIONS_SCHEMA)) assert.equal(options[key], spec.default, key);
+  });
+
+  test("names the option at fault", () => {
+    assert.throws(() => validateOptions({ reportdir: "out" }), /unknown option "reportdir"\. Known options: reportDir/);
+    assert.throws(() => validateOptions({ silent: "yes" }), /"silent" must be a boolean, got string\./);
+    assert.throws(() => validateOptions({ logFile: true }), /"logFile" must be a non-empty string or false, got boolean\./);
+    assert.throws(() => validateOptions({ tags: [""] }), /"tags" must be an array of non-empty strings/);
+    assert.throws(() => validateOptions([]), /expected an object, got array\./);
+  });
+
+  test("normalizes tag names and rejects unknown ones", () => {
+    const knownTags = ["skipOnOS", "enabledOnOS"];
+    assert.deepEqual(validateOptions({ tags: ["@SkipOnOS", " enabledOnOS "] }, { knownTags }).tags, [
+      "skiponos",
+      "enabledonos",
+    ]);
+    assert.throws(
+      () => validateOptions({ tags: ["skipOnOs2"] }, { knownTags }),
+      /"tags" contains unknown tag "skipOnOs2"\. Known tags: skipOnOS, enabledOnOS\./
+    );
+  });
+});
+
+describe("plugin options", () => {
+  test("tags limits the tags that are evaluated", () => {
+    assert.deepEqual(sanitizeAndRun(CODE), ['test.skip("os", fn)', 'test.skip("node", fn)']);
+    assert.deepEqual(sanitizeAndRun(CODE, { tags: ["skipOnNodeVersion"] }), ['test("os", fn)', 'test.skip("node", fn)']);
+  });
+
+  test("logFile goes under reportDir, and silent keeps the console quiet", () => {
+    const reportDir = path.join(tmpRoot, "logs");
+    const options = { ...QUIET, environment: ENVIRONMENT, reportDir, logFile: "skips.log" };
+    const [, quiet] = captureWarnings(() => babelTransform(CODE, FILE, options));
+    assert.deepEqual(quiet, []);
+    const log = fs.readFileSync(path.join(reportDir, "skips.log"), "utf8");
+    assert.match(log, /^\[\S+\] \[SKIPPING\] test\("os"\) in \S+virtual\.test\.js due to @skipOnOS linux/m);
+
+    const [, loud] = captureWarnings(() => babelTransform(CODE, FILE, { ...options, silent: false }));
+    assert.equal(loud.length, 2);
+    assert.match(loud[0], /\[SKIPPING\] test\("os"\)/);
+  });
+
+  test("logFile: false writes no log", () => {
+    const reportDir = path.join(tmpRoot, "no-log");
+    babelTransform(CODE, FILE, { ...QUIET, environment: ENVIRONMENT, reportDir });
+    assert.equal(fs.existsSync(reportDir), false);
+  });
+});
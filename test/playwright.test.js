@@ -0,0 +1,102 @@
+// playwright.test.js
+// Playwright Test: browser tags become per-project guards, every other tag is
+// decided when the file is compiled.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS, createFramework, runTests, sanitizeAndRun } = require("./helpers.js");
+
+const FILE = path.join(FIXTURES, "virtual.spec.js");
+
+const CODE = `const { test } = require("@playwright/test");
+
+/** @skipOnBrowser webkit */
+test("drag and drop", async () => {});
+
+/** @failsOnBrowser firefox */
+test("clipboard", async () => {});
+
+/** @enabledOnBrowser chrome<120 */
+test("old chrome", async () => {});
+
+/** @skipOnOS linux */
+test.describe("not on linux", () => {});
+
+/** @failsOnOS linux */
+test("broken on linux", async () => {});
+`;
+
+// Run a backend's output against the Playwright stand-in, with the guards'
+// conditions evaluated for each project → [reason, [chromium, firefox, webkit]]
+function guardsOf(code) {
+  const standIn = createFramework("playwright");
+  const guards = [];
+  const { test: pwTest } = standIn.globals;
+  for (const method of ["skip", "fail"]) {
+    const record = pwTest[method];
+    pwTest[method] = (...args) => {
+      if (typeof args[0] === "function") guards.push([args[1], args[0]]);
+      return record(...args);
+    };
+  }
+  runTests(code, FILE, "playwright", standIn);
+  const projects = [
+    { browserName: "chromium", browser: { version: () => "119.0.6045.9" } },
+    { browserName: "firefox", browser: { version: () => "121.0" } },
+    { browserName: "webkit", browser: { version: () => "17.4" } },
+  ];
+  return guards.map(([reason, condition]) => [reason, projects.map((project) => condition(project))]);
+}
+
+describe("Playwright Test", () => {
+  test("browser tags become guards in an anonymous describe", () => {
+    assert.deepEqual(sanitizeAndRun(CODE, { framework: "playwright", filename: FILE }), [
+      "test.describe(fn)",
+      'test.skip(fn, "@skipOnBrowser webkit")',
+      'test("drag and drop", fn)',
+      "test.describe(fn)",
+      'test.fail(fn, "@failsOnBrowser firefox")',
+      'test("clipboard", fn)',
+      "test.describe(fn)",
+      'test.skip(fn, "@enabledOnBrowser chrome<120")',
+      'test("old chrome", fn)',
+      'test.describe.skip("not on linux", fn)',
+      'test.fail("broken on linux", fn)',
+    ]);
+  });
+
+  test("the guards hold in the projects the tags name", () => {
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      const out = transform(CODE, FILE, { ...QUIET, environment: ENVIRONMENT });
+      assert.deepEqual(
+        guardsOf(out),
+        [
+          ["@skipOnBrowser webkit", [false, false, true]],
+          ["@failsOnBrowser firefox", [false, true, false]],
+          // chrome stands for chromium, whose version the browser fixture gives
+          ["@enabledOnBrowser chrome<120", [false, true, true]],
+        ],
+        name
+      );
+    }
+  });
+
+  test("a file-level browser tag becomes one guard for the file", () => {
+    const code = `/** @skipOnBrowser safari */
+
+const { test } = require("@playwright/test");
+test("a", async () => {});
+test("b", async () => {});
+`;
+    const out = TRANSFORMS.babel(code, FILE, { ...QUIET, environment: ENVIRONMENT });
+    assert.deepEqual(runTests(out, FILE, "playwright"), ['test.skip(fn, "@skipOnBrowser safari")', 'test("a", fn)', 'test("b", fn)']);
+    assert.deepEqual(guardsOf(out), [["@skipOnBrowser safari", [false, false, true]]]);
+  });
+
+  test("a simulated browser decides browser tags while compiling", () => {
+    const environment = { ...ENVIRONMENT, browser: "webkit" };
+    const calls = sanitizeAndRun(CODE, { framework: "playwright", filename: FILE, environment });
+    assert.deepEqual(calls.slice(0, 3), ['test.skip("drag and drop", fn)', 'test("clipboard", fn)', 'test.skip("old chrome", fn)']);
+  });
+});
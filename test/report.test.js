@@ -0,0 +1,144 @@
+// report.test.js
+// Report shards: what one run merges, and what it leaves out.
+
+const { describe, test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createReportWriter, mergeRun, resolveRunId, toJUnit } = require("../report.js");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS } = require("./helpers.js");
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-report-"));
+after(() => fs.rmSync(tmpRoot, { recursive: true, force: true }));
+
+const ENTRY = { file: "a.test.js", line: 1, column: 1, test: "t", callee: "test", outcome: "skipped" };
+
+let reportDir;
+let count = 0;
+beforeEach(() => {
+  reportDir = path.join(tmpRoot, String(++count));
+});
+
+const environment = { ...ENVIRONMENT, simulated: {} };
+const createWriter = () => createReportWriter({ reportDir, report: "report.json", junit: false, environment });
+const runDir = (runId = resolveRunId()) => path.join(reportDir, ".sanitizer-runs", runId);
+
+// A shard another process left in this run's directory
+function writeShard(pid, header, lines) {
+  fs.mkdirSync(runDir(), { recursive: true });
+  const content = [{ pid, startedAt: "2020-01-01T00:00:00.000Z", report: null, ...header }, ...lines];
+  fs.writeFileSync(path.join(runDir(), `${pid}.jsonl`), content.map((line) => JSON.stringify(line) + "\n").join(""));
+}
+
+describe("report shards", () => {
+  test("a process starts over the shard an earlier process with its pid left", () => {
+    writeShard(process.pid, {}, [{ ...ENTRY, test: "old" }]);
+    createWriter().add(ENTRY);
+    assert.deepEqual(mergeRun({ reportDir }).entries.map((entry) => entry.test), ["t"]);
+  });
+
+  test("writers of one process share its shard", () => {
+    createWriter().add(ENTRY);
+    createWriter().add({ ...ENTRY, test: "u" });
+    assert.deepEqual(mergeRun({ reportDir }).entries.map((entry) => entry.test), ["t", "u"]);
+  });
+
+  test("shards of an earlier owner of the run id are left out", { skip: process.platform !== "linux" }, () => {
+    writeShard(process.pid + 1, { owner: `${process.pid}@0` }, [{ ...ENTRY, test: "old" }]);
+    assert.equal(mergeRun({ reportDir }), null);
+    createWriter().add(ENTRY);
+    assert.deepEqual(mergeRun({ reportDir }).entries.map((entry) => entry.test), ["t"]);
+    assert.deepEqual(fs.readdirSync(runDir()), [`${process.pid}.jsonl`]);
+  });
+
+  test("a run without entries still replaces the report", () => {
+    fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(path.join(reportDir, "report.json"), JSON.stringify({ entries: [ENTRY] }));
+    createWriter().addFile("a.test.js", "transformed");
+    mergeRun({ reportDir });
+    const report = JSON.parse(fs.readFileSync(path.join(reportDir, "report.json"), "utf8"));
+    assert.deepEqual(report.entries, []);
+    assert.equal(report.partial, false);
+  });
+
+  test("files looked up but never transformed make the report partial", () => {
+    const writer = createWriter();
+    writer.addFile("a.test.js", "lookup");
+    writer.addFile("b.test.js", "lookup");
+    writer.addFile("a.test.js", "transformed");
+    writer.add(ENTRY);
+    const report = mergeRun({ reportDir });
+    assert.equal(report.partial, true);
+    assert.deepEqual(report.cachedFiles, ["b.test.js"]);
+    assert.equal(report.entries.length, 1);
+  });
+});
+
+describe("structured report", () => {
+  const CODE = `
+/** @skipOnOS linux */
+it.only("reads symlinks", () => {});
+
+/** @failsOnOS linux */
+test("keeps file modes", () => {});
+`;
+  const SIMULATED = { platform: "linux", node: "20.11.1", arch: "x64" };
+
+  for (const [name, transform] of Object.entries(TRANSFORMS)) {
+    test(`${name}: one entry per decision, written as JSON and JUnit XML`, () => {
+      const options = { ...QUIET, environment: ENVIRONMENT, reportDir, report: "report.json", junit: "junit.xml" };
+      transform(CODE, path.join(FIXTURES, "virtual.test.js"), options);
+      const report = mergeRun({ reportDir });
+      const file = path.relative(process.cwd(), path.join(FIXTURES, "virtual.test.js"));
+      const environment = { ...SIMULATED, browser: null, simulated: SIMULATED };
+      assert.deepEqual(report.entries[0], {
+        file,
+        line: 3,
+        column: 1,
+        test: "reads symlinks",
+        callee: "it.only",
+        kind: "test",
+        scope: "test",
+        row: null,
+        outcome: "skipped",
+        tag: "skipOnOS",
+        value: "linux",
+        reason: "@skipOnOS linux",
+        environment,
+      });
+      assert.equal(report.entries[1].outcome, "expected-failure");
+      assert.deepEqual(report.summary, { skipped: 1, expectedFailures: 1 });
+      assert.deepEqual(JSON.parse(fs.readFileSync(path.join(reportDir, "report.json"), "utf8")).entries, report.entries);
+      assert.equal(fs.readFileSync(path.join(reportDir, "junit.xml"), "utf8"), toJUnit(report));
+    });
+  }
+
+  test("JUnit XML lists the skipped entries with their reason", () => {
+    const entry = (test, outcome, extra) => ({ ...ENTRY, test, outcome, reason: "@skipOnOS linux", ...extra });
+    const report = {
+      environment: { simulated: { platform: "linux" } },
+      entries: [entry("a & b", "skipped"), entry("row", "skipped", { row: 2 }), entry("fails", "expected-failure")],
+    };
+    assert.equal(
+      toJUnit(report),
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="js-sanitizer" tests="2" skipped="2" failures="0" errors="0">',
+        '  <testsuite name="a.test.js" tests="2" skipped="2" failures="0" errors="0">',
+        "    <properties>",
+        '      <property name="js-sanitizer.simulated.platform" value="linux"/>',
+        "    </properties>",
+        '    <testcase classname="a.test.js" name="a &amp; b" file="a.test.js" line="1">',
+        '      <skipped message="@skipOnOS linux"/>',
+        "    </testcase>",
+        '    <testcase classname="a.test.js" name="row [row #2]" file="a.test.js" line="1">',
+        '      <skipped message="@skipOnOS linux"/>',
+        "    </testcase>",
+        "  </testsuite>",
+        "</testsuites>",
+        "",
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,96 @@
+// runtime.test.js
+// mode: "runtime": the guards the backends emit, decided by runtime.js in the
+// process that runs them.
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const babel = require("@babel/core");
+const sanitizer = require("../sanitizer.js");
+const { FIXTURES, QUIET, TRANSFORMS, runTests, sanitizeAndRun } = require("./helpers.js");
+
+const VARIABLES = ["SANITIZER_TEST_RUNTIME", "JS_SANITIZER_OS"];
+const saved = Object.fromEntries(VARIABLES.map((name) => [name, process.env[name]]));
+afterEach(() => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+const CODE = `
+/** @skipOnOS win32 */
+test("not on windows", () => {});
+
+test.each([
+  /** @skipOnOS linux */
+  [1],
+  [2],
+])("row %i", () => {});
+`;
+
+describe("runtime mode", () => {
+  test("emits guards that each process decides for itself", () => {
+    const filename = path.join(FIXTURES, "virtual.test.js");
+    const code = '/** @skipIfEnv SANITIZER_TEST_RUNTIME */\ntest("a", () => {});\n';
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      const out = transform(code, filename, { ...QUIET, mode: "runtime" });
+      assert.match(out, /js-sanitizer\/runtime/, name);
+      delete process.env.SANITIZER_TEST_RUNTIME;
+      assert.deepEqual(runTests(out, filename), ['test("a", fn)'], name);
+      // the same output, run where the variable is set
+      process.env.SANITIZER_TEST_RUNTIME = "1";
+      assert.deepEqual(runTests(out, filename), ['test.skip("a", fn)'], name);
+    }
+  });
+
+  // helpers.js simulates linux unless a test says otherwise
+  test("decides with the environment option", () => {
+    assert.deepEqual(sanitizeAndRun(CODE, { mode: "runtime" }), [
+      'test("not on windows", fn)',
+      'test.each([[2]])("row %i", fn)',
+    ]);
+    assert.deepEqual(sanitizeAndRun(CODE, { mode: "runtime", environment: { os: "win32" } }), [
+      'test.skip("not on windows", fn)',
+      'test.each([[1],[2]])("row %i", fn)',
+    ]);
+  });
+
+  test("reads the config file option", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-runtime-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const configFile = path.join(dir, "sanitizer.config.js");
+    fs.writeFileSync(configFile, `module.exports = { tags: { skipOnWindows: { skipIf: 'os == "win32"' } } };\n`);
+    const code = '/** @skipOnWindows */\ntest("custom tag", () => {});\n';
+    const calls = sanitizeAndRun(code, { mode: "runtime", environment: { os: "win32" }, configFile });
+    assert.deepEqual(calls, ['test.skip("custom tag", fn)']);
+  });
+});
+
+describe("Babel cache key", () => {
+  // The key the plugin registers with api.cache.using, from a stand-in api
+  function registeredKey(options) {
+    const keys = [];
+    sanitizer({ ...babel, cache: { using: (fn) => keys.push(fn) } }, { ...QUIET, ...options });
+    assert.equal(keys.length, 1);
+    return keys[0];
+  }
+
+  test("changes with the environment in compile mode", () => {
+    const key = registeredKey();
+    delete process.env.JS_SANITIZER_OS;
+    const before = key();
+    process.env.JS_SANITIZER_OS = "win32";
+    assert.notEqual(key(), before);
+  });
+
+  test("doesn't depend on the environment in runtime mode", () => {
+    const key = registeredKey({ mode: "runtime" });
+    delete process.env.JS_SANITIZER_OS;
+    const before = key();
+    process.env.JS_SANITIZER_OS = "win32";
+    assert.equal(key(), before);
+  });
+});
@@ -0,0 +1,64 @@
+// scope.test.js
+// Which calls are test calls: globals and imports from the framework modules
+// under their local names, but not local bindings that shadow them.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS, sanitizeAndRun } = require("./helpers.js");
+
+const FILE = path.join(FIXTURES, "virtual.test.mjs");
+const run = (code, framework) => sanitizeAndRun(code, { framework, filename: FILE });
+
+// Output of every backend
+const outputs = (code) =>
+  Object.values(TRANSFORMS).map((transform) => transform(code, FILE, { ...QUIET, environment: ENVIRONMENT }));
+
+describe("framework imports", () => {
+  test("are test callees under their local names", () => {
+    const fromVitest = 'import { it as spec } from "vitest";\n/** @skipOnOS linux */\nspec("a", () => {});\n';
+    assert.deepEqual(run(fromVitest, "vitest"), ['it.skip("a", fn)']);
+    const fromJest = `import { test as base } from "@jest/globals";
+/** @skipOnOS linux */
+base("a", () => {});
+/** @skipOnOS linux */
+base.only("b", () => {});
+`;
+    assert.deepEqual(run(fromJest, "jest"), ['test.skip("a", fn)', 'test.skip("b", fn)']);
+  });
+
+  test("namespace imports and require() count too", () => {
+    const namespace = 'import * as vi from "vitest";\n/** @skipOnOS linux */\nvi.test("a", () => {});\n';
+    assert.deepEqual(run(namespace, "vitest"), ['test.skip("a", fn)']);
+    const required = 'const { test: check } = require("@jest/globals");\n/** @skipOnOS linux */\ncheck("a", () => {});\n';
+    assert.deepEqual(run(required, "jest"), ['test.skip("a", fn)']);
+  });
+
+  test("names imported from other modules are left alone", () => {
+    const code = 'import { test } from "./my-helpers.js";\n/** @skipOnOS linux */\ntest("a", () => {});\n';
+    for (const out of outputs(code)) assert.doesNotMatch(out, /test\.skip/);
+  });
+});
+
+describe("local bindings", () => {
+  test("that shadow a test global are left alone", () => {
+    const code = `function helper() {
+  const test = (name) => name;
+  /** @skipOnOS linux */
+  test("local", () => {});
+}
+
+/** @skipOnOS linux */
+test("global", () => {});
+`;
+    for (const out of outputs(code)) {
+      assert.match(out, /\n {2}test\("local"/);
+      assert.match(out, /\ntest\.skip\("global"/);
+    }
+  });
+
+  test("parameters named like a test function are left alone", () => {
+    const code = 'function f(it) {\n  /** @skipOnOS linux */\n  it("param", () => {});\n}\nf(test);\n';
+    assert.deepEqual(run(code, "jest"), ['test("param", fn)']);
+  });
+});
@@ -0,0 +1,71 @@
+// setup.test.js
+// The require hook and ESM loader setup.js generates for Mocha, run in a
+// scratch project that links this package and its Babel.
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const cp = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { createProject, runSetup } = require("./helpers.js");
+
+// Skipped on this machine's OS unless the plugin options simulate another one
+const TEST_FILE = `/** @skipOnOS ${process.platform} */
+it("not here", () => {});
+`;
+const OTHER_OS = {
+  silent: true,
+  report: false,
+  logFile: false,
+  environment: { os: process.platform === "win32" ? "linux" : "win32" },
+};
+
+let project;
+
+before(() => {
+  const devDependencies = { mocha: "*", "@babel/core": "*", "@babel/preset-env": "*", "jest-docblock": "*" };
+  project = createProject({
+    "package.json": JSON.stringify({ name: "scratch", scripts: { test: "mocha" }, devDependencies }),
+    "test/os.test.js": TEST_FILE,
+    // a .jsx file, which the ESM loader always compiles
+    "test/os.test.jsx": TEST_FILE,
+  });
+  runSetup(project);
+});
+
+after(() => fs.rmSync(project, { recursive: true, force: true }));
+
+// Load test/os.test.js (require) or .jsx (import) through the generated hooks
+// with a recording `it` → the calls it made
+function runHooked(ext) {
+  const script = `
+    global.it = (name) => console.log("it " + name);
+    global.it.skip = (name) => console.log("it.skip " + name);
+    require("./babel.register.cjs");
+    ${ext === "jsx" ? 'import("./test/os.test.jsx");' : 'require("./test/os.test.js");'}
+  `;
+  // as installed: the hook ignores node_modules/js-sanitizer, not the linked checkout
+  const args = ["--preserve-symlinks", "-e", script];
+  const out = cp.execFileSync(process.execPath, args, { cwd: project, encoding: "utf8", stdio: "pipe", timeout: 60000 });
+  return out.split("\n").filter((line) => line.startsWith("it"));
+}
+
+function writeBabelrc(plugins) {
+  fs.writeFileSync(path.join(project, ".babelrc.json"), JSON.stringify({ plugins }));
+}
+
+for (const ext of ["js", "jsx"]) {
+  const hook = ext === "js" ? "require hook" : "ESM loader";
+
+  describe(`setup.js ${hook}`, () => {
+    test("keeps the options the Babel config gives the plugin", () => {
+      writeBabelrc([["module:js-sanitizer", OTHER_OS]]);
+      assert.deepEqual(runHooked(ext), ["it not here"]);
+    });
+
+    test("adds the plugin when the Babel config doesn't list it", () => {
+      writeBabelrc([]);
+      assert.deepEqual(runHooked(ext), ["it.skip not here"]);
+    });
+  });
+}
@@ -0,0 +1,159 @@
+// summary.test.js
+// The end-of-run summary the reporters print.
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JestReporter = require("../jest-reporter.js");
+const MochaReporter = require("../mocha-reporter.js");
+const VitestReporter = require("../vitest-reporter.js");
+const { formatSummary, summarize } = require("../summary.js");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS } = require("./helpers.js");
+
+const ENTRY = {
+  file: "a.test.js",
+  line: 3,
+  test: "reads symlinks",
+  callee: "it",
+  scope: "test",
+  outcome: "skipped",
+  tag: "skipOnOS",
+  reason: "@skipOnOS linux",
+};
+const report = (fields) => ({
+  runId: "run-1",
+  environment: { platform: "linux", node: "20.11.1", arch: "x64", simulated: {} },
+  entries: [ENTRY],
+  ...fields,
+});
+
+describe("formatSummary", () => {
+  test("says which part of the run came from the transform cache", () => {
+    const text = formatSummary(report({ partial: true, cachedFiles: ["b.test.js", "c.test.js"] }), { runId: "run-1" });
+    const [counts, partial, hint] = text.split("\n");
+    assert.equal(counts, "[js-sanitizer] 1 test skipped, 0 expected failures (linux / node 20.11.1 / x64)");
+    assert.match(partial, /Partial: 2 files came from the transform cache/);
+    assert.match(hint, /jest --no-cache/);
+  });
+
+  test("a complete report has no such note", () => {
+    const text = formatSummary(report({ partial: false, cachedFiles: [] }), { runId: "run-1" });
+    assert.doesNotMatch(text, /Partial/);
+  });
+});
+
+describe("formatSummary counts and tests", () => {
+  const entries = [
+    ENTRY,
+    { ...ENTRY, file: "b.test.js", line: 1, test: "row %i", callee: "test.each", scope: "row", row: 2 },
+    { ...ENTRY, line: 9, test: "suite", callee: "describe", scope: "file", tag: "skipIfEnv", reason: "@skipIfEnv CI" },
+    { ...ENTRY, line: 12, test: "fails", outcome: "expected-failure", tag: "failsOnOS", reason: "@failsOnOS linux" },
+  ];
+
+  test("groups by tag and reason, lists the tests and links the report", () => {
+    const reportPath = path.join(process.cwd(), "reports", "sanitizer-report.json");
+    const text = formatSummary(report({ entries }), { runId: "run-1", reportPath, maxTests: 3 });
+    assert.equal(
+      text,
+      [
+        "[js-sanitizer] 3 tests skipped, 1 expected failure (linux / node 20.11.1 / x64)",
+        "",
+        "By tag:",
+        "  @skipOnOS   2",
+        "  @failsOnOS  1",
+        "  @skipIfEnv  1",
+        "",
+        "By reason:",
+        "  @skipOnOS linux   2",
+        "  @failsOnOS linux  1",
+        "  @skipIfEnv CI     1",
+        "",
+        "Tests:",
+        '  skipped  a.test.js:3  it("reads symlinks")            @skipOnOS linux',
+        '  skipped  b.test.js:1  test.each("row %i") [row #2]    @skipOnOS linux',
+        '  skipped  a.test.js:9  describe("suite") [whole file]  @skipIfEnv CI',
+        "  ... and 1 more",
+        "",
+        `Report: ${path.join("reports", "sanitizer-report.json")}`,
+      ].join("\n")
+    );
+  });
+
+  test("labels the report of an earlier run", () => {
+    const [first, second] = formatSummary(report({ updatedAt: "2025-01-01T00:00:00.000Z" }), { runId: "run-2" }).split("\n");
+    assert.match(first, /^\[js-sanitizer\] No skips recorded in this run/);
+    assert.equal(second, "  Earlier run run-1 (2025-01-01T00:00:00.000Z): 1 test skipped, 0 expected failures (linux / node 20.11.1 / x64)");
+  });
+
+  test("says so when there is no report", () => {
+    assert.match(formatSummary(null), /^\[js-sanitizer\] No tests were skipped by environment tags in this run\./);
+  });
+});
+
+describe("reporters", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-sanitizer-summary-"));
+    // the run the reporters summarize: one skipped test
+    const code = '/** @skipOnOS linux */\ntest("not here", () => {});\n';
+    const options = { ...QUIET, environment: ENVIRONMENT, reportDir: dir, report: "sanitizer-report.json" };
+    TRANSFORMS.babel(code, path.join(FIXTURES, "virtual.test.js"), options);
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // What `fn` writes to `stream` → the text
+  function capture(stream, fn) {
+    const chunks = [];
+    const original = stream.write;
+    stream.write = (chunk) => chunks.push(String(chunk));
+    try {
+      fn();
+    } finally {
+      stream.write = original;
+    }
+    return chunks.join("");
+  }
+
+  test("summarize reads the run's report", () => {
+    const text = summarize({ reportDir: dir });
+    assert.match(text, /^\[js-sanitizer\] 1 test skipped, 0 expected failures \(linux \/ node 20\.11\.1 \/ x64 \[simulated: /);
+    assert.match(text, /skipped {2}test\/fixtures\/virtual\.test\.js:2 {2}test\("not here"\) {2}@skipOnOS linux/);
+  });
+
+  test("Jest prints it to stderr when the run completes", () => {
+    const reporter = new JestReporter({}, { reportDir: dir });
+    assert.equal(capture(process.stderr, () => reporter.onRunComplete()), `\n${summarize({ reportDir: dir })}\n`);
+    assert.equal(reporter.getLastError(), undefined);
+  });
+
+  test("Vitest prints it through its logger", () => {
+    const logged = [];
+    const reporter = new VitestReporter({ reportDir: dir });
+    reporter.onInit({ logger: { log: (text) => logged.push(text) } });
+    reporter.onFinished();
+    assert.deepEqual(logged, [`\n${summarize({ reportDir: dir })}\n`]);
+  });
+
+  test("Mocha prints it after its base reporter", (t) => {
+    // a project whose Mocha has one reporter, which records its runner
+    const project = fs.mkdtempSync(path.join(dir, "project-"));
+    fs.mkdirSync(path.join(project, "node_modules", "mocha"), { recursive: true });
+    fs.writeFileSync(
+      path.join(project, "node_modules", "mocha", "index.js"),
+      "function Dot(runner) { runner.on('end', () => process.stdout.write('dot done\\n')); }\n" +
+        "module.exports = { reporters: { Dot }, Runner: { constants: { EVENT_RUN_END: 'end' } } };\n"
+    );
+    const cwd = process.cwd();
+    process.chdir(project);
+    t.after(() => process.chdir(cwd));
+
+    const runner = new EventEmitter();
+    const reporter = MochaReporter(runner, { reporterOption: { base: "dot", reportDir: dir, maxTests: "1" } });
+    assert.equal(reporter.constructor.name, "Dot");
+    const out = capture(process.stdout, () => runner.emit("end"));
+    assert.equal(out, `dot done\n\n${summarize({ reportDir: dir, maxTests: 1 })}\n`);
+  });
+});
@@ -0,0 +1,67 @@
+// swc.test.js
+// js-sanitizer/swc: the rewrite in front of @swc/core, here a stand-in that
+// records what it is asked to compile.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const jsSanitizerSwc = require("../swc.js");
+const { QUIET } = require("./helpers.js");
+
+const CODE = '/** @skipOnOS linux */\ntest("a", () => {});\n';
+const FILE = "/project/a.test.js";
+
+// The entry point over a @swc/core stand-in → [entry point, calls]
+function createSwc(options = {}) {
+  const calls = [];
+  const swc = {
+    transformSync: (code, swcOptions) => (calls.push(["sync", code, swcOptions]), { code }),
+    transform: async (code, swcOptions) => (calls.push(["async", code, swcOptions]), { code }),
+  };
+  return [jsSanitizerSwc({ ...QUIET, environment: { os: "linux" }, swc, ...options }), calls];
+}
+
+describe("js-sanitizer/swc", () => {
+  test("hands SWC the rewritten source, synchronously or not", async () => {
+    const [swc, calls] = createSwc();
+    const expected = 'test.skip("a", () => {});';
+    assert.ok(swc.transformSync(CODE, { filename: FILE }).code.includes(expected));
+    await swc.transform(CODE, { filename: FILE });
+    assert.deepEqual(
+      calls.map(([kind, code, options]) => [kind, code.includes(expected), options]),
+      [
+        ["sync", true, { filename: FILE }],
+        ["async", true, { filename: FILE }],
+      ]
+    );
+  });
+
+  test("passes the rewrite's source map on as SWC's input map", () => {
+    const [swc, calls] = createSwc();
+    swc.transformSync(CODE, { filename: FILE, sourceMaps: true });
+    const map = JSON.parse(calls[0][2].inputSourceMap);
+    assert.deepEqual(map.sourcesContent, [CODE]);
+    // the caller's own input map wins
+    swc.transformSync(CODE, { filename: FILE, sourceMaps: true, inputSourceMap: "{}" });
+    assert.equal(calls[1][2].inputSourceMap, "{}");
+  });
+
+  test("hands untagged files on as they are", () => {
+    const [swc, calls] = createSwc();
+    const code = 'test("plain", () => {});\n';
+    const options = { filename: FILE, sourceMaps: true };
+    swc.transformSync(code, options);
+    assert.deepEqual(calls, [["sync", code, options]]);
+  });
+
+  test("needs the file name", () => {
+    const [swc] = createSwc();
+    assert.throws(() => swc.transformSync(CODE, {}), /The SWC entry point needs options\.filename/);
+  });
+
+  test("its cache key follows the environment like the plugin's", () => {
+    const [swc] = createSwc();
+    const [runtime] = createSwc({ mode: "runtime" });
+    assert.equal(typeof swc.cacheKey(), "string");
+    assert.notEqual(swc.cacheKey(), runtime.cacheKey());
+  });
+});
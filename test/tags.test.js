@@ -0,0 +1,160 @@
+// tags.test.js
+// Tag handlers: which values skip in which environment, and which values
+// validation rejects.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectEnvironment, simulateEnvironment } = require("../environment.js");
+const { createTagHandlers, parseMemory, suggestTag } = require("../tags.js");
+const { ENVIRONMENT } = require("./helpers.js");
+
+// Handler of `tag` in the test environment with `overrides` simulated on top
+function handler(tag, overrides = {}, extra = {}) {
+  const environment = { ...simulateEnvironment({ ...ENVIRONMENT, ...overrides }, detectEnvironment()), ...extra };
+  return createTagHandlers(environment).find((h) => h.tag === tag);
+}
+
+// value → whether `tag` skips on each of `nodes`
+const skipsOn = (tag, value, nodes) => nodes.map((node) => handler(tag, { node }).shouldSkip(value, {}));
+
+describe("Node version tags", () => {
+  test("take versions, partial versions and semver ranges", () => {
+    const nodes = ["18.19.0", "20.11.1", "22.0.0"];
+    assert.deepEqual(skipsOn("skipOnNodeVersion", "20", nodes), [false, true, false]);
+    assert.deepEqual(skipsOn("skipOnNodeVersion", "18, 22.0.0", nodes), [true, false, true]);
+    assert.deepEqual(skipsOn("skipOnNodeVersion", "^20.11 || >=22", nodes), [false, true, true]);
+    assert.deepEqual(skipsOn("enabledOnNodeVersion", "20.11.1", nodes), [true, false, true]);
+  });
+
+  test("ranges take semver syntax and the legacy min=/max= form", () => {
+    const nodes = ["16.20.2", "18.17.0", "20.0.0", "21.0.0"];
+    assert.deepEqual(skipsOn("skipForNodeRange", ">=18.17.0 <21", nodes), [false, true, true, false]);
+    assert.deepEqual(skipsOn("skipForNodeRange", "16 - 18", nodes), [true, true, false, false]);
+    assert.deepEqual(skipsOn("skipForNodeRange", "min=16,max=18", nodes), [true, true, false, false]);
+    assert.deepEqual(skipsOn("enabledForNodeRange", "^20 || ^22", ["20.1.0", "21.0.0"]), [false, true]);
+  });
+
+  test("validation names malformed versions and inverted ranges", () => {
+    const validate = (tag, value) => handler(tag).validate(value);
+    assert.equal(validate("skipOnNodeVersion", "18, 20.x"), null);
+    assert.match(validate("skipOnNodeVersion", "latest"), /"latest" is not a Node version or semver range/);
+    assert.equal(validate("skipForNodeRange", ">=18 <21"), null);
+    assert.match(validate("skipForNodeRange", ">=20 <18"), /matches no Node version/);
+    assert.match(validate("skipForNodeRange", "min=20,max=18"), /inverted range/);
+    assert.match(validate("skipForNodeRange", "min=sixteen"), /needs a numeric Node version/);
+  });
+});
+
+describe("environment-variable tags", () => {
+  const ENV = { CI: "true", EMPTY: "", NODE_ENV: "Production", LIST: "a,b" };
+  const skips = (tag, value) => handler(tag, {}, { env: ENV }).shouldSkip(value, {});
+
+  test("@skipIfEnv skips when any condition holds", () => {
+    assert.equal(skips("skipIfEnv", "CI"), true);
+    assert.equal(skips("skipIfEnv", "EMPTY"), false);
+    assert.equal(skips("skipIfEnv", "MISSING, CI=true"), true);
+    assert.equal(skips("skipIfEnv", "CI=TRUE"), false);
+    assert.equal(skips("skipIfEnv", "NODE_ENV=/prod/i"), true);
+    assert.equal(skips("skipIfEnv", "LIST=/^a,b$/"), true);
+  });
+
+  test("@enabledIfEnv skips unless every condition holds", () => {
+    assert.equal(skips("enabledIfEnv", "CI, NODE_ENV=Production"), false);
+    assert.equal(skips("enabledIfEnv", "CI, MISSING"), true);
+    assert.equal(skips("enabledIfEnv", "MISSING=/.*/"), true);
+  });
+
+  test("validation rejects empty lists, missing names and bad regexes", () => {
+    const validate = (value) => handler("skipIfEnv").validate(value);
+    assert.equal(validate("CI=true, NODE_ENV=/prod/i"), null);
+    assert.match(validate(""), /expects at least one condition/);
+    assert.match(validate("=1"), /missing variable name/);
+    assert.match(validate("NODE_ENV=/(/"), /invalid regular expression for NODE_ENV/);
+  });
+});
+
+describe("OS, distribution, WSL and container tags", () => {
+  const skips = (tag, value, overrides, extra) => handler(tag, overrides, extra).shouldSkip(value, {});
+
+  test("OS tags take aliases", () => {
+    assert.equal(skips("skipOnOS", "windows", { os: "win32" }), true);
+    assert.equal(skips("skipOnOS", "mac, osx", { os: "darwin" }), true);
+    assert.equal(skips("enabledOnOS", "macos", { os: "linux" }), true);
+    assert.equal(handler("skipOnOS").validate("windows, macos"), null);
+    assert.match(handler("skipOnOS").validate("win"), /unknown OS "win" \(did you mean "win32"\?\)/);
+  });
+
+  test("distribution tags match ID and ID_LIKE", () => {
+    const ubuntu = { distro: ["ubuntu", "debian"] };
+    assert.equal(skips("skipOnLinuxDistro", "debian", {}, ubuntu), true);
+    assert.equal(skips("skipOnLinuxDistro", "alpine, rhel", {}, ubuntu), false);
+    assert.equal(skips("enabledOnLinuxDistro", "alpine", {}, ubuntu), true);
+    assert.equal(skips("enabledOnLinuxDistro", "ubuntu", {}, ubuntu), false);
+  });
+
+  test("simulating another OS leaves the machine's Linux details behind", () => {
+    const linuxDetails = { distro: ["alpine"], wsl: true, container: "docker" };
+    const environment = simulateEnvironment({ os: "darwin" }, { ...detectEnvironment(), ...linuxDetails });
+    const [enabledOnDistro, onWSL, inContainer] = ["enabledOnLinuxDistro", "skipOnWSL", "skipInContainer"].map(
+      (tag) => createTagHandlers(environment).find((h) => h.tag === tag)
+    );
+    assert.equal(enabledOnDistro.shouldSkip("alpine", {}), true);
+    assert.equal(onWSL.shouldSkip("", {}), false);
+    assert.equal(inContainer.shouldSkip("", {}), false);
+  });
+
+  test("@skipOnWSL holds under WSL", () => {
+    assert.equal(skips("skipOnWSL", "", {}, { wsl: true }), true);
+    assert.equal(skips("skipOnWSL", "", {}, { wsl: false }), false);
+  });
+
+  test("@skipInContainer matches any container, or the engines listed", () => {
+    assert.equal(skips("skipInContainer", "", {}, { container: "podman" }), true);
+    assert.equal(skips("skipInContainer", "", {}, { container: null }), false);
+    assert.equal(skips("skipInContainer", "docker, kubernetes", {}, { container: "podman" }), false);
+    assert.equal(skips("skipInContainer", "docker, kubernetes", {}, { container: "docker" }), true);
+    assert.match(handler("skipInContainer").validate("vagrant"), /unknown container engine "vagrant"/);
+  });
+
+  test("a misspelt OS tag suggests the OS tag with the canonical name", () => {
+    assert.equal(suggestTag("skipOnWindows"), 'did you mean "@skipOnOS win32"?');
+    assert.equal(suggestTag("enabledOnMacOS"), 'did you mean "@enabledOnOS darwin"?');
+  });
+});
+
+describe("architecture and machine-resource tags", () => {
+  const MACHINE = { arch: "arm64", cpus: 2, memory: "6GB" };
+  const decide = (tag, value) => {
+    const h = handler(tag, MACHINE);
+    return [h.shouldSkip(value, {}), h.format(value, {})];
+  };
+
+  test("arch tags compare against process.arch, aliases included", () => {
+    assert.deepEqual(decide("skipOnArch", "arm64"), [true, "@skipOnArch arm64 (detected arm64)"]);
+    assert.deepEqual(decide("skipOnArch", "aarch64"), [true, "@skipOnArch aarch64 (detected arm64)"]);
+    assert.deepEqual(decide("enabledOnArch", "x64"), [true, "@enabledOnArch x64 (detected arm64)"]);
+    assert.deepEqual(decide("enabledOnArch", "arm64, x64"), [false, "@enabledOnArch arm64, x64 (detected arm64)"]);
+  });
+
+  test("resource tags skip below the threshold and show the measured value", () => {
+    assert.deepEqual(decide("skipIfCpusBelow", "4"), [true, "@skipIfCpusBelow 4 (measured 2 CPUs)"]);
+    assert.deepEqual(decide("skipIfCpusBelow", "2"), [false, "@skipIfCpusBelow 2 (measured 2 CPUs)"]);
+    assert.deepEqual(decide("skipIfMemoryBelow", "8GB"), [true, "@skipIfMemoryBelow 8GB (measured 6.0 GB)"]);
+    assert.deepEqual(decide("skipIfMemoryBelow", "4GiB"), [false, "@skipIfMemoryBelow 4GiB (measured 6.0 GB)"]);
+  });
+
+  test("memory sizes: SI and binary units, bare numbers in GB", () => {
+    assert.equal(parseMemory("8GB"), 8e9);
+    assert.equal(parseMemory("16 GiB"), 16 * 2 ** 30);
+    assert.equal(parseMemory("512 mb"), 512e6);
+    assert.equal(parseMemory("2"), 2e9);
+    assert.equal(parseMemory("lots"), null);
+  });
+
+  test("validation rejects unknown architectures and unreadable amounts", () => {
+    assert.equal(handler("skipOnArch").validate("x86_64"), null);
+    assert.match(handler("skipOnArch").validate("sparc"), /unknown architecture "sparc"/);
+    assert.match(handler("skipIfCpusBelow").validate("four"), /"four" is not a whole number of CPUs/);
+    assert.match(handler("skipIfMemoryBelow").validate("8XB"), /"8XB" is not a memory size/);
+  });
+});
@@ -0,0 +1,111 @@
+// test-environment.test.js
+// @skipOnTestEnvironment / @enabledOnTestEnvironment: decided from the file's
+// environment pragma or the framework config, and checked where the tests run
+// when neither names one.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createTransformer } = require("../jest-transformer.js");
+const { detectTestEnvironment, normalizeTestEnvironment } = require("../browser-runtime.js");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS, runTests, sanitizeAndRun } = require("./helpers.js");
+
+const FILE = path.join(FIXTURES, "virtual.test.js");
+
+const TESTS = `/** @skipOnTestEnvironment jsdom */
+test("layout", () => {});
+
+/** @enabledOnTestEnvironment node, edge-runtime */
+test("fetch", () => {});
+`;
+
+const withPragma = (pragma) => `${pragma}\n\n${TESTS}`;
+
+const RUNTIME = require.resolve("../browser-runtime.js");
+
+describe("test environment of a file", () => {
+  test("comes from an @jest-environment or @vitest-environment pragma", () => {
+    for (const pragma of ["/**\n * @jest-environment jsdom\n */", "// @vitest-environment jsdom"]) {
+      assert.deepEqual(sanitizeAndRun(withPragma(pragma)), ['test.skip("layout", fn)', 'test.skip("fetch", fn)'], pragma);
+    }
+    assert.deepEqual(sanitizeAndRun(withPragma("/** @jest-environment node */")), ['test("layout", fn)', 'test("fetch", fn)']);
+  });
+
+  test("only from the comments at the top of the file", () => {
+    const code = `test("first", () => {});\n/** @jest-environment jsdom */\n${TESTS}`;
+    assert.deepEqual(sanitizeAndRun(code, { testEnvironment: "node" }), [
+      'test("first", fn)',
+      'test("layout", fn)',
+      'test("fetch", fn)',
+    ]);
+  });
+
+  test("then from the testEnvironment option, which the pragma overrides", () => {
+    assert.deepEqual(sanitizeAndRun(TESTS, { testEnvironment: "jsdom" }), ['test.skip("layout", fn)', 'test.skip("fetch", fn)']);
+    assert.deepEqual(sanitizeAndRun(TESTS, { testEnvironment: "edge-runtime" }), ['test("layout", fn)', 'test("fetch", fn)']);
+    const code = withPragma("// @vitest-environment happy-dom");
+    assert.deepEqual(sanitizeAndRun(code, { testEnvironment: "node" }), ['test("layout", fn)', 'test.skip("fetch", fn)']);
+  });
+
+  test("then from the Jest config the transformer gets", () => {
+    const transformer = path.join(FIXTURES, "pass-through-transformer.js");
+    const jest = createTransformer({ ...QUIET, environment: ENVIRONMENT, transformer });
+    const testEnvironment = "/project/node_modules/jest-environment-jsdom/build/index.js";
+    const options = { config: { testEnvironment }, configString: "{}", supportsStaticESM: false };
+    const out = jest.process(TESTS, FILE, options).code;
+    assert.deepEqual(runTests(out, FILE), ['test.skip("layout", fn)', 'test.skip("fetch", fn)']);
+  });
+
+  test("is named the short way", () => {
+    const names = {
+      jsdom: "jsdom",
+      happydom: "happy-dom",
+      edge: "edge-runtime",
+      "jest-environment-jsdom": "jsdom",
+      "@happy-dom/jest-environment": "happy-dom",
+      "vitest-environment-custom": "custom",
+      "/project/node_modules/jest-environment-node/build/index.js": "node",
+      "C:\\project\\node_modules\\@edge-runtime\\jest-environment\\dist\\index.js": "edge-runtime",
+      "./env/my-env.js": "my-env",
+      "<rootDir>/env/My-Env.ts": "my-env",
+    };
+    for (const [name, expected] of Object.entries(names)) assert.equal(normalizeTestEnvironment(name), expected, name);
+  });
+});
+
+describe("test environment where the tests run", () => {
+  test("is read from the globals", () => {
+    const globals = {
+      "edge-runtime": { EdgeRuntime: "edge-runtime", process: { versions: {} } },
+      jsdom: { navigator: { userAgent: "Mozilla/5.0 (linux) AppleWebKit/537.36 (KHTML, like Gecko) jsdom/22.1.0" } },
+      "happy-dom": { navigator: { userAgent: "Mozilla/5.0 (X11; Linux x64) AppleWebKit/537.36 (KHTML, like Gecko) HappyDOM/12.0.0" } },
+      node: { process: { versions: { node: "20.11.1" } } },
+      browser: { window: {}, document: {}, navigator: { userAgent: "Mozilla/5.0 Firefox/121.0" } },
+    };
+    const detected = Object.fromEntries(Object.entries(globals).map(([name, global]) => [name, detectTestEnvironment(global)]));
+    assert.deepEqual(detected, { "edge-runtime": "edge-runtime", jsdom: "jsdom", "happy-dom": "happy-dom", node: "node", browser: null });
+  });
+
+  test("decides the tags when the file doesn't name an environment", () => {
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      const out = transform(TESTS, FILE, { ...QUIET, environment: ENVIRONMENT });
+      assert.match(out, /_jsSanitizerBrowser\.skip\(\{\s*"?skipontestenvironment"?:\s*"jsdom"\s*\}/, name);
+    }
+    // these tests run in Node
+    assert.deepEqual(sanitizeAndRun(TESTS), ['test("layout", fn)', 'test("fetch", fn)']);
+    delete require.cache[RUNTIME];
+    globalThis.navigator = { userAgent: "Mozilla/5.0 (linux) AppleWebKit/537.36 (KHTML, like Gecko) jsdom/22.1.0" };
+    try {
+      assert.deepEqual(sanitizeAndRun(TESTS), ['test.skip("layout", fn)', 'test.skip("fetch", fn)']);
+    } finally {
+      delete globalThis.navigator;
+      delete require.cache[RUNTIME];
+    }
+  });
+
+  test("is node for Playwright tests", () => {
+    const code = `const { test } = require("@playwright/test");\n${TESTS}`;
+    const filename = path.join(FIXTURES, "virtual.spec.js");
+    assert.deepEqual(sanitizeAndRun(code, { framework: "playwright", filename }), ['test("layout", fn)', 'test("fetch", fn)']);
+  });
+});
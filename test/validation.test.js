@@ -0,0 +1,76 @@
+// validation.test.js
+// Tag validation: typos, values outside a tag's domain and malformed ranges
+// are warned about, or fail the transform with `strict`.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { ENVIRONMENT, FIXTURES, QUIET, TRANSFORMS, captureWarnings } = require("./helpers.js");
+
+const FILE = path.join(FIXTURES, "virtual.test.js");
+const OPTIONS = { ...QUIET, environment: ENVIRONMENT };
+const withTag = (tag) => `\n/** ${tag} */\ntest("a", () => {});\n`;
+
+// Warnings of every backend for `tag`, after checking that they agree
+function warningsFor(tag, options = {}) {
+  const results = {};
+  for (const [name, transform] of Object.entries(TRANSFORMS)) {
+    results[name] = captureWarnings(() => transform(withTag(tag), FILE, { ...OPTIONS, ...options }))[1];
+  }
+  // Babel adds a code frame
+  assert.deepEqual(
+    results.babel.map((warning) => warning.split("\n")[0]),
+    results.rewrite
+  );
+  return results.rewrite;
+}
+
+const where = `(${path.relative(process.cwd(), FILE)}:2)`;
+
+describe("tag validation", () => {
+  const problems = [
+    ["@enabledForNodeRagne 16", 'Unknown tag @enabledForNodeRagne: did you mean "@enabledForNodeRange"?'],
+    ["@skipOnWindws", "Unknown tag @skipOnWindws: not a js-sanitizer tag"],
+    ["@skipOnOS winows", 'Invalid @skipOnOS: unknown OS "winows" (expected one of aix, android,'],
+    ["@skipOnBrowser chrome<latest", 'Invalid @skipOnBrowser: "chrome<latest" is not a browser or a browser with a version'],
+    ["@skipOnTestEnvironment <jsdom>", 'Invalid @skipOnTestEnvironment: "<jsdom>" is not a test environment'],
+    ["@skipOnNodeVersion latest", 'Invalid @skipOnNodeVersion: "latest" is not a Node version or semver range'],
+    ["@skipForNodeRange min=sixteen", 'Invalid @skipForNodeRange: "min=sixteen" needs a numeric Node version'],
+    ["@skipForNodeRange min=20,max=18", 'Invalid @skipForNodeRange: inverted range "min=20,max=18" (min is greater than max)'],
+    ["@skipForNodeRange >=20 <18", 'Invalid @skipForNodeRange: range ">=20 <18" matches no Node version (inverted bounds?)'],
+    ["@skipIfEnv NAME=/(/", "Invalid @skipIfEnv: invalid regular expression for NAME"],
+  ];
+  for (const [tag, message] of problems) {
+    test(`warns about ${tag}`, () => {
+      const warnings = warningsFor(tag);
+      assert.equal(warnings.length, 1);
+      assert.ok(warnings[0].startsWith(`[js-sanitizer] ${message}`), warnings[0]);
+      assert.ok(warnings[0].endsWith(where), warnings[0]);
+    });
+  }
+
+  test("points the Babel warning's code frame at the tag", () => {
+    const [, warnings] = captureWarnings(() => TRANSFORMS.babel(withTag("@skipOnOS winows"), FILE, OPTIONS));
+    assert.match(warnings[0], /\n> 2 \| \/\*\* @skipOnOS winows \*\/\n {4}\| {5}\^/);
+  });
+
+  test("leaves other tags and valid values alone", () => {
+    for (const tag of ["@param x", "@jest-environment node", "@skipOnOS win32", "@skipForNodeRange min=16,max=18"]) {
+      assert.deepEqual(warningsFor(tag), [], tag);
+    }
+  });
+
+  test("doesn't check tags disabled through the tags option", () => {
+    assert.deepEqual(warningsFor("@skipOnOS winows", { tags: ["skipOnNodeVersion"] }), []);
+  });
+
+  test("strict fails the transform instead", () => {
+    for (const [name, transform] of Object.entries(TRANSFORMS)) {
+      assert.throws(
+        () => transform(withTag("@skipForNodeRange min=sixteen"), FILE, { ...OPTIONS, strict: true }),
+        /\[js-sanitizer\] Invalid @skipForNodeRange: "min=sixteen" needs a numeric Node version/,
+        name
+      );
+    }
+  });
+});
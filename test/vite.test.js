@@ -0,0 +1,74 @@
+// vite.test.js
+// js-sanitizer/vite: which modules it rewrites, how little of them it
+// changes, and the test environment it takes from the Vitest config.
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const jsSanitizerVite = require("../vite.js");
+const { QUIET } = require("./helpers.js");
+
+const TS = `import { test } from "vitest";
+const n: number = 1;
+/** @skipOnOS linux */
+test("a", () => {});
+/** @skipOnTestEnvironment jsdom */
+test("b", () => {});
+`;
+
+const createPlugin = (options = {}) => jsSanitizerVite({ ...QUIET, environment: { os: "linux" }, ...options });
+
+describe("js-sanitizer/vite", () => {
+  test("edits only the tagged call sites, TypeScript left as written", () => {
+    const plugin = createPlugin();
+    plugin.configResolved({ test: { environment: "node" } });
+    const { code, map } = plugin.transform(TS, "/project/a.test.ts");
+    assert.equal(code, TS.replace('test("a"', 'test.skip("a"') + "\n/* js-sanitizer: rewritten */");
+    assert.deepEqual(map.sources, ["/project/a.test.ts"]);
+    assert.deepEqual(map.sourcesContent, [TS]);
+    assert.match(map.mappings, /^[A-Za-z0-9+/,;]+$/);
+  });
+
+  test("leaves files without tags alone", () => {
+    assert.equal(createPlugin().transform('test("plain", () => {});\n', "/project/a.test.ts"), null);
+  });
+
+  test("rewrites test files only, and not virtual modules or ?raw imports", () => {
+    const plugin = createPlugin();
+    const rewritten = (id) => plugin.transform(TS, id) !== null;
+    assert.equal(rewritten("/project/a.test.ts"), true);
+    assert.equal(rewritten("/project/__tests__/a.ts"), true);
+    assert.equal(rewritten("/project/a.test.ts?v=123"), true);
+    assert.equal(rewritten("/project/src/a.ts"), false);
+    assert.equal(rewritten("/project/node_modules/p/a.test.ts"), false);
+    assert.equal(rewritten("\0virtual.test.ts"), false);
+    assert.equal(rewritten("/project/a.test.ts?raw"), false);
+  });
+
+  test("include and exclude select the files", () => {
+    const plugin = createPlugin({ include: /\/e2e\//, exclude: (id) => id.endsWith(".skip.ts") });
+    assert.notEqual(plugin.transform(TS, "/project/e2e/a.ts"), null);
+    assert.equal(plugin.transform(TS, "/project/e2e/a.skip.ts"), null);
+    assert.equal(plugin.transform(TS, "/project/a.test.ts"), null);
+    assert.throws(() => jsSanitizerVite({ include: "*.js" }), /Invalid Vite plugin options: "include" must be a RegExp or a function/);
+  });
+
+  test("decides test-environment tags with Vitest's test.environment", () => {
+    const plugin = createPlugin();
+    plugin.configResolved({ test: { environment: "jsdom" } });
+    assert.match(plugin.transform(TS, "/project/a.test.ts").code, /\ntest\.skip\("b"/);
+  });
+
+  test("leaves them to the test run when the environment isn't known", () => {
+    const configs = [
+      [{ test: { environment: "jsdom", environmentMatchGlobs: [["**/*.dom.ts", "jsdom"]] } }],
+      [{ test: { browser: { enabled: true } } }],
+      // projects that disagree
+      [{ test: { environment: "jsdom" } }, { test: { environment: "node" } }],
+    ];
+    for (const resolved of configs) {
+      const plugin = createPlugin();
+      for (const config of resolved) plugin.configResolved(config);
+      assert.match(plugin.transform(TS, "/project/a.test.ts").code, /_jsSanitizerBrowser\.skip\(\{"skipontestenvironment":"jsdom"\}/);
+    }
+  });
+});
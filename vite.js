@@ -0,0 +1,51 @@
+// vite.js
+// Vite / Vitest plugin: the js-sanitizer rewrite without a Babel pass.
+//
+//   // vitest.config.mjs
+//   import jsSanitizer from "js-sanitizer/vite";
+//   export default defineConfig({ plugins: [jsSanitizer({ silent: true })] });
+//
+// Options are the Babel plugin's, plus:
+//   include  RegExp or (id) => boolean selecting the files to rewrite
+//            (default: *.test.* / *.spec.* and files under __tests__)
+//   exclude  RegExp or (id) => boolean (default: node_modules)
+//
+// The plugin runs before Vite's own transforms (enforce: "pre"), so it sees
+// TypeScript and JSX as written; only the tagged call sites are edited.
+// Test-environment tags are decided against Vitest's test.environment for
+// files without an @vitest-environment comment, and left to the test run when
+// environmentMatchGlobs, browser mode or projects with different environments
+// make that unknown.
+
+const { createRewriter, DEFAULT_INCLUDE, DEFAULT_EXCLUDE, matchesFilter, checkFilters } = require("./rewrite.js");
+
+function jsSanitizerVite(pluginOptions = {}) {
+  const { include = DEFAULT_INCLUDE, exclude = DEFAULT_EXCLUDE, ...options } = pluginOptions || {};
+  checkFilters("Vite", { include, exclude });
+  const { rewrite } = createRewriter(options);
+  let testEnvironment;
+
+  return {
+    name: "js-sanitizer",
+    enforce: "pre",
+    configResolved(config) {
+      const test = config.test;
+      const environment =
+        !test || (test.browser && test.browser.enabled) || (test.environmentMatchGlobs || []).length
+          ? null
+          : test.environment || "node";
+      // one plugin instance shared by projects that disagree: unknown
+      testEnvironment = testEnvironment === undefined || testEnvironment === environment ? environment : null;
+    },
+    transform(code, id) {
+      // virtual modules, and queries such as ?v=123 or ?raw
+      if (id.startsWith("\0")) return null;
+      const [file, query] = id.split("?");
+      if (query && !/^v=/.test(query)) return null;
+      if (!matchesFilter(include, file) || matchesFilter(exclude, file)) return null;
+      return rewrite(code, file, { sourceType: "module", testEnvironment: testEnvironment || null });
+    },
+  };
+}
+
+module.exports = jsSanitizerVite;
@@ -0,0 +1,29 @@
+// vitest-reporter.js
+// Vitest reporter printing the js-sanitizer summary at the end of the run.
+//
+//   // vitest.config.mjs
+//   test: { reporters: ["default", "js-sanitizer/vitest-reporter"] }
+//   // or with options (same reportDir/report as the plugin):
+//   test: { reporters: ["default", ["js-sanitizer/vitest-reporter", { reportDir: "reports" }]] }
+
+const { summarize } = require("./summary.js");
+
+class JsSanitizerVitestReporter {
+  constructor(options = {}) {
+    this.options = options || {};
+    this.ctx = null;
+  }
+
+  onInit(ctx) {
+    this.ctx = ctx;
+  }
+
+  onFinished() {
+    const text = `\n${summarize(this.options)}\n`;
+    // Vitest's logger keeps the output in order with its own reporters
+    if (this.ctx && this.ctx.logger) this.ctx.logger.log(text);
+    else console.log(text);
+  }
+}
+
+module.exports = JsSanitizerVitestReporter;